@@ -0,0 +1,133 @@
+// Copyright [2025] [Allow2 Pty Ltd]
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict';
+
+/**
+ * Block Category Action
+ *
+ * This action script is DEPLOYED TO THE AGENT via PLUGIN_EXTENSIONS.
+ * It is triggered by the parent to block a website category through the
+ * browser extensions connected to the agent's native messaging host.
+ *
+ * The native host keeps a registry of connected extensions and relays
+ * queued commands to them (see docs/BROWSER_EXTENSION.md). If no extension
+ * is connected the result says so, and the parent falls back to killing
+ * browsers instead.
+ */
+export default {
+    id: 'block-category',
+    version: '1.0.0',
+    platforms: ['win32', 'darwin', 'linux'],
+
+    /**
+     * Script that runs ON THE AGENT to block a category via extensions
+     * This function is serialized and executed in the agent's sandbox
+     *
+     * @param {Object} args - Arguments from parent
+     * @param {string} args.category - Category identifier (e.g. 'social')
+     * @param {string[]} args.domains - Domains in the category
+     * @param {string} args.reason - Reason for blocking
+     * @returns {Object} Result of the action
+     */
+    script: function(args) {
+        const fs = require('fs');
+        const os = require('os');
+        const path = require('path');
+
+        const { category, domains = [], reason } = args || {};
+
+        // Written by the native messaging host
+        const registryFile = path.join(os.tmpdir(), 'allow2-web-browsers-extensions.json');
+        const commandsFile = path.join(os.tmpdir(), 'allow2-web-browsers-extension-commands.json');
+
+        // Extensions report to the native host every 30 seconds
+        const connectedWithinMs = 90000;
+
+        function readJson(file, fallback) {
+            try {
+                return JSON.parse(fs.readFileSync(file, 'utf8'));
+            } catch (error) {
+                return fallback;
+            }
+        }
+
+        /**
+         * Browsers with an extension that has reported recently
+         */
+        function getConnectedExtensions() {
+            const registry = readJson(registryFile, {});
+            const now = Date.now();
+
+            return Object.entries(registry)
+                .filter(([_, info]) => info && (now - (info.lastSeen || 0)) <= connectedWithinMs)
+                .map(([browser]) => browser);
+        }
+
+        const connected = getConnectedExtensions();
+
+        const result = {
+            category,
+            reason,
+            timestamp: Date.now(),
+            hostname: os.hostname(),
+            extensionAvailable: connected.length > 0,
+            delivered: []
+        };
+
+        if (!category) {
+            return {
+                success: false,
+                error: 'category is required',
+                ...result
+            };
+        }
+
+        if (connected.length === 0) {
+            return {
+                success: true,
+                ...result
+            };
+        }
+
+        // Queue a block_category message for each connected extension
+        const commands = readJson(commandsFile, []);
+        for (const browser of connected) {
+            commands.push({
+                browser,
+                type: 'block_category',
+                category,
+                domains,
+                reason,
+                queuedAt: Date.now()
+            });
+        }
+
+        try {
+            fs.writeFileSync(commandsFile, JSON.stringify(commands), 'utf8');
+            result.delivered = connected;
+        } catch (error) {
+            return {
+                success: false,
+                error: `Unable to queue extension command: ${error.message}`,
+                ...result
+            };
+        }
+
+        return {
+            success: true,
+            ...result
+        };
+    }
+};
@@ -0,0 +1,466 @@
+// Copyright [2025] [Allow2 Pty Ltd]
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict';
+
+/**
+ * Block Launch Action
+ *
+ * This action script is DEPLOYED TO THE AGENT via PLUGIN_EXTENSIONS.
+ * It is triggered by the parent once browsers have been killed for a block,
+ * so that reopening a browser does not buy the child another detector poll
+ * worth of browsing.
+ *
+ * A local ticker force kills matching browser processes every few seconds
+ * until the parent lifts the block with the allow-launch action. The block
+ * itself is held in memory by the ticker, with a copy in the agent's private
+ * state directory. Each relaunch that gets killed is appended to an attempts
+ * file there, which the browser-detector monitor reports (and clears) on its
+ * next run.
+ */
+export default {
+    id: 'block-launch',
+    version: '1.5.0',
+    platforms: ['win32', 'darwin', 'linux'],
+
+    /**
+     * Script that runs ON THE AGENT to keep browsers from being relaunched
+     * This function is serialized and executed in the agent's sandbox
+     *
+     * @param {Object} args - Arguments from parent
+     * @param {string[]} args.browsers - Browsers to block (optional, blocks all if not specified)
+     * @param {string[]} args.apps - Process names of web-capable apps to block as well (optional)
+     * @param {string} args.reason - Reason shown when a relaunch is killed
+     * @param {number} args.interval - Milliseconds between process scans (default 2000, at least
+     *                                  5000 on Windows when blocking one user)
+     * @param {string} args.username - Only block this OS user's browsers (optional, all users if not specified)
+     * @returns {Object} Result of the action
+     */
+    script: function(args) {
+        const { execFileSync, execFile } = require('child_process');
+        const fs = require('fs');
+        const os = require('os');
+        const path = require('path');
+
+        const { browsers, apps, reason, interval = 2000, username } = args || {};
+
+        // Shared with allow-launch and the browser-detector monitor. One block
+        // per OS user, so children sharing the computer are blocked separately.
+        const userKey = username ? `@${encodeURIComponent(String(username).toLowerCase())}` : '';
+        const registryKey = '__allow2WebBrowsersLaunchBlock';
+        const notifyEveryMs = 15000;
+        const maxAttempts = 100;
+        // Listing Windows process owners takes seconds, so those scans are spaced out
+        const scanIntervalMs = process.platform === 'win32' && username ? Math.max(5000, interval) : interval;
+
+        // Browser process names by platform, matched exactly (case-insensitive)
+        const browserProcesses = {
+            win32: {
+                chrome: ['chrome.exe'],
+                firefox: ['firefox.exe'],
+                edge: ['msedge.exe'],
+                brave: ['brave.exe'],
+                opera: ['opera.exe'],
+                vivaldi: ['vivaldi.exe']
+            },
+            darwin: {
+                chrome: ['Google Chrome'],
+                firefox: ['firefox', 'Firefox'],
+                safari: ['Safari'],
+                edge: ['Microsoft Edge'],
+                brave: ['Brave Browser'],
+                opera: ['Opera'],
+                vivaldi: ['Vivaldi'],
+                arc: ['Arc']
+            },
+            linux: {
+                chrome: ['chrome', 'google-chrome', 'chromium', 'chromium-browser'],
+                firefox: ['firefox', 'firefox-esr'],
+                edge: ['microsoft-edge', 'msedge'],
+                brave: ['brave', 'brave-browser'],
+                opera: ['opera'],
+                vivaldi: ['vivaldi']
+            }
+        };
+
+        /**
+         * The agent's private state directory, in its own home rather than the
+         * world-writable tmpdir. Created 0700 and only used while the agent
+         * owns it, so the child can neither edit its files nor plant links
+         * there. Null when it can't be had.
+         */
+        function getStateDir() {
+            const dir = path.join(os.homedir(), '.allow2-web-browsers');
+            try {
+                fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+                const stat = fs.lstatSync(dir);
+                if (!stat.isDirectory()) {
+                    return null;
+                }
+                if (typeof process.getuid === 'function') {
+                    if (stat.uid !== process.getuid()) {
+                        return null;
+                    }
+                    if (stat.mode & 0o077) {
+                        fs.chmodSync(dir, 0o700);
+                    }
+                }
+                return dir;
+            } catch (error) {
+                return null;
+            }
+        }
+
+        /**
+         * JSON from a state file, or null when missing, unreadable, or not a
+         * regular file the agent owns
+         */
+        function readState(file) {
+            try {
+                const stat = fs.lstatSync(file);
+                if (!stat.isFile() || (typeof process.getuid === 'function' && stat.uid !== process.getuid())) {
+                    return null;
+                }
+                return JSON.parse(fs.readFileSync(file, 'utf8'));
+            } catch (error) {
+                return null;
+            }
+        }
+
+        /**
+         * Replace a state file atomically: written to a file that must not
+         * exist yet, then renamed over the old one
+         */
+        function writeState(file, data) {
+            const temp = `${file}.${process.pid}.${Date.now()}.tmp`;
+            fs.writeFileSync(temp, JSON.stringify(data), { encoding: 'utf8', mode: 0o600, flag: 'wx' });
+            try {
+                fs.renameSync(temp, file);
+            } catch (error) {
+                fs.unlinkSync(temp);
+                throw error;
+            }
+        }
+
+        const stateDir = getStateDir();
+        if (!stateDir) {
+            return {
+                success: false,
+                error: 'No private state directory on this agent',
+                timestamp: Date.now(),
+                hostname: os.hostname()
+            };
+        }
+        const blockFile = path.join(stateDir, `launch-block${userKey}.json`);
+        const attemptsFile = path.join(stateDir, `launch-attempts${userKey}.json`);
+
+        /**
+         * Show notification on current platform. The message is passed as a
+         * program argument or environment variable, never through a shell.
+         */
+        function showNotification(message) {
+            const platform = process.platform;
+            const title = 'Allow2 - Internet Time';
+
+            try {
+                if (platform === 'win32') {
+                    const psScript = [
+                        'Add-Type -AssemblyName System.Windows.Forms',
+                        '$balloon = New-Object System.Windows.Forms.NotifyIcon',
+                        '$balloon.Icon = [System.Drawing.SystemIcons]::Warning',
+                        '$balloon.BalloonTipTitle = $env:ALLOW2_TITLE',
+                        '$balloon.BalloonTipText = $env:ALLOW2_MESSAGE',
+                        '$balloon.Visible = $true',
+                        '$balloon.ShowBalloonTip(10000)',
+                        'Start-Sleep -Seconds 2',
+                        '$balloon.Dispose()'
+                    ].join('\n');
+                    // -EncodedCommand (base64 UTF-16LE) sidesteps command line quoting
+                    execFile('powershell', [
+                        '-NoProfile',
+                        '-NonInteractive',
+                        '-EncodedCommand',
+                        Buffer.from(psScript, 'utf16le').toString('base64')
+                    ], {
+                        windowsHide: true,
+                        env: { ...process.env, ALLOW2_TITLE: title, ALLOW2_MESSAGE: message }
+                    }, () => {});
+                } else if (platform === 'darwin') {
+                    execFile('osascript', [
+                        '-e', 'on run argv',
+                        '-e', 'display notification (item 1 of argv) with title (item 2 of argv)',
+                        '-e', 'end run',
+                        message,
+                        title
+                    ], () => {});
+                } else {
+                    execFile('notify-send', ['-u', 'critical', '--', title, message], () => {});
+                }
+            } catch (error) {
+                console.error('[BlockLaunch] Notification failed:', error.message);
+            }
+        }
+
+        /**
+         * Full executable name of a Linux process whose comm the kernel cut
+         * to 15 characters ("chromium-browse"), from /proc/<pid>/exe or else
+         * argv[0]. Falls back to comm when neither continues it.
+         */
+        function getFullName(pid, comm) {
+            const candidates = [];
+            try {
+                candidates.push(fs.readlinkSync(`/proc/${pid}/exe`).replace(/ \(deleted\)$/, ''));
+            } catch (error) {
+                // Exited, or no access to its executable
+            }
+            try {
+                candidates.push(fs.readFileSync(`/proc/${pid}/cmdline`, 'utf8').split('\0')[0]);
+            } catch (error) {
+                // Exited
+            }
+            const full = candidates.map(file => path.basename(file)).find(name => name.startsWith(comm));
+            return full || comm;
+        }
+
+        /**
+         * tasklist CSV output as { pid, name, user }; only /V lists owners
+         */
+        function parseTasklist(output) {
+            const processes = [];
+            for (const line of output.split('\n')) {
+                const fields = (line.match(/"([^"]*)"/g) || []).map(field => field.slice(1, -1));
+                if (fields.length >= 2) {
+                    processes.push({ name: fields[0], pid: parseInt(fields[1], 10), user: fields[6] || null });
+                }
+            }
+            return processes;
+        }
+
+        /**
+         * Running processes as { pid, name, user }, without owners on Windows
+         */
+        function getProcessList() {
+            const platform = process.platform;
+            const processes = [];
+
+            try {
+                if (platform === 'win32') {
+                    // Without owners; listProcesses takes the verbose listing when they are needed
+                    const output = execFileSync('tasklist', ['/FO', 'CSV', '/NH'], {
+                        encoding: 'utf8',
+                        timeout: 10000,
+                        windowsHide: true,
+                        stdio: 'pipe'
+                    });
+                    processes.push(...parseTasklist(output));
+                } else {
+                    const psArgs = platform === 'darwin' ? ['-axco', 'pid,user,comm'] : ['-eo', 'pid,user:64,comm', '--no-headers'];
+                    const output = execFileSync('ps', psArgs, {
+                        encoding: 'utf8',
+                        timeout: 5000,
+                        stdio: 'pipe'
+                    });
+                    for (const line of output.split('\n')) {
+                        const match = line.trim().match(/^(\d+)\s+(\S+)\s+(.+)$/);
+                        if (match) {
+                            const pid = parseInt(match[1], 10);
+                            const comm = match[3].trim();
+                            const name = platform === 'linux' && comm.length === 15 ? getFullName(pid, comm) : comm;
+                            processes.push({ pid, user: match[2], name });
+                        }
+                    }
+                }
+            } catch (error) {
+                console.error('[BlockLaunch] Error getting process list:', error.message);
+            }
+
+            return processes;
+        }
+
+        /**
+         * Append killed relaunches for the monitor to report
+         */
+        function recordAttempts(attempts) {
+            try {
+                const existing = readState(attemptsFile) || [];
+                writeState(attemptsFile, existing.concat(attempts).slice(-maxAttempts));
+            } catch (error) {
+                console.error('[BlockLaunch] Unable to record attempts:', error.message);
+            }
+        }
+
+        /**
+         * Whether a process belongs to the blocked user (ignoring any Windows domain)
+         */
+        function isBlockedUser(proc, blockedUser) {
+            if (!blockedUser) {
+                return true;
+            }
+            const owner = (proc.user || '').split('\\').pop().toLowerCase();
+            return owner === blockedUser.toLowerCase();
+        }
+
+        const registries = global[registryKey] || (global[registryKey] = {});
+        const registry = registries[userKey] || (registries[userKey] = {});
+
+        function stopTicker() {
+            if (registry.timer) {
+                clearInterval(registry.timer);
+                registry.timer = null;
+            }
+        }
+
+        /**
+         * Running processes as { pid, name, user }, passed to onList. Windows
+         * only lists owners in the verbose listing, which can take seconds, so
+         * that one runs in the background instead of holding up the agent, and
+         * no new one is started while the last is still running.
+         */
+        function listProcesses(user, onList) {
+            if (process.platform !== 'win32' || !user) {
+                onList(getProcessList());
+                return;
+            }
+
+            if (registry.listing) {
+                return;
+            }
+            registry.listing = true;
+            execFile('tasklist', ['/V', '/FO', 'CSV', '/NH'], {
+                encoding: 'utf8',
+                timeout: 30000,
+                windowsHide: true
+            }, (error, stdout) => {
+                registry.listing = false;
+                if (error) {
+                    console.error('[BlockLaunch] Error getting process list:', error.message);
+                    return;
+                }
+                onList(parseTasklist(stdout));
+            });
+        }
+
+        function tick() {
+            if (!registry.block) {
+                // Lifted
+                stopTicker();
+                return;
+            }
+            listProcesses(username, killBlocked);
+        }
+
+        /**
+         * Kill any blocked browser that is running. The block is re-read from
+         * the registry so allow-launch takes effect immediately, even while a
+         * process list was being taken.
+         */
+        function killBlocked(processes) {
+            const block = registry.block;
+            if (!block) {
+                return;
+            }
+
+            // Web-capable apps are matched by their own process name
+            const patterns = { ...(browserProcesses[process.platform] || browserProcesses.linux) };
+            for (const app of block.apps || []) {
+                patterns[app] = patterns[app] || [app];
+            }
+            const blocked = (block.browsers && block.browsers.length > 0
+                ? block.browsers.filter(browser => patterns[browser])
+                : Object.keys(browserProcesses[process.platform] || browserProcesses.linux)
+            ).concat((block.apps || []).filter(app => !(block.browsers || []).includes(app)));
+
+            const attempts = [];
+
+            for (const browser of blocked) {
+                const names = patterns[browser].map(name => name.toLowerCase());
+                const matches = processes.filter(proc =>
+                    names.includes((proc.name || '').toLowerCase()) && isBlockedUser(proc, block.username));
+                if (matches.length === 0) {
+                    continue;
+                }
+
+                const pids = [];
+                for (const proc of matches) {
+                    try {
+                        process.kill(proc.pid, 'SIGKILL');
+                        pids.push(proc.pid);
+                    } catch (error) {
+                        // Exited already or access denied
+                    }
+                }
+
+                if (pids.length > 0) {
+                    attempts.push({
+                        browser,
+                        username: block.username || null,
+                        processName: matches[0].name,
+                        pids,
+                        killedAt: Date.now()
+                    });
+                }
+            }
+
+            if (attempts.length === 0) {
+                return;
+            }
+
+            recordAttempts(attempts);
+
+            // One notification per burst of relaunches
+            if (!registry.lastNotifiedAt || Date.now() - registry.lastNotifiedAt >= notifyEveryMs) {
+                registry.lastNotifiedAt = Date.now();
+                showNotification(block.reason || 'Browsers are blocked right now.');
+            }
+        }
+
+        const block = {
+            browsers: browsers || null,
+            apps: Array.isArray(apps) ? apps.filter(app => typeof app === 'string' && app) : [],
+            username: username || null,
+            reason,
+            interval,
+            blockedAt: Date.now()
+        };
+
+        try {
+            writeState(blockFile, block);
+        } catch (error) {
+            return {
+                success: false,
+                error: `Unable to write launch block: ${error.message}`,
+                timestamp: Date.now(),
+                hostname: os.hostname()
+            };
+        }
+
+        registry.block = block;
+        stopTicker();
+        if (typeof setInterval === 'function') {
+            registry.timer = setInterval(tick, Math.max(500, scanIntervalMs));
+        }
+        tick();
+
+        return {
+            success: true,
+            browsers: browsers || null,
+            username: username || null,
+            reason,
+            interval,
+            enforcedLocally: !!registry.timer,
+            timestamp: Date.now(),
+            hostname: os.hostname()
+        };
+    }
+};
@@ -0,0 +1,92 @@
+// Copyright [2025] [Allow2 Pty Ltd]
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict';
+
+/**
+ * Cancel Shutdown Action
+ *
+ * This action script is DEPLOYED TO THE AGENT via PLUGIN_EXTENSIONS.
+ * It is triggered by the parent to disarm the local shutdown deadline
+ * armed by schedule-shutdown (e.g. browsing stopped or quota was topped up).
+ *
+ * The script function is serialized and sent to the agent, where it runs
+ * in a sandboxed environment when triggered with arguments from the parent.
+ */
+export default {
+    id: 'cancel-shutdown',
+    version: '1.2.0',
+    platforms: ['win32', 'darwin', 'linux'],
+
+    /**
+     * Script that runs ON THE AGENT to cancel the shutdown deadline
+     * This function is serialized and executed in the agent's sandbox
+     *
+     * @param {Object} args - Arguments from parent
+     * @param {string} args.username - OS user the deadline was scheduled for (optional, all users if not specified)
+     * @returns {Object} Result of the action
+     */
+    script: function(args) {
+        const fs = require('fs');
+        const os = require('os');
+        const path = require('path');
+
+        const { username } = args || {};
+
+        // Shared with schedule-shutdown and update-shutdown, one schedule per OS user
+        const userKey = username ? `@${encodeURIComponent(String(username).toLowerCase())}` : '';
+        const registryKey = '__allow2WebBrowsersShutdown';
+
+        /**
+         * The agent's private state directory, where schedule-shutdown keeps
+         * its deadlines. Null when it doesn't exist or isn't the agent's.
+         */
+        function getStateDir() {
+            const dir = path.join(os.homedir(), '.allow2-web-browsers');
+            try {
+                const stat = fs.lstatSync(dir);
+                if (!stat.isDirectory() || (typeof process.getuid === 'function' && stat.uid !== process.getuid())) {
+                    return null;
+                }
+                return dir;
+            } catch (error) {
+                return null;
+            }
+        }
+
+        let cancelled = false;
+        const stateDir = getStateDir();
+        if (stateDir) {
+            try {
+                fs.unlinkSync(path.join(stateDir, `shutdown${userKey}.json`));
+                cancelled = true;
+            } catch (error) {
+                // Nothing was scheduled
+            }
+        }
+
+        const registry = global[registryKey] && global[registryKey][userKey];
+        if (registry && registry.timer) {
+            clearInterval(registry.timer);
+            registry.timer = null;
+        }
+
+        return {
+            success: true,
+            cancelled,
+            timestamp: Date.now(),
+            hostname: os.hostname()
+        };
+    }
+};
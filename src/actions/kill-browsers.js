@@ -19,13 +19,18 @@
  *
  * This action script is DEPLOYED TO THE AGENT via PLUGIN_EXTENSIONS.
  * It is triggered by the parent when browser quota is exhausted
- * and browsers need to be terminated.
+ * and browsers need to be terminated. The parent has already shown a
+ * countdown for the grace period; browsers are first asked to close
+ * (WM_CLOSE / quit / SIGTERM) and only force killed if they are still
+ * running after closeTimeout. The wait is on a timer, so the agent carries
+ * on meanwhile and the script resolves once the force kill is done.
  *
  * The script function is serialized and sent to the agent, where it runs
  * in a sandboxed environment when triggered with arguments from the parent.
  */
 export default {
     id: 'kill-browsers',
+    version: '1.3.0',
     platforms: ['win32', 'darwin', 'linux'],
 
     /**
@@ -33,16 +38,36 @@ export default {
      * This function is serialized and executed in the agent's sandbox
      *
      * @param {Object} args - Arguments from parent
-     * @param {string[]} args.browsers - List of browser names to kill (optional, kills all if not specified)
+     * @param {string[]} args.browsers - List of browser names to kill (optional, kills all if not specified;
+     *                                    an empty list with apps kills only the apps)
+     * @param {string[]} args.apps - Process names of web-capable apps to close as well (optional)
      * @param {string} args.reason - Reason for killing browsers
-     * @param {number} args.gracePeriod - Grace period in seconds before force kill (optional)
-     * @returns {Object} Result of the action
+     * @param {number} args.closeTimeout - Seconds to wait after a polite close before force killing (default 5)
+     * @param {string} args.username - Only kill this OS user's browsers (optional, all users if not specified)
+     * @returns {Object|Promise<Object>} Result of the action, a Promise while waiting on closeTimeout
      */
     script: function(args) {
-        const { execSync, exec } = require('child_process');
+        const { execFileSync, execFile } = require('child_process');
         const os = require('os');
 
-        const { browsers, reason, gracePeriod = 0 } = args || {};
+        const { browsers, apps, reason, closeTimeout = 5, username } = args || {};
+
+        if (username && !/^[\w.\- ]+$/.test(username)) {
+            return {
+                success: false,
+                error: 'Invalid username',
+                timestamp: Date.now(),
+                hostname: os.hostname()
+            };
+        }
+
+        // App process names come from the monitor's report; skip anything that would read as an option
+        const appsToKill = (Array.isArray(apps) ? apps : [])
+            .filter(name => typeof name === 'string' && /^[\w.()][\w.\- ()]*$/.test(name));
+
+        // Limit process commands to the given user's processes
+        const winUserFilter = username ? ['/FI', `USERNAME eq ${username}`] : [];
+        const unixUserFilter = username ? ['-u', username] : [];
 
         // Browser process patterns by platform
         const browserProcesses = {
@@ -76,46 +101,124 @@ export default {
             }
         };
 
+        /**
+         * Run a program without a shell and wait for it. Arguments are passed
+         * as they are, so process names and users are never interpreted.
+         */
+        function runSync(file, fileArgs, timeout = 5000) {
+            return execFileSync(file, fileArgs, {
+                encoding: 'utf8',
+                timeout,
+                windowsHide: true,
+                stdio: 'pipe'
+            });
+        }
+
         /**
          * Show notification before killing (courtesy warning)
          */
         function showNotification(message) {
             const platform = process.platform;
+            const title = 'Allow2 Parental Control';
 
             try {
                 if (platform === 'win32') {
-                    // Use PowerShell toast notification
-                    const psScript = `
-                        [Windows.UI.Notifications.ToastNotificationManager, Windows.UI.Notifications, ContentType = WindowsRuntime] | Out-Null
-                        [Windows.Data.Xml.Dom.XmlDocument, Windows.Data.Xml.Dom.XmlDocument, ContentType = WindowsRuntime] | Out-Null
-                        $template = @"
-                        <toast>
-                            <visual>
-                                <binding template="ToastText02">
-                                    <text id="1">Allow2 Parental Control</text>
-                                    <text id="2">${message}</text>
-                                </binding>
-                            </visual>
-                        </toast>
-"@
-                        $xml = New-Object Windows.Data.Xml.Dom.XmlDocument
-                        $xml.LoadXml($template)
-                        $toast = New-Object Windows.UI.Notifications.ToastNotification $xml
-                        [Windows.UI.Notifications.ToastNotificationManager]::CreateToastNotifier("Allow2").Show($toast)
-                    `;
-                    exec(`powershell -Command "${psScript.replace(/"/g, '\\"')}"`, { windowsHide: true });
+                    // Toast text is added as text nodes, so the message needs no XML escaping.
+                    // -EncodedCommand and environment variables keep it out of the command line.
+                    const psScript = [
+                        '[Windows.UI.Notifications.ToastNotificationManager, Windows.UI.Notifications, ContentType = WindowsRuntime] | Out-Null',
+                        '$template = [Windows.UI.Notifications.ToastNotificationManager]::GetTemplateContent([Windows.UI.Notifications.ToastTemplateType]::ToastText02)',
+                        "$texts = $template.GetElementsByTagName('text')",
+                        '$texts.Item(0).AppendChild($template.CreateTextNode($env:ALLOW2_TITLE)) | Out-Null',
+                        '$texts.Item(1).AppendChild($template.CreateTextNode($env:ALLOW2_MESSAGE)) | Out-Null',
+                        '$toast = [Windows.UI.Notifications.ToastNotification]::new($template)',
+                        "[Windows.UI.Notifications.ToastNotificationManager]::CreateToastNotifier('Allow2').Show($toast)"
+                    ].join('\n');
+                    execFile('powershell', [
+                        '-NoProfile',
+                        '-NonInteractive',
+                        '-EncodedCommand',
+                        Buffer.from(psScript, 'utf16le').toString('base64')
+                    ], {
+                        windowsHide: true,
+                        env: { ...process.env, ALLOW2_TITLE: title, ALLOW2_MESSAGE: message }
+                    }, () => {});
                 } else if (platform === 'darwin') {
-                    // macOS notification
-                    exec(`osascript -e 'display notification "${message}" with title "Allow2 Parental Control"'`);
+                    // macOS notification, with the text passed as run arguments
+                    execFile('osascript', [
+                        '-e', 'on run argv',
+                        '-e', 'display notification (item 1 of argv) with title (item 2 of argv)',
+                        '-e', 'end run',
+                        message,
+                        title
+                    ], () => {});
                 } else {
                     // Linux notification
-                    exec(`notify-send "Allow2 Parental Control" "${message}"`);
+                    execFile('notify-send', ['--', title, message], () => {});
                 }
             } catch (error) {
                 console.error('[KillBrowsers] Notification failed:', error.message);
             }
         }
 
+        /**
+         * pgrep/pkill pattern for a process name. They take an extended
+         * regex, so an app name's "(" or "." must not be read as one.
+         */
+        function namePattern(processName) {
+            return processName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        }
+
+        /**
+         * Check whether any process with this name is running
+         */
+        function isRunning(processName) {
+            const platform = process.platform;
+
+            try {
+                if (platform === 'win32') {
+                    const output = runSync('tasklist', ['/FI', `IMAGENAME eq ${processName}`, ...winUserFilter, '/NH']);
+                    return output.toLowerCase().includes(processName.toLowerCase());
+                }
+
+                // pgrep exits non-zero when nothing matches
+                runSync('pgrep', [...unixUserFilter, '--', namePattern(processName)]);
+                return true;
+            } catch (error) {
+                return false;
+            }
+        }
+
+        /**
+         * Ask a browser to close itself so it can save session and form data
+         */
+        function requestClose(processName) {
+            const platform = process.platform;
+
+            try {
+                if (platform === 'win32') {
+                    // Without /F, taskkill sends WM_CLOSE to the process windows
+                    runSync('taskkill', ['/IM', processName, ...winUserFilter], 10000);
+                } else if (platform === 'darwin' && !username) {
+                    // Quit the app through Apple Events, as if the user pressed Cmd+Q.
+                    // Apple Events only reach our own login, so another user's are sent SIGTERM.
+                    runSync('osascript', [
+                        '-e', 'on run argv',
+                        '-e', 'tell application (item 1 of argv) to quit',
+                        '-e', 'end run',
+                        processName
+                    ]);
+                } else {
+                    // Linux
+                    runSync('pkill', ['-TERM', ...unixUserFilter, '--', namePattern(processName)]);
+                }
+                return true;
+            } catch (error) {
+                // Process may have exited already or ignored the request
+                return false;
+            }
+        }
+
         /**
          * Kill a process by name on current platform
          */
@@ -125,30 +228,17 @@ export default {
 
             try {
                 if (platform === 'win32') {
-                    execSync(`taskkill /IM "${processName}" /F`, {
-                        encoding: 'utf8',
-                        timeout: 10000,
-                        windowsHide: true,
-                        stdio: 'pipe'
-                    });
+                    runSync('taskkill', ['/IM', processName, ...winUserFilter, '/F'], 10000);
                     killed = true;
                 } else if (platform === 'darwin') {
                     // Try pkill first, then killall
                     try {
-                        execSync(`pkill -9 "${processName}"`, {
-                            encoding: 'utf8',
-                            timeout: 5000,
-                            stdio: 'pipe'
-                        });
+                        runSync('pkill', ['-9', ...unixUserFilter, '--', namePattern(processName)]);
                         killed = true;
                     } catch (e) {
                         // pkill may fail if no matching process, try killall
                         try {
-                            execSync(`killall -9 "${processName}"`, {
-                                encoding: 'utf8',
-                                timeout: 5000,
-                                stdio: 'pipe'
-                            });
+                            runSync('killall', ['-9', ...unixUserFilter, processName]);
                             killed = true;
                         } catch (e2) {
                             // Process may not exist
@@ -157,11 +247,7 @@ export default {
                 } else {
                     // Linux
                     try {
-                        execSync(`pkill -9 "${processName}"`, {
-                            encoding: 'utf8',
-                            timeout: 5000,
-                            stdio: 'pipe'
-                        });
+                        runSync('pkill', ['-9', ...unixUserFilter, '--', namePattern(processName)]);
                         killed = true;
                     } catch (e) {
                         // Process may not exist
@@ -176,69 +262,90 @@ export default {
         }
 
         /**
-         * Kill all instances of a browser
+         * Running process names for a browser
          */
-        function killBrowser(browserName) {
+        function findRunning(browserName) {
             const platform = process.platform;
-            const processes = browserProcesses[platform]?.[browserName] || [];
-            const killed = [];
-
-            for (const proc of processes) {
-                if (killProcess(proc)) {
-                    killed.push(proc);
-                }
-            }
-
-            return killed;
+            const processes = appsToKill.includes(browserName)
+                ? [browserName]
+                : browserProcesses[platform]?.[browserName] || [];
+            return processes.filter(proc => isRunning(proc));
         }
 
         /**
-         * Get list of browsers to kill
+         * Get list of browsers (and web-capable apps) to kill
          */
         function getBrowsersToKill() {
             if (browsers && Array.isArray(browsers) && browsers.length > 0) {
-                return browsers;
+                return browsers.concat(appsToKill);
+            }
+            if (Array.isArray(browsers) && appsToKill.length > 0) {
+                return appsToKill;
             }
             // Kill all browsers if none specified
-            return Object.keys(browserProcesses[process.platform] || {});
+            return Object.keys(browserProcesses[process.platform] || {}).concat(appsToKill);
         }
 
         // Show notification first
         const notificationMessage = reason || 'Internet time has been exhausted. Browsers are being closed.';
         showNotification(notificationMessage);
 
-        // If grace period specified, wait before killing
-        if (gracePeriod > 0) {
-            // Note: In agent sandbox, setTimeout may not be available
-            // The parent should handle grace period timing instead
-            console.log(`[KillBrowsers] Grace period of ${gracePeriod}s would apply`);
-        }
-
-        // Kill browsers
         const browsersToKill = getBrowsersToKill();
         const results = {
             killed: [],
             failed: [],
             timestamp: Date.now(),
             hostname: os.hostname(),
-            reason: reason
+            reason: reason,
+            username: username || null
         };
 
+        // Phase 1: ask every running browser to close itself
+        const running = {};
         for (const browser of browsersToKill) {
-            const killedProcesses = killBrowser(browser);
-            if (killedProcesses.length > 0) {
-                results.killed.push({
-                    browser,
-                    processes: killedProcesses
-                });
-            } else {
-                results.failed.push(browser);
+            running[browser] = findRunning(browser);
+            running[browser].forEach(proc => requestClose(proc));
+        }
+
+        // Phase 2: force kill whatever ignored the close request
+        function forceRemaining() {
+            for (const browser of browsersToKill) {
+                const closedGracefully = [];
+                const forceKilled = [];
+
+                for (const proc of running[browser]) {
+                    if (!isRunning(proc)) {
+                        closedGracefully.push(proc);
+                    } else if (killProcess(proc)) {
+                        forceKilled.push(proc);
+                    }
+                }
+
+                const killedProcesses = closedGracefully.concat(forceKilled);
+                if (killedProcesses.length > 0) {
+                    results.killed.push({
+                        browser,
+                        processes: killedProcesses,
+                        closedGracefully,
+                        forceKilled
+                    });
+                } else {
+                    results.failed.push(browser);
+                }
             }
+
+            return {
+                success: true,
+                ...results
+            };
         }
 
-        return {
-            success: true,
-            ...results
-        };
+        // Without timers in the sandbox, browsers get no time to close themselves
+        const anyRunning = Object.values(running).some(procs => procs.length > 0);
+        if (anyRunning && closeTimeout > 0 && typeof setTimeout === 'function') {
+            return new Promise(resolve => setTimeout(() => resolve(forceRemaining()), closeTimeout * 1000));
+        }
+
+        return forceRemaining();
     }
 };
@@ -0,0 +1,236 @@
+// Copyright [2025] [Allow2 Pty Ltd]
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict';
+
+/**
+ * Request Time Action
+ *
+ * This action script is DEPLOYED TO THE AGENT via PLUGIN_EXTENSIONS.
+ * It is triggered by the parent in place of a plain warning when time is
+ * running low. The child sees the warning in a dialog and can ask for more
+ * time (one of a few lengths) with an optional reason, or dismiss it.
+ *
+ * The dialog runs in the background so the agent carries on meanwhile; the
+ * script resolves once it closes (or times out), so the child's answer comes
+ * back to the parent as this action's response.
+ */
+export default {
+    id: 'request-time',
+    version: '1.1.0',
+    platforms: ['win32', 'darwin', 'linux'],
+
+    /**
+     * Script that runs ON THE AGENT to ask the child whether they want more time
+     * This function is serialized and executed in the agent's sandbox
+     *
+     * @param {Object} args - Arguments from parent
+     * @param {string} args.childId - Child being asked, echoed back in the response
+     * @param {string} args.message - Warning shown above the choices
+     * @param {number[]} args.options - Minutes the child can ask for (at most two, default [15, 30])
+     * @param {number} args.timeout - Seconds before the dialog closes unanswered (default 60)
+     * @returns {Promise<Object>} Result of the action - requested, minutes and reason are the child's answer
+     */
+    script: function(args) {
+        const { execFile } = require('child_process');
+        const os = require('os');
+
+        const {
+            childId = null,
+            message,
+            options = [15, 30],
+            timeout = 60
+        } = args || {};
+
+        const title = 'Allow2 - Internet Time';
+        const text = String(message || 'Your internet time is running out.');
+        const dialogTimeout = Math.max(10, Math.min(Math.round(Number(timeout) || 60), 300));
+
+        // macOS dialogs take three buttons, one of which is "No thanks"
+        const minutesOptions = (Array.isArray(options) ? options : [])
+            .map(Number)
+            .filter(minutes => Number.isInteger(minutes) && minutes > 0 && minutes <= 240)
+            .slice(0, 2);
+        if (minutesOptions.length === 0) {
+            minutesOptions.push(15);
+        }
+
+        /**
+         * Run the dialog program and resolve with what it printed. The text is
+         * only ever an argument or environment variable, never script source.
+         * Exit codes other than 0 come back as { status, stdout }, and a
+         * dialog that outlived the timeout as stdout "timeout".
+         */
+        function runDialog(file, fileArgs, env = {}) {
+            return new Promise((resolve, reject) => {
+                execFile(file, fileArgs, {
+                    encoding: 'utf8',
+                    windowsHide: true,
+                    timeout: (dialogTimeout + 15) * 1000,
+                    env: { ...process.env, ...env }
+                }, (error, stdout) => {
+                    if (error && error.code === 'ENOENT') {
+                        reject(new Error(`${file} is not available`));
+                    } else if (error) {
+                        resolve({ status: error.code, stdout: error.signal ? 'timeout' : String(stdout || '') });
+                    } else {
+                        resolve({ status: 0, stdout: String(stdout || '') });
+                    }
+                });
+            });
+        }
+
+        /**
+         * Windows Forms dialog with a reason box and a button per option.
+         * Prints the minutes chosen (0 for none), then the reason.
+         */
+        function askWindows() {
+            const script = [
+                'Add-Type -AssemblyName System.Windows.Forms',
+                '$form = New-Object System.Windows.Forms.Form',
+                '$form.Text = $env:ALLOW2_TITLE',
+                '$form.TopMost = $true',
+                "$form.FormBorderStyle = 'FixedDialog'",
+                "$form.StartPosition = 'CenterScreen'",
+                '$form.ClientSize = New-Object System.Drawing.Size(400, 150)',
+                '$label = New-Object System.Windows.Forms.Label',
+                '$label.Text = $env:ALLOW2_MESSAGE',
+                '$label.SetBounds(10, 10, 380, 40)',
+                '$hint = New-Object System.Windows.Forms.Label',
+                "$hint.Text = 'Why do you need more time? (optional)'",
+                '$hint.SetBounds(10, 55, 380, 18)',
+                '$reason = New-Object System.Windows.Forms.TextBox',
+                '$reason.SetBounds(10, 75, 380, 20)',
+                '$form.Controls.AddRange(@($label, $hint, $reason))',
+                '$script:choice = 0',
+                '$script:timedOut = 0',
+                '$x = 10',
+                "foreach ($minutes in $env:ALLOW2_OPTIONS.Split(',')) {",
+                '    $button = New-Object System.Windows.Forms.Button',
+                '    $button.Text = "Ask for $minutes minutes"',
+                '    $button.Tag = [int]$minutes',
+                '    $button.SetBounds($x, 110, 125, 30)',
+                '    $button.Add_Click({ $script:choice = $this.Tag; $form.Close() })',
+                '    $form.Controls.Add($button)',
+                '    $x += 130',
+                '}',
+                '$dismiss = New-Object System.Windows.Forms.Button',
+                "$dismiss.Text = 'No thanks'",
+                '$dismiss.SetBounds(290, 110, 100, 30)',
+                '$dismiss.Add_Click({ $form.Close() })',
+                '$form.Controls.Add($dismiss)',
+                '$timer = New-Object System.Windows.Forms.Timer',
+                '$timer.Interval = [int]$env:ALLOW2_TIMEOUT * 1000',
+                '$timer.Add_Tick({ $script:timedOut = 1; $form.Close() })',
+                '$timer.Start()',
+                '[void]$form.ShowDialog()',
+                'if ($script:timedOut) { Write-Output timeout } else { Write-Output $script:choice }',
+                'Write-Output $reason.Text'
+            ].join('\n');
+
+            return runDialog('powershell', [
+                '-NoProfile',
+                '-NonInteractive',
+                '-EncodedCommand',
+                Buffer.from(script, 'utf16le').toString('base64')
+            ], {
+                ALLOW2_TITLE: title,
+                ALLOW2_MESSAGE: text,
+                ALLOW2_OPTIONS: minutesOptions.join(','),
+                ALLOW2_TIMEOUT: String(dialogTimeout)
+            }).then(result => result.stdout);
+        }
+
+        /**
+         * AppleScript dialog; the text and button labels are run arguments.
+         * Prints the button pressed, then the reason.
+         */
+        function askMac() {
+            return runDialog('osascript', [
+                '-e', 'on run argv',
+                '-e', 'set choices to {"No thanks"} & (items 4 thru -1 of argv)',
+                '-e', 'set answer to display dialog (item 2 of argv) with title (item 1 of argv) default answer "" ' +
+                    'buttons choices default button (count of choices) giving up after ((item 3 of argv) as integer)',
+                '-e', 'if gave up of answer then return "timeout"',
+                '-e', 'return (button returned of answer) & linefeed & (text returned of answer)',
+                '-e', 'end run',
+                title,
+                `${text}\n\nWhy do you need more time? (optional)`,
+                String(dialogTimeout),
+                ...minutesOptions.map(minutes => `Ask for ${minutes} minutes`)
+            ]).then(result => result.stdout);
+        }
+
+        /**
+         * zenity form with a choice of minutes and a reason. Prints the
+         * minutes, then the reason; exit 1 is "No thanks", 5 a timeout.
+         * zenity reads --text as Pango markup, so &, < and > are escaped.
+         */
+        function askLinux() {
+            const markup = text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+            return runDialog('zenity', [
+                '--forms',
+                `--title=${title}`,
+                `--text=${markup}`,
+                '--add-combo=Minutes',
+                `--combo-values=${minutesOptions.join('|')}`,
+                '--add-entry=Why do you need more time? (optional)',
+                '--separator=\n',
+                '--ok-label=Ask for more time',
+                '--cancel-label=No thanks',
+                `--timeout=${dialogTimeout}`
+            ]).then((result) => {
+                if (result.status === 5 || result.stdout === 'timeout') {
+                    return 'timeout';
+                }
+                if (result.status !== 0) {
+                    return '0';
+                }
+
+                // No minutes picked means the first option
+                const [minutes, ...reason] = result.stdout.split('\n');
+                return `${minutes.trim() || minutesOptions[0]}\n${reason.join(' ')}`;
+            });
+        }
+
+        const ask = process.platform === 'win32' ? askWindows
+            : process.platform === 'darwin' ? askMac
+            : askLinux;
+
+        return Promise.resolve().then(ask).then((answer) => {
+            const [choice = '', ...rest] = String(answer || '').split(/\r?\n/);
+            const timedOut = choice.trim() === 'timeout';
+            const chosen = parseInt((choice.match(/\d+/) || ['0'])[0], 10);
+            const minutes = !timedOut && minutesOptions.includes(chosen) ? chosen : 0;
+
+            return {
+                success: true,
+                childId,
+                requested: minutes > 0,
+                minutes,
+                reason: minutes > 0 ? rest.join(' ').trim().slice(0, 200) || null : null,
+                timedOut,
+                timestamp: Date.now(),
+                hostname: os.hostname()
+            };
+        }, error => ({
+            success: false,
+            error: `Unable to show the request dialog: ${error.message}`,
+            childId,
+            timestamp: Date.now(),
+            hostname: os.hostname()
+        }));
+    }
+};
@@ -0,0 +1,364 @@
+// Copyright [2025] [Allow2 Pty Ltd]
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict';
+
+/**
+ * Schedule Shutdown Action
+ *
+ * This action script is DEPLOYED TO THE AGENT via PLUGIN_EXTENSIONS.
+ * It is triggered by the parent with the time at which the child's internet
+ * allowance runs out, so the agent can enforce it without the parent.
+ *
+ * The deadline is written to a schedule file in the agent's temp directory
+ * and a local ticker shows the configured warnings and kills browsers when
+ * the deadline passes, even if the connection to the parent has been lost.
+ * The update-shutdown and cancel-shutdown actions edit the same file.
+ */
+export default {
+    id: 'schedule-shutdown',
+    version: '1.3.0',
+    platforms: ['win32', 'darwin', 'linux'],
+
+    /**
+     * Script that runs ON THE AGENT to arm a local shutdown deadline
+     * This function is serialized and executed in the agent's sandbox
+     *
+     * @param {Object} args - Arguments from parent
+     * @param {number} args.shutdownTime - Unix timestamp (ms) at which browsers are killed
+     * @param {string} args.reason - Reason shown to the user at shutdown
+     * @param {number[]} args.warningIntervals - Minutes before shutdown to warn
+     * @param {string} args.username - Only close this OS user's browsers (optional, all users if not specified)
+     * @returns {Object} Result of the action
+     */
+    script: function(args) {
+        const { execFileSync, execFile } = require('child_process');
+        const fs = require('fs');
+        const os = require('os');
+        const path = require('path');
+
+        const { shutdownTime, reason, warningIntervals = [10, 5, 2, 1], username } = args || {};
+
+        // Shared with update-shutdown, cancel-shutdown and the browser-detector
+        // monitor. One schedule per OS user, so children sharing the computer
+        // keep their own deadlines.
+        const userKey = username ? `@${encodeURIComponent(String(username).toLowerCase())}` : '';
+        const registryKey = '__allow2WebBrowsersShutdown';
+        const tickIntervalMs = 5000;
+        const closeTimeoutMs = 5000;
+
+        // Browser process patterns by platform
+        const browserProcesses = {
+            win32: ['chrome.exe', 'firefox.exe', 'msedge.exe', 'brave.exe', 'opera.exe', 'vivaldi.exe'],
+            darwin: ['Google Chrome', 'Firefox', 'Safari', 'Microsoft Edge', 'Brave Browser', 'Opera', 'Vivaldi', 'Arc'],
+            linux: ['chrome', 'google-chrome', 'chromium', 'firefox', 'microsoft-edge', 'brave', 'opera', 'vivaldi']
+        };
+
+        if (!shutdownTime || isNaN(shutdownTime)) {
+            return {
+                success: false,
+                error: 'shutdownTime is required',
+                timestamp: Date.now(),
+                hostname: os.hostname()
+            };
+        }
+
+        if (username && !/^[\w.\- ]+$/.test(username)) {
+            return {
+                success: false,
+                error: 'Invalid username',
+                timestamp: Date.now(),
+                hostname: os.hostname()
+            };
+        }
+
+        const stateDir = getStateDir();
+        if (!stateDir) {
+            return {
+                success: false,
+                error: 'No private state directory on this agent',
+                timestamp: Date.now(),
+                hostname: os.hostname()
+            };
+        }
+        const scheduleFile = path.join(stateDir, `shutdown${userKey}.json`);
+
+        /**
+         * Show notification on current platform. The message is passed as a
+         * program argument or environment variable, never through a shell.
+         */
+        function showNotification(message) {
+            const platform = process.platform;
+            const title = 'Allow2 - Internet Time';
+
+            try {
+                if (platform === 'win32') {
+                    const psScript = [
+                        'Add-Type -AssemblyName System.Windows.Forms',
+                        '$balloon = New-Object System.Windows.Forms.NotifyIcon',
+                        '$balloon.Icon = [System.Drawing.SystemIcons]::Warning',
+                        '$balloon.BalloonTipTitle = $env:ALLOW2_TITLE',
+                        '$balloon.BalloonTipText = $env:ALLOW2_MESSAGE',
+                        '$balloon.Visible = $true',
+                        '$balloon.ShowBalloonTip(10000)',
+                        'Start-Sleep -Seconds 2',
+                        '$balloon.Dispose()'
+                    ].join('\n');
+                    // -EncodedCommand (base64 UTF-16LE) sidesteps command line quoting
+                    execFile('powershell', [
+                        '-NoProfile',
+                        '-NonInteractive',
+                        '-EncodedCommand',
+                        Buffer.from(psScript, 'utf16le').toString('base64')
+                    ], {
+                        windowsHide: true,
+                        env: { ...process.env, ALLOW2_TITLE: title, ALLOW2_MESSAGE: message }
+                    }, () => {});
+                } else if (platform === 'darwin') {
+                    execFile('osascript', [
+                        '-e', 'on run argv',
+                        '-e', 'display notification (item 1 of argv) with title (item 2 of argv)',
+                        '-e', 'end run',
+                        message,
+                        title
+                    ], () => {});
+                } else {
+                    execFile('notify-send', ['-u', 'critical', '--', title, message], () => {});
+                }
+            } catch (error) {
+                console.error('[ScheduleShutdown] Notification failed:', error.message);
+            }
+        }
+
+        /**
+         * Ask a browser to close itself, or force kill it.
+         * Limited to one user's processes when the schedule names a user.
+         */
+        function stopProcess(processName, force, user) {
+            const platform = process.platform;
+
+            try {
+                if (platform === 'win32') {
+                    // Without /F, taskkill sends WM_CLOSE to the process windows
+                    const userFilter = user ? ['/FI', `USERNAME eq ${user}`] : [];
+                    execFileSync('taskkill', ['/IM', processName, ...userFilter, ...(force ? ['/F'] : [])], {
+                        encoding: 'utf8',
+                        timeout: 10000,
+                        windowsHide: true,
+                        stdio: 'pipe'
+                    });
+                } else if (platform === 'darwin' && !force && !user) {
+                    execFileSync('osascript', [
+                        '-e', 'on run argv',
+                        '-e', 'tell application (item 1 of argv) to quit',
+                        '-e', 'end run',
+                        processName
+                    ], {
+                        encoding: 'utf8',
+                        timeout: 5000,
+                        stdio: 'pipe'
+                    });
+                } else {
+                    execFileSync('pkill', [force ? '-9' : '-TERM', ...(user ? ['-u', user] : []), '--', processName], {
+                        encoding: 'utf8',
+                        timeout: 5000,
+                        stdio: 'pipe'
+                    });
+                }
+                return true;
+            } catch (error) {
+                // Process may not be running
+                return false;
+            }
+        }
+
+        /**
+         * Close every known browser politely, then force kill any left after closeTimeoutMs.
+         * The ticker runs on a timer, so the wait does not block the agent.
+         */
+        function killAllBrowsers(user, onDone) {
+            const processes = browserProcesses[process.platform] || browserProcesses.linux;
+            const closing = processes.filter(proc => stopProcess(proc, false, user));
+
+            const forceRemaining = () => {
+                const forced = closing.filter(proc => stopProcess(proc, true, user));
+                onDone(closing, forced);
+            };
+
+            if (closing.length > 0 && typeof setTimeout === 'function') {
+                setTimeout(forceRemaining, closeTimeoutMs);
+            } else {
+                forceRemaining();
+            }
+        }
+
+        /**
+         * The agent's private state directory, in its own home rather than the
+         * world-writable tmpdir. Created 0700 and only used while the agent
+         * owns it, so the child can neither edit its files nor plant links
+         * there. Null when it can't be had.
+         */
+        function getStateDir() {
+            const dir = path.join(os.homedir(), '.allow2-web-browsers');
+            try {
+                fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+                const stat = fs.lstatSync(dir);
+                if (!stat.isDirectory()) {
+                    return null;
+                }
+                if (typeof process.getuid === 'function') {
+                    if (stat.uid !== process.getuid()) {
+                        return null;
+                    }
+                    if (stat.mode & 0o077) {
+                        fs.chmodSync(dir, 0o700);
+                    }
+                }
+                return dir;
+            } catch (error) {
+                return null;
+            }
+        }
+
+        /**
+         * JSON from a state file, or null when missing, unreadable, or not a
+         * regular file the agent owns
+         */
+        function readState(file) {
+            try {
+                const stat = fs.lstatSync(file);
+                if (!stat.isFile() || (typeof process.getuid === 'function' && stat.uid !== process.getuid())) {
+                    return null;
+                }
+                return JSON.parse(fs.readFileSync(file, 'utf8'));
+            } catch (error) {
+                return null;
+            }
+        }
+
+        /**
+         * Replace a state file atomically: written to a file that must not
+         * exist yet, then renamed over the old one
+         */
+        function writeState(file, data) {
+            const temp = `${file}.${process.pid}.${Date.now()}.tmp`;
+            fs.writeFileSync(temp, JSON.stringify(data), { encoding: 'utf8', mode: 0o600, flag: 'wx' });
+            try {
+                fs.renameSync(temp, file);
+            } catch (error) {
+                fs.unlinkSync(temp);
+                throw error;
+            }
+        }
+
+        function readSchedule() {
+            return readState(scheduleFile);
+        }
+
+        function writeSchedule(schedule) {
+            writeState(scheduleFile, schedule);
+        }
+
+        function removeSchedule() {
+            try {
+                fs.unlinkSync(scheduleFile);
+            } catch (error) {
+                // Already removed
+            }
+        }
+
+        const registries = global[registryKey] || (global[registryKey] = {});
+        const registry = registries[userKey] || (registries[userKey] = {});
+
+        function stopTicker() {
+            if (registry.timer) {
+                clearInterval(registry.timer);
+                registry.timer = null;
+            }
+        }
+
+        /**
+         * Evaluate the schedule file: warn at each interval, kill at the deadline.
+         * The file is re-read every tick so update/cancel take effect immediately.
+         */
+        function tick() {
+            const schedule = readSchedule();
+            if (!schedule) {
+                // Cancelled
+                stopTicker();
+                return;
+            }
+
+            const remainingMs = schedule.shutdownTime - Date.now();
+
+            if (remainingMs <= 0) {
+                stopTicker();
+                removeSchedule();
+                showNotification(schedule.reason || 'Internet time has been exhausted. Browsers are being closed.');
+                killAllBrowsers(schedule.username, (closed, forced) => {
+                    console.log(`[ScheduleShutdown] Deadline reached, closed: ${closed.join(', ') || 'none'}, force killed: ${forced.join(', ') || 'none'}`);
+                });
+                return;
+            }
+
+            const remainingMinutes = remainingMs / 60000;
+            const warned = schedule.warned || [];
+            const due = (schedule.warningIntervals || [])
+                .filter(minutes => remainingMinutes <= minutes && !warned.includes(minutes));
+
+            if (due.length > 0) {
+                const minutesLeft = Math.max(1, Math.ceil(remainingMinutes));
+                showNotification(`${minutesLeft} minute${minutesLeft !== 1 ? 's' : ''} of internet time remaining. Browsers will close automatically.`);
+
+                // Only the latest threshold is shown; earlier ones are implied
+                schedule.warned = warned.concat(due);
+                writeSchedule(schedule);
+            }
+        }
+
+        try {
+            writeSchedule({
+                shutdownTime,
+                reason,
+                warningIntervals,
+                username: username || null,
+                warned: [],
+                scheduledAt: Date.now()
+            });
+        } catch (error) {
+            return {
+                success: false,
+                error: `Unable to write schedule: ${error.message}`,
+                timestamp: Date.now(),
+                hostname: os.hostname()
+            };
+        }
+
+        stopTicker();
+        if (typeof setInterval === 'function') {
+            registry.timer = setInterval(tick, tickIntervalMs);
+        }
+        tick();
+
+        return {
+            success: true,
+            shutdownTime,
+            reason,
+            warningIntervals,
+            enforcedLocally: !!registry.timer,
+            timestamp: Date.now(),
+            hostname: os.hostname()
+        };
+    }
+};
@@ -26,6 +26,7 @@
  */
 export default {
     id: 'show-warning',
+    version: '1.1.0',
     platforms: ['win32', 'darwin', 'linux'],
 
     /**
@@ -40,7 +41,7 @@ export default {
      * @returns {Object} Result of the action
      */
     script: function(args) {
-        const { exec } = require('child_process');
+        const { execFile } = require('child_process');
         const os = require('os');
 
         const { message, remaining, type, urgency = 'normal' } = args || {};
@@ -64,6 +65,28 @@ export default {
             displayMessage = 'WARNING: ' + displayMessage;
         }
 
+        /**
+         * Run a program without a shell, so nothing in its arguments is
+         * interpreted. Notifications and sounds are fire and forget.
+         */
+        function run(file, fileArgs, options = {}) {
+            execFile(file, fileArgs, { windowsHide: true, ...options }, () => {});
+        }
+
+        /**
+         * Run a PowerShell script passed as -EncodedCommand (base64 UTF-16LE),
+         * which no command line quoting can break. Text reaches the script
+         * through environment variables rather than the script source.
+         */
+        function runPowerShell(script, env = {}) {
+            run('powershell', [
+                '-NoProfile',
+                '-NonInteractive',
+                '-EncodedCommand',
+                Buffer.from(script, 'utf16le').toString('base64')
+            ], { env: { ...process.env, ...env } });
+        }
+
         /**
          * Show notification on current platform
          */
@@ -72,31 +95,33 @@ export default {
 
             try {
                 if (platform === 'win32') {
-                    // Windows toast notification via PowerShell
-                    const psScript = `
-                        Add-Type -AssemblyName System.Windows.Forms
-                        $balloon = New-Object System.Windows.Forms.NotifyIcon
-                        $balloon.Icon = [System.Drawing.SystemIcons]::Warning
-                        $balloon.BalloonTipIcon = 'Warning'
-                        $balloon.BalloonTipTitle = '${title.replace(/'/g, "''")}'
-                        $balloon.BalloonTipText = '${body.replace(/'/g, "''")}'
-                        $balloon.Visible = $true
-                        $balloon.ShowBalloonTip(10000)
-                        Start-Sleep -Seconds 2
-                        $balloon.Dispose()
-                    `;
-
-                    exec(`powershell -Command "${psScript.replace(/"/g, '\\"').replace(/\n/g, ' ')}"`, {
-                        windowsHide: true
-                    });
+                    // Windows balloon notification via PowerShell
+                    runPowerShell([
+                        'Add-Type -AssemblyName System.Windows.Forms',
+                        '$balloon = New-Object System.Windows.Forms.NotifyIcon',
+                        '$balloon.Icon = [System.Drawing.SystemIcons]::Warning',
+                        "$balloon.BalloonTipIcon = 'Warning'",
+                        '$balloon.BalloonTipTitle = $env:ALLOW2_TITLE',
+                        '$balloon.BalloonTipText = $env:ALLOW2_MESSAGE',
+                        '$balloon.Visible = $true',
+                        '$balloon.ShowBalloonTip(10000)',
+                        'Start-Sleep -Seconds 2',
+                        '$balloon.Dispose()'
+                    ].join('\n'), { ALLOW2_TITLE: title, ALLOW2_MESSAGE: body });
                 } else if (platform === 'darwin') {
-                    // macOS notification with sound if urgent
+                    // macOS notification with sound if urgent. The text is
+                    // handed to the AppleScript as run arguments, not spliced into it.
                     const soundOption = isUrgent ? ' sound name "Basso"' : '';
-                    exec(`osascript -e 'display notification "${body.replace(/"/g, '\\"')}" with title "${title.replace(/"/g, '\\"')}"${soundOption}'`);
+                    run('osascript', [
+                        '-e', 'on run argv',
+                        '-e', `display notification (item 1 of argv) with title (item 2 of argv)${soundOption}`,
+                        '-e', 'end run',
+                        body,
+                        title
+                    ]);
                 } else {
-                    // Linux notification using notify-send
-                    const urgencyLevel = isUrgent ? '-u critical' : '-u normal';
-                    exec(`notify-send ${urgencyLevel} -t 10000 "${title}" "${body}"`);
+                    // Linux notification using notify-send; -- so a body starting with - is not an option
+                    run('notify-send', ['-u', isUrgent ? 'critical' : 'normal', '-t', '10000', '--', title, body]);
                 }
 
                 return true;
@@ -115,15 +140,13 @@ export default {
             try {
                 if (platform === 'win32') {
                     // Windows system sound
-                    exec('powershell -Command "[System.Media.SystemSounds]::Exclamation.Play()"', {
-                        windowsHide: true
-                    });
+                    runPowerShell('[System.Media.SystemSounds]::Exclamation.Play()');
                 } else if (platform === 'darwin') {
                     // macOS system sound
-                    exec('afplay /System/Library/Sounds/Basso.aiff &');
+                    run('afplay', ['/System/Library/Sounds/Basso.aiff']);
                 } else {
                     // Linux beep (may not work on all systems)
-                    exec('paplay /usr/share/sounds/freedesktop/stereo/message.oga &');
+                    run('paplay', ['/usr/share/sounds/freedesktop/stereo/message.oga']);
                 }
             } catch (error) {
                 // Sound is optional, don't fail
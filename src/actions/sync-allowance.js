@@ -0,0 +1,645 @@
+// Copyright [2025] [Allow2 Pty Ltd]
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict';
+
+/**
+ * Sync Allowance Action
+ *
+ * This action script is DEPLOYED TO THE AGENT via PLUGIN_EXTENSIONS.
+ * The parent triggers it about once a minute with the linked child's
+ * remaining internet time and allowed-hours schedule, so the agent can go
+ * on enforcing both when it loses the connection to the parent.
+ *
+ * The allowance is cached in the agent's temp directory. The browser-detector
+ * monitor charges chargeable browsing to a usage ledger next to it, and
+ * reports the ledger until the parent acknowledges it (ackedThrough), which
+ * is how usage counted offline reaches the parent after a reconnect.
+ *
+ * A local ticker stays quiet while syncs keep arriving. Once none has
+ * arrived for offlineAfter, it warns as the cached allowance minus the
+ * ledger runs down and force kills the child's browsers when it reaches
+ * zero or the schedule says browsing is not allowed right now.
+ */
+export default {
+    id: 'sync-allowance',
+    version: '1.7.0',
+    platforms: ['win32', 'darwin', 'linux'],
+
+    /**
+     * Script that runs ON THE AGENT to cache the child's allowance
+     * This function is serialized and executed in the agent's sandbox
+     *
+     * @param {Object} args - Arguments from parent
+     * @param {string} args.childId - Child the allowance belongs to
+     * @param {string} args.username - Only count and close this OS user's browsers (optional, all users if not specified)
+     * @param {number} args.remainingSeconds - Internet time left as of ackedThrough, -1 for unlimited
+     * @param {string} args.reason - Reason shown when browsers are closed offline
+     * @param {number} args.resetAt - Unix timestamp (ms) of the child's next daily reset; the cached
+     *                                allowance is not enforced after it
+     * @param {Object} args.schedule - Allowed hours { timeZone, windows: [{ day (0 = Sunday), start 'HH:MM',
+     *                                 end 'HH:MM' or '24:00' }] }, or null for any time
+     * @param {number} args.extendedUntil - Timestamp (ms) until which the parent granted bonus time;
+     *                                     nothing is enforced before it
+     * @param {number} args.ackedThrough - Timestamp (ms) of the last monitor report the parent has charged
+     * @param {number} args.offlineAfter - Milliseconds without a sync before enforcing locally (default 180000)
+     * @param {number[]} args.warningMinutes - Minutes before the allowance runs out to warn while offline
+     * @param {boolean} args.chargeForegroundOnly - Only count time while a browser has focus
+     * @param {number} args.idleThreshold - Seconds of no input after which time stops counting, 0 = never
+     * @param {number} args.checkInterval - Monitor interval (ms); no more than two are counted per run
+     * @param {boolean} args.clear - Remove username's cached allowance (child unlinked or offline enforcement off)
+     * @returns {Object} Result of the action
+     */
+    script: function(args) {
+        const { execFileSync, execFile } = require('child_process');
+        const fs = require('fs');
+        const os = require('os');
+        const path = require('path');
+
+        const {
+            childId,
+            username,
+            remainingSeconds,
+            reason,
+            resetAt = null,
+            schedule = null,
+            extendedUntil = null,
+            ackedThrough = 0,
+            offlineAfter = 180000,
+            warningMinutes = [15, 5, 1],
+            chargeForegroundOnly = false,
+            idleThreshold = 0,
+            checkInterval = 10000,
+            clear = false
+        } = args || {};
+
+        // Shared with the browser-detector monitor, in the agent's private state
+        // directory. One allowance per OS user, so children sharing the computer
+        // count down separately.
+        const userKey = username ? `@${encodeURIComponent(String(username).toLowerCase())}` : '';
+        const registryKey = '__allow2WebBrowsersAllowance';
+        const tickIntervalMs = 5000;
+        const notifyEveryMs = 15000;
+        const maxAttempts = 100;
+
+        // Browser process names by platform, matched exactly (case-insensitive)
+        const browserProcesses = {
+            win32: {
+                chrome: ['chrome.exe'],
+                firefox: ['firefox.exe'],
+                edge: ['msedge.exe'],
+                brave: ['brave.exe'],
+                opera: ['opera.exe'],
+                vivaldi: ['vivaldi.exe']
+            },
+            darwin: {
+                chrome: ['Google Chrome'],
+                firefox: ['firefox', 'Firefox'],
+                safari: ['Safari'],
+                edge: ['Microsoft Edge'],
+                brave: ['Brave Browser'],
+                opera: ['Opera'],
+                vivaldi: ['Vivaldi'],
+                arc: ['Arc']
+            },
+            linux: {
+                chrome: ['chrome', 'google-chrome', 'chromium', 'chromium-browser'],
+                firefox: ['firefox', 'firefox-esr'],
+                edge: ['microsoft-edge', 'msedge'],
+                brave: ['brave', 'brave-browser'],
+                opera: ['opera'],
+                vivaldi: ['vivaldi']
+            }
+        };
+
+        /**
+         * The agent's private state directory, in its own home rather than the
+         * world-writable tmpdir. Created 0700 and only used while the agent
+         * owns it, so the child can neither edit its files nor plant links
+         * there. Null when it can't be had.
+         */
+        function getStateDir() {
+            const dir = path.join(os.homedir(), '.allow2-web-browsers');
+            try {
+                fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+                const stat = fs.lstatSync(dir);
+                if (!stat.isDirectory()) {
+                    return null;
+                }
+                if (typeof process.getuid === 'function') {
+                    if (stat.uid !== process.getuid()) {
+                        return null;
+                    }
+                    if (stat.mode & 0o077) {
+                        fs.chmodSync(dir, 0o700);
+                    }
+                }
+                return dir;
+            } catch (error) {
+                return null;
+            }
+        }
+
+        /**
+         * JSON from a state file, or null when missing, unreadable, or not a
+         * regular file the agent owns
+         */
+        function readState(file) {
+            try {
+                const stat = fs.lstatSync(file);
+                if (!stat.isFile() || (typeof process.getuid === 'function' && stat.uid !== process.getuid())) {
+                    return null;
+                }
+                return JSON.parse(fs.readFileSync(file, 'utf8'));
+            } catch (error) {
+                return null;
+            }
+        }
+
+        /**
+         * Replace a state file atomically: written to a file that must not
+         * exist yet, then renamed over the old one
+         */
+        function writeState(file, data) {
+            const temp = `${file}.${process.pid}.${Date.now()}.tmp`;
+            fs.writeFileSync(temp, JSON.stringify(data), { encoding: 'utf8', mode: 0o600, flag: 'wx' });
+            try {
+                fs.renameSync(temp, file);
+            } catch (error) {
+                fs.unlinkSync(temp);
+                throw error;
+            }
+        }
+
+        const stateDir = getStateDir();
+        if (!stateDir) {
+            return {
+                success: false,
+                error: 'No private state directory on this agent',
+                timestamp: Date.now(),
+                hostname: os.hostname()
+            };
+        }
+        const allowanceFile = path.join(stateDir, `allowance${userKey}.json`);
+        const ledgerFile = path.join(stateDir, `allowance-ledger${userKey}.json`);
+        const attemptsFile = path.join(stateDir, `launch-attempts${userKey}.json`);
+
+        const registries = global[registryKey] || (global[registryKey] = {});
+        const registry = registries[userKey] || (registries[userKey] = {});
+
+        function stopTicker() {
+            if (registry.timer) {
+                clearInterval(registry.timer);
+                registry.timer = null;
+            }
+        }
+
+        function removeFile(file) {
+            try {
+                fs.unlinkSync(file);
+            } catch (error) {
+                // Already removed
+            }
+        }
+
+        if (clear) {
+            stopTicker();
+            removeFile(allowanceFile);
+            removeFile(ledgerFile);
+            return {
+                success: true,
+                cleared: true,
+                timestamp: Date.now(),
+                hostname: os.hostname()
+            };
+        }
+
+        if (!childId || typeof remainingSeconds !== 'number' || isNaN(remainingSeconds)) {
+            return {
+                success: false,
+                error: 'childId and remainingSeconds are required',
+                timestamp: Date.now(),
+                hostname: os.hostname()
+            };
+        }
+
+        if (username && !/^[\w.\- ]+$/.test(username)) {
+            return {
+                success: false,
+                error: 'Invalid username',
+                timestamp: Date.now(),
+                hostname: os.hostname()
+            };
+        }
+
+        /**
+         * Show notification on current platform. The message is passed as a
+         * program argument or environment variable, never through a shell.
+         */
+        function showNotification(message) {
+            const platform = process.platform;
+            const title = 'Allow2 - Internet Time';
+
+            try {
+                if (platform === 'win32') {
+                    const psScript = [
+                        'Add-Type -AssemblyName System.Windows.Forms',
+                        '$balloon = New-Object System.Windows.Forms.NotifyIcon',
+                        '$balloon.Icon = [System.Drawing.SystemIcons]::Warning',
+                        '$balloon.BalloonTipTitle = $env:ALLOW2_TITLE',
+                        '$balloon.BalloonTipText = $env:ALLOW2_MESSAGE',
+                        '$balloon.Visible = $true',
+                        '$balloon.ShowBalloonTip(10000)',
+                        'Start-Sleep -Seconds 2',
+                        '$balloon.Dispose()'
+                    ].join('\n');
+                    // -EncodedCommand (base64 UTF-16LE) sidesteps command line quoting
+                    execFile('powershell', [
+                        '-NoProfile',
+                        '-NonInteractive',
+                        '-EncodedCommand',
+                        Buffer.from(psScript, 'utf16le').toString('base64')
+                    ], {
+                        windowsHide: true,
+                        env: { ...process.env, ALLOW2_TITLE: title, ALLOW2_MESSAGE: message }
+                    }, () => {});
+                } else if (platform === 'darwin') {
+                    execFile('osascript', [
+                        '-e', 'on run argv',
+                        '-e', 'display notification (item 1 of argv) with title (item 2 of argv)',
+                        '-e', 'end run',
+                        message,
+                        title
+                    ], () => {});
+                } else {
+                    execFile('notify-send', ['-u', 'critical', '--', title, message], () => {});
+                }
+            } catch (error) {
+                console.error('[SyncAllowance] Notification failed:', error.message);
+            }
+        }
+
+        /**
+         * Full executable name of a Linux process whose comm the kernel cut
+         * to 15 characters ("chromium-browse"), from /proc/<pid>/exe or else
+         * argv[0]. Falls back to comm when neither continues it.
+         */
+        function getFullName(pid, comm) {
+            const candidates = [];
+            try {
+                candidates.push(fs.readlinkSync(`/proc/${pid}/exe`).replace(/ \(deleted\)$/, ''));
+            } catch (error) {
+                // Exited, or no access to its executable
+            }
+            try {
+                candidates.push(fs.readFileSync(`/proc/${pid}/cmdline`, 'utf8').split('\0')[0]);
+            } catch (error) {
+                // Exited
+            }
+            const full = candidates.map(file => path.basename(file)).find(name => name.startsWith(comm));
+            return full || comm;
+        }
+
+        /**
+         * tasklist CSV output as { pid, name, user }; only /V lists owners
+         */
+        function parseTasklist(output) {
+            const processes = [];
+            for (const line of output.split('\n')) {
+                const fields = (line.match(/"([^"]*)"/g) || []).map(field => field.slice(1, -1));
+                if (fields.length >= 2) {
+                    processes.push({ name: fields[0], pid: parseInt(fields[1], 10), user: fields[6] || null });
+                }
+            }
+            return processes;
+        }
+
+        /**
+         * Running processes as { pid, name, user }, without owners on Windows
+         */
+        function getProcessList() {
+            const platform = process.platform;
+            const processes = [];
+
+            try {
+                if (platform === 'win32') {
+                    // Without owners; listProcesses takes the verbose listing when they are needed
+                    const output = execFileSync('tasklist', ['/FO', 'CSV', '/NH'], {
+                        encoding: 'utf8',
+                        timeout: 10000,
+                        windowsHide: true,
+                        stdio: 'pipe'
+                    });
+                    processes.push(...parseTasklist(output));
+                } else {
+                    const psArgs = platform === 'darwin' ? ['-axco', 'pid,user,comm'] : ['-eo', 'pid,user:64,comm', '--no-headers'];
+                    const output = execFileSync('ps', psArgs, {
+                        encoding: 'utf8',
+                        timeout: 5000,
+                        stdio: 'pipe'
+                    });
+                    for (const line of output.split('\n')) {
+                        const match = line.trim().match(/^(\d+)\s+(\S+)\s+(.+)$/);
+                        if (match) {
+                            const pid = parseInt(match[1], 10);
+                            const comm = match[3].trim();
+                            const name = platform === 'linux' && comm.length === 15 ? getFullName(pid, comm) : comm;
+                            processes.push({ pid, user: match[2], name });
+                        }
+                    }
+                }
+            } catch (error) {
+                console.error('[SyncAllowance] Error getting process list:', error.message);
+            }
+
+            return processes;
+        }
+
+        function readJson(file, fallback) {
+            const data = readState(file);
+            return data === null ? fallback : data;
+        }
+
+        /**
+         * Append killed browsers for the monitor to report
+         */
+        function recordAttempts(attempts) {
+            try {
+                const existing = readJson(attemptsFile, []);
+                writeState(attemptsFile, existing.concat(attempts).slice(-maxAttempts));
+            } catch (error) {
+                console.error('[SyncAllowance] Unable to record attempts:', error.message);
+            }
+        }
+
+        /**
+         * Whether a process belongs to the child's user (ignoring any Windows domain)
+         */
+        function isChildUser(proc, user) {
+            if (!user) {
+                return true;
+            }
+            const owner = (proc.user || '').split('\\').pop().toLowerCase();
+            return owner === user.toLowerCase();
+        }
+
+        /**
+         * Minutes after midnight and weekday (0 = Sunday) of now in a time zone
+         */
+        function getWallClock(timeZone) {
+            const parts = {};
+            try {
+                const formatter = new Intl.DateTimeFormat('en-US', {
+                    timeZone: timeZone || undefined,
+                    hourCycle: 'h23',
+                    hour: 'numeric',
+                    minute: 'numeric',
+                    weekday: 'short'
+                });
+                for (const part of formatter.formatToParts(new Date())) {
+                    parts[part.type] = part.value;
+                }
+            } catch (error) {
+                // Unknown time zone - use the agent's own clock
+                const now = new Date();
+                return { weekday: now.getDay(), minuteOfDay: (now.getHours() * 60) + now.getMinutes() };
+            }
+
+            return {
+                weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday),
+                minuteOfDay: ((parseInt(parts.hour, 10) % 24) * 60) + parseInt(parts.minute, 10)
+            };
+        }
+
+        function parseTimeOfDay(time) {
+            const match = /^(\d{1,2}):(\d{2})$/.exec(time || '');
+            return match ? (parseInt(match[1], 10) * 60) + parseInt(match[2], 10) : null;
+        }
+
+        /**
+         * Whether the schedule allows browsing right now (no schedule allows any time)
+         */
+        function isAllowedHour(allowedHours) {
+            if (!allowedHours || !Array.isArray(allowedHours.windows)) {
+                return true;
+            }
+
+            const { weekday, minuteOfDay } = getWallClock(allowedHours.timeZone);
+            return allowedHours.windows.some(window => {
+                const start = parseTimeOfDay(window.start);
+                const end = parseTimeOfDay(window.end);
+                return window.day === weekday && start !== null && end !== null &&
+                    minuteOfDay >= start && minuteOfDay < end;
+            });
+        }
+
+        /**
+         * Cached allowance less the usage the parent has not acknowledged yet.
+         * Null when unlimited or after the daily reset, when it is no longer known.
+         */
+        function getLocalRemaining(allowance) {
+            if (allowance.remainingSeconds === -1 || (allowance.resetAt && Date.now() >= allowance.resetAt)) {
+                return null;
+            }
+
+            const ledger = readJson(ledgerFile, {});
+            const used = (ledger.entries || [])
+                .filter(entry => entry.at > (allowance.ackedThrough || 0))
+                .reduce((total, entry) => total + (entry.seconds || 0), 0);
+
+            return allowance.remainingSeconds - used;
+        }
+
+        /**
+         * Running processes as { pid, name, user }, passed to onList. Windows
+         * only lists owners in the verbose listing, which can take seconds, so
+         * that one runs in the background instead of holding up the agent, and
+         * no new one is started while the last is still running.
+         */
+        function listProcesses(user, onList) {
+            if (process.platform !== 'win32' || !user) {
+                onList(getProcessList());
+                return;
+            }
+
+            if (registry.listing) {
+                return;
+            }
+            registry.listing = true;
+            execFile('tasklist', ['/V', '/FO', 'CSV', '/NH'], {
+                encoding: 'utf8',
+                timeout: 30000,
+                windowsHide: true
+            }, (error, stdout) => {
+                registry.listing = false;
+                if (error) {
+                    console.error('[SyncAllowance] Error getting process list:', error.message);
+                    return;
+                }
+                onList(parseTasklist(stdout));
+            });
+        }
+
+        /**
+         * Force kill the child's running browsers and record them like blocked relaunches
+         */
+        function killBrowsers(allowance, why) {
+            listProcesses(allowance.username, processes => killListed(allowance, why, processes));
+        }
+
+        /**
+         * Kill the child's browsers among the listed processes
+         */
+        function killListed(allowance, why, processes) {
+            const patterns = browserProcesses[process.platform] || browserProcesses.linux;
+            const attempts = [];
+
+            for (const browser of Object.keys(patterns)) {
+                const names = patterns[browser].map(name => name.toLowerCase());
+                const matches = processes.filter(proc =>
+                    names.includes((proc.name || '').toLowerCase()) && isChildUser(proc, allowance.username));
+
+                const pids = [];
+                for (const proc of matches) {
+                    try {
+                        process.kill(proc.pid, 'SIGKILL');
+                        pids.push(proc.pid);
+                    } catch (error) {
+                        // Exited already or access denied
+                    }
+                }
+
+                if (pids.length > 0) {
+                    attempts.push({
+                        browser,
+                        username: allowance.username || null,
+                        processName: matches[0].name,
+                        pids,
+                        killedAt: Date.now(),
+                        offline: why
+                    });
+                }
+            }
+
+            if (attempts.length === 0) {
+                return;
+            }
+
+            recordAttempts(attempts);
+
+            if (!registry.lastNotifiedAt || Date.now() - registry.lastNotifiedAt >= notifyEveryMs) {
+                registry.lastNotifiedAt = Date.now();
+                showNotification(why === 'schedule'
+                    ? 'Internet time is not allowed right now. Browsers are being closed.'
+                    : (allowance.reason || 'Internet time has been exhausted. Browsers are being closed.'));
+            }
+        }
+
+        /**
+         * Enforce the cached allowance while the parent is out of reach.
+         * The files are re-read every tick so a new sync takes effect immediately.
+         */
+        function tick() {
+            const allowance = readJson(allowanceFile, null);
+            if (!allowance) {
+                // Cleared
+                stopTicker();
+                return;
+            }
+
+            if (Date.now() - allowance.syncedAt < allowance.offlineAfter) {
+                return;
+            }
+
+            if (allowance.extendedUntil && Date.now() < allowance.extendedUntil) {
+                return;
+            }
+
+            if (!isAllowedHour(allowance.schedule)) {
+                killBrowsers(allowance, 'schedule');
+                return;
+            }
+
+            const remaining = getLocalRemaining(allowance);
+            if (remaining === null) {
+                return;
+            }
+
+            if (remaining <= 0) {
+                killBrowsers(allowance, 'allowance');
+                return;
+            }
+
+            const remainingMinutes = remaining / 60;
+            const warned = registry.warned || [];
+            const due = (allowance.warningMinutes || []).filter(minutes => remainingMinutes <= minutes && !warned.includes(minutes));
+
+            if (due.length > 0) {
+                const minutesLeft = Math.max(1, Math.ceil(remainingMinutes));
+                showNotification(`${minutesLeft} minute${minutesLeft !== 1 ? 's' : ''} of internet time remaining. Browsers will close automatically.`);
+                registry.warned = warned.concat(due);
+            }
+        }
+
+        const previous = readJson(allowanceFile, null);
+
+        // Usage counted for another child is no use to this one
+        if (previous && previous.childId !== childId) {
+            removeFile(ledgerFile);
+        }
+
+        try {
+            writeState(allowanceFile, {
+                childId,
+                username: username || null,
+                remainingSeconds,
+                reason: reason || null,
+                resetAt,
+                schedule,
+                extendedUntil,
+                ackedThrough,
+                offlineAfter,
+                warningMinutes,
+                chargeForegroundOnly: !!chargeForegroundOnly,
+                idleThreshold,
+                checkInterval,
+                syncedAt: Date.now()
+            });
+        } catch (error) {
+            return {
+                success: false,
+                error: `Unable to write allowance: ${error.message}`,
+                timestamp: Date.now(),
+                hostname: os.hostname()
+            };
+        }
+
+        // Warnings start over with each fresh allowance
+        registry.warned = [];
+
+        stopTicker();
+        if (typeof setInterval === 'function') {
+            registry.timer = setInterval(tick, tickIntervalMs);
+        }
+
+        return {
+            success: true,
+            childId,
+            remainingSeconds,
+            enforcedLocally: !!registry.timer,
+            timestamp: Date.now(),
+            hostname: os.hostname()
+        };
+    }
+};
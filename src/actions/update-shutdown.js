@@ -0,0 +1,172 @@
+// Copyright [2025] [Allow2 Pty Ltd]
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict';
+
+/**
+ * Update Shutdown Action
+ *
+ * This action script is DEPLOYED TO THE AGENT via PLUGIN_EXTENSIONS.
+ * It is triggered by the parent to move the local shutdown deadline armed
+ * by schedule-shutdown (e.g. when more time has been granted).
+ *
+ * The script function is serialized and sent to the agent, where it runs
+ * in a sandboxed environment when triggered with arguments from the parent.
+ */
+export default {
+    id: 'update-shutdown',
+    version: '1.2.0',
+    platforms: ['win32', 'darwin', 'linux'],
+
+    /**
+     * Script that runs ON THE AGENT to move the shutdown deadline
+     * This function is serialized and executed in the agent's sandbox
+     *
+     * @param {Object} args - Arguments from parent
+     * @param {number} args.shutdownTime - New Unix timestamp (ms) for shutdown
+     * @param {string} args.username - OS user the deadline was scheduled for (optional, all users if not specified)
+     * @returns {Object} Result of the action
+     */
+    script: function(args) {
+        const fs = require('fs');
+        const os = require('os');
+        const path = require('path');
+
+        const { shutdownTime, username } = args || {};
+
+        // Shared with schedule-shutdown and cancel-shutdown, one schedule per OS user
+        const userKey = username ? `@${encodeURIComponent(String(username).toLowerCase())}` : '';
+        const registryKey = '__allow2WebBrowsersShutdown';
+
+        /**
+         * The agent's private state directory, in its own home rather than the
+         * world-writable tmpdir. Created 0700 and only used while the agent
+         * owns it, so the child can neither edit its files nor plant links
+         * there. Null when it can't be had.
+         */
+        function getStateDir() {
+            const dir = path.join(os.homedir(), '.allow2-web-browsers');
+            try {
+                fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+                const stat = fs.lstatSync(dir);
+                if (!stat.isDirectory()) {
+                    return null;
+                }
+                if (typeof process.getuid === 'function') {
+                    if (stat.uid !== process.getuid()) {
+                        return null;
+                    }
+                    if (stat.mode & 0o077) {
+                        fs.chmodSync(dir, 0o700);
+                    }
+                }
+                return dir;
+            } catch (error) {
+                return null;
+            }
+        }
+
+        /**
+         * JSON from a state file, or null when missing, unreadable, or not a
+         * regular file the agent owns
+         */
+        function readState(file) {
+            try {
+                const stat = fs.lstatSync(file);
+                if (!stat.isFile() || (typeof process.getuid === 'function' && stat.uid !== process.getuid())) {
+                    return null;
+                }
+                return JSON.parse(fs.readFileSync(file, 'utf8'));
+            } catch (error) {
+                return null;
+            }
+        }
+
+        /**
+         * Replace a state file atomically: written to a file that must not
+         * exist yet, then renamed over the old one
+         */
+        function writeState(file, data) {
+            const temp = `${file}.${process.pid}.${Date.now()}.tmp`;
+            fs.writeFileSync(temp, JSON.stringify(data), { encoding: 'utf8', mode: 0o600, flag: 'wx' });
+            try {
+                fs.renameSync(temp, file);
+            } catch (error) {
+                fs.unlinkSync(temp);
+                throw error;
+            }
+        }
+
+        if (!shutdownTime || isNaN(shutdownTime)) {
+            return {
+                success: false,
+                error: 'shutdownTime is required',
+                timestamp: Date.now(),
+                hostname: os.hostname()
+            };
+        }
+
+        const stateDir = getStateDir();
+        if (!stateDir) {
+            return {
+                success: false,
+                error: 'No private state directory on this agent',
+                timestamp: Date.now(),
+                hostname: os.hostname()
+            };
+        }
+        const scheduleFile = path.join(stateDir, `shutdown${userKey}.json`);
+
+        const schedule = readState(scheduleFile);
+        if (!schedule) {
+            return {
+                success: false,
+                error: 'No shutdown scheduled',
+                timestamp: Date.now(),
+                hostname: os.hostname()
+            };
+        }
+
+        const previousShutdownTime = schedule.shutdownTime;
+        schedule.shutdownTime = shutdownTime;
+
+        // Re-arm warnings that are now further away than the new deadline
+        const remainingMinutes = (shutdownTime - Date.now()) / 60000;
+        schedule.warned = (schedule.warned || []).filter(minutes => remainingMinutes <= minutes);
+
+        try {
+            writeState(scheduleFile, schedule);
+        } catch (error) {
+            return {
+                success: false,
+                error: `Unable to write schedule: ${error.message}`,
+                timestamp: Date.now(),
+                hostname: os.hostname()
+            };
+        }
+
+        // The ticker armed by schedule-shutdown re-reads the file. If the agent
+        // has restarted since, report it so the parent can schedule again.
+        const enforcedLocally = !!(global[registryKey] && global[registryKey][userKey] && global[registryKey][userKey].timer);
+
+        return {
+            success: true,
+            shutdownTime,
+            previousShutdownTime,
+            enforcedLocally,
+            timestamp: Date.now(),
+            hostname: os.hostname()
+        };
+    }
+};
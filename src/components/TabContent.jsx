@@ -30,9 +30,12 @@ class TabContent extends Component {
         this.state = {
             status: null,
             agents: [],
+            children: [],
             usage: null,
             settings: null,
             violations: [],
+            timeRequests: [],
+            dryRun: [],
             loading: true,
             error: null
         };
@@ -100,7 +103,22 @@ class TabContent extends Component {
                 // Load agents
                 const [agentErr, agentResult] = await this.invokeIPC('webBrowsers:getAgents');
                 if (!agentErr && agentResult) {
-                    this.setState({ agents: agentResult.agents || [] });
+                    this.setState({
+                        agents: agentResult.agents || [],
+                        children: agentResult.children || []
+                    });
+                }
+
+                // Load requests for more time waiting on the parent
+                const [requestErr, requestResult] = await this.invokeIPC('webBrowsers:getTimeRequests', { status: 'pending' });
+                if (!requestErr && requestResult) {
+                    this.setState({ timeRequests: requestResult.requests || [] });
+                }
+
+                // Load what monitor-only mode kept from happening
+                const [dryRunErr, dryRunResult] = await this.invokeIPC('webBrowsers:getDryRun', { limit: 10 });
+                if (!dryRunErr && dryRunResult) {
+                    this.setState({ dryRun: dryRunResult.entries || [] });
                 }
 
                 // Load violations
@@ -123,6 +141,82 @@ class TabContent extends Component {
         }
     }
 
+    async linkUser(agentId, username, childId) {
+        const [err] = await this.invokeIPC('webBrowsers:linkUser', {
+            agentId,
+            username,
+            childId: childId || null
+        });
+        if (err) {
+            this.setState({ error: err.message || 'Failed to link user' });
+            return;
+        }
+        this.loadStatus();
+    }
+
+    async redeploy(agentId) {
+        const [err] = await this.invokeIPC('webBrowsers:redeploy', { agentId });
+        if (err) {
+            this.setState({ error: err.message || 'Failed to redeploy' });
+            return;
+        }
+        this.loadStatus();
+    }
+
+    async grantExtension(childId, minutes) {
+        const [err] = await this.invokeIPC('webBrowsers:grantExtension', { childId, minutes });
+        if (err) {
+            this.setState({ error: err.message || 'Failed to grant bonus time' });
+            return;
+        }
+        this.loadStatus();
+    }
+
+    async revokeExtension(childId) {
+        const [err] = await this.invokeIPC('webBrowsers:revokeExtension', { childId });
+        if (err) {
+            this.setState({ error: err.message || 'Failed to revoke bonus time' });
+            return;
+        }
+        this.loadStatus();
+    }
+
+    async setMonitorOnly(childId, monitorOnly) {
+        const [err] = await this.invokeIPC('webBrowsers:setMonitorOnly', { childId, monitorOnly });
+        if (err) {
+            this.setState({ error: err.message || 'Failed to change enforcement' });
+            return;
+        }
+        this.loadStatus();
+    }
+
+    async pauseMonitoring(target, minutes) {
+        const [err] = await this.invokeIPC('webBrowsers:pause', { ...target, minutes });
+        if (err) {
+            this.setState({ error: err.message || 'Failed to pause monitoring' });
+            return;
+        }
+        this.loadStatus();
+    }
+
+    async resumeMonitoring(target) {
+        const [err] = await this.invokeIPC('webBrowsers:resume', target);
+        if (err) {
+            this.setState({ error: err.message || 'Failed to resume monitoring' });
+            return;
+        }
+        this.loadStatus();
+    }
+
+    async answerTimeRequest(requestId, approve) {
+        const [err] = await this.invokeIPC(approve ? 'webBrowsers:approveTimeRequest' : 'webBrowsers:denyTimeRequest', { requestId });
+        if (err) {
+            this.setState({ error: err.message || 'Failed to answer request' });
+            return;
+        }
+        this.loadStatus();
+    }
+
     formatDuration(seconds) {
         if (!seconds && seconds !== 0) return '--';
 
@@ -186,6 +280,13 @@ class TabContent extends Component {
                         <span style={styles.statLabel}>Sessions</span>
                     </div>
                 </div>
+
+                {status.pendingUsage?.pendingRecords > 0 && (
+                    <div style={styles.pendingUsage}>
+                        {this.formatDuration(status.pendingUsage.pendingSeconds)} of usage waiting to sync with Allow2
+                        {status.pendingUsage.lastError ? ` (${status.pendingUsage.lastError})` : ''}
+                    </div>
+                )}
             </div>
         );
     }
@@ -217,15 +318,66 @@ class TabContent extends Component {
                             <span style={styles.agentDetails}>
                                 {agent.platform} | {agent.childId ? `Child: ${agent.childId}` : 'Not linked'}
                             </span>
+                            {agent.stale && (
+                                <span style={styles.monitoringLost}>
+                                    Monitoring lost - last report {this.formatTimeAgo(agent.lastSeen)}
+                                </span>
+                            )}
+                            {agent.deployment?.status === 'failed' && (
+                                <span style={styles.monitoringLost}>
+                                    Install failed: {agent.deployment.failures.map(f => `${f.id} (${f.error})`).join(', ')}
+                                    {agent.deployment.nextRetryAt ? ' - retrying automatically ' : ' - '}
+                                    <button style={styles.retryButton} onClick={() => this.redeploy(agent.id)}>
+                                        Retry now
+                                    </button>
+                                </span>
+                            )}
+                            {agent.launchBlocked && (
+                                <span style={styles.launchBlocked}>
+                                    Browsers blocked ({this.formatTimeAgo(agent.launchBlockedSince)})
+                                </span>
+                            )}
+                            {agent.allowedHours && !agent.allowedHours.allowed && (
+                                <span style={styles.launchBlocked}>
+                                    Outside allowed hours
+                                    {agent.allowedHours.changesAt && ` until ${new Date(agent.allowedHours.changesAt)
+                                        .toLocaleString([], { weekday: 'short', hour: '2-digit', minute: '2-digit' })}`}
+                                </span>
+                            )}
+                            {agent.activeChildId && this.renderTimeExtension(agent)}
+                            {this.renderPause(agent)}
+                            {agent.activeChildId && (
+                                <span style={agent.monitorOnly ? styles.monitorOnly : styles.paused}>
+                                    {agent.monitorOnly ? 'Monitor only - nothing is blocked ' : 'Limits enforced '}
+                                    <button
+                                        style={styles.bonusButton}
+                                        onClick={() => this.setMonitorOnly(agent.activeChildId, !agent.monitorOnly)}
+                                    >
+                                        {agent.monitorOnly ? 'Enforce' : 'Monitor only'}
+                                    </button>
+                                </span>
+                            )}
+                            {this.renderAgentUsers(agent)}
                         </div>
                         <div style={styles.browsersList}>
                             {agent.browsers && agent.browsers.length > 0 ? (
-                                agent.browsers.map((b, i) => (
-                                    <span key={i} style={styles.browserBadge}>{b}</span>
+                                agent.browsers.filter(b => b.category !== 'web-app').map((b, i) => (
+                                    <span key={i} style={styles.browserBadge}>{typeof b === 'string' ? b : b.browser}</span>
                                 ))
                             ) : (
                                 <span style={styles.noBrowsers}>No browsers</span>
                             )}
+                            {agent.webApps?.map((app, i) => (
+                                <span key={`app-${i}`} style={styles.webAppBadge} title={`${app.runtime} app`}>
+                                    {app.browser}
+                                </span>
+                            ))}
+                            {agent.browsers?.length > 0 && agent.screenLocked && (
+                                <span style={styles.noBrowsers}>(locked)</span>
+                            )}
+                            {agent.browsers?.length > 0 && !agent.screenLocked && agent.browserFocused === false && (
+                                <span style={styles.noBrowsers}>(background)</span>
+                            )}
                         </div>
                     </div>
                 ))}
@@ -233,6 +385,111 @@ class TabContent extends Component {
         );
     }
 
+    /**
+     * Bonus time for the child using an agent: how long is left, or buttons to grant some
+     */
+    renderTimeExtension(agent) {
+        const childId = agent.activeChildId;
+
+        if (agent.timeExtension) {
+            return (
+                <span style={styles.timeExtension}>
+                    Bonus time until {new Date(agent.timeExtension.expiresAt)
+                        .toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}{' '}
+                    <button style={styles.bonusButton} onClick={() => this.grantExtension(childId, 15)}>
+                        +15m
+                    </button>
+                    <button style={styles.bonusButton} onClick={() => this.revokeExtension(childId)}>
+                        Revoke
+                    </button>
+                </span>
+            );
+        }
+
+        return (
+            <span style={styles.timeExtension}>
+                Bonus time:{' '}
+                {[15, 30, 60].map(minutes => (
+                    <button key={minutes} style={styles.bonusButton} onClick={() => this.grantExtension(childId, minutes)}>
+                        +{minutes}m
+                    </button>
+                ))}
+            </span>
+        );
+    }
+
+    /**
+     * Monitoring pause on an agent, or for the child using it: until when, or buttons to pause for an hour
+     */
+    renderPause(agent) {
+        const { pause } = agent;
+
+        if (pause) {
+            const target = pause.scope === 'child' ? { childId: agent.activeChildId } : { agentId: agent.id };
+            return (
+                <span style={styles.paused}>
+                    Monitoring paused {pause.scope === 'child' ? `for ${agent.activeChildId}` : 'on this computer'}
+                    {pause.until ? ` until ${new Date(pause.until).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}` : ''}
+                    {pause.reason ? ` (${pause.reason})` : ''}{' '}
+                    <button style={styles.bonusButton} onClick={() => this.resumeMonitoring(target)}>
+                        Resume
+                    </button>
+                </span>
+            );
+        }
+
+        if (!agent.childId && !agent.activeChildId) {
+            return null;
+        }
+
+        return (
+            <span style={styles.paused}>
+                Pause for 1 hour:{' '}
+                <button style={styles.bonusButton} onClick={() => this.pauseMonitoring({ agentId: agent.id }, 60)}>
+                    This computer
+                </button>
+                {agent.activeChildId && (
+                    <button style={styles.bonusButton} onClick={() => this.pauseMonitoring({ childId: agent.activeChildId }, 60)}>
+                        {agent.activeChildId} everywhere
+                    </button>
+                )}
+            </span>
+        );
+    }
+
+    /**
+     * OS logins seen on an agent, each linkable to its own child.
+     * Logins left on "Agent default" use the agent's link.
+     */
+    renderAgentUsers(agent) {
+        const { children } = this.state;
+
+        if (!agent.users || agent.users.length === 0) {
+            return null;
+        }
+
+        return (
+            <div style={styles.agentUsers}>
+                {agent.users.map(user => (
+                    <div key={user.username} style={styles.agentUserRow}>
+                        <span style={user.username === agent.activeUser ? styles.activeUser : null}>
+                            {user.username}
+                        </span>
+                        <select
+                            value={user.childId || ''}
+                            onChange={e => this.linkUser(agent.id, user.username, e.target.value)}
+                        >
+                            <option value="">Agent default</option>
+                            {children.map(childId => (
+                                <option key={childId} value={childId}>Child: {childId}</option>
+                            ))}
+                        </select>
+                    </div>
+                ))}
+            </div>
+        );
+    }
+
     renderViolations() {
         const { violations } = this.state;
 
@@ -245,8 +502,8 @@ class TabContent extends Component {
                 <h3 style={styles.sectionTitle}>Recent Violations</h3>
 
                 {violations.slice(0, 5).map((violation, index) => (
-                    <div key={index} style={styles.violationRow}>
-                        <span style={styles.violationIcon}>!</span>
+                    <div key={index} style={violation.severity === 'critical' ? styles.criticalViolationRow : styles.violationRow}>
+                        <span style={violation.severity === 'critical' ? styles.criticalViolationIcon : styles.violationIcon}>!</span>
                         <div style={styles.violationInfo}>
                             <span style={styles.violationHost}>{violation.hostname}</span>
                             <span style={styles.violationReason}>{violation.reason}</span>
@@ -260,6 +517,71 @@ class TabContent extends Component {
         );
     }
 
+    renderTimeRequests() {
+        const { timeRequests } = this.state;
+
+        if (!timeRequests || timeRequests.length === 0) {
+            return null;
+        }
+
+        return (
+            <div style={styles.violationsSection}>
+                <h3 style={styles.sectionTitle}>Requests for More Time</h3>
+
+                {timeRequests.map(request => (
+                    <div key={request.id} style={styles.timeRequestRow}>
+                        <div style={styles.violationInfo}>
+                            <span style={styles.violationHost}>
+                                {request.minutes} minutes for {request.childId} on {request.hostname || request.agentId}
+                            </span>
+                            {request.reason && <span style={styles.violationReason}>"{request.reason}"</span>}
+                        </div>
+                        <span style={styles.violationTime}>
+                            {this.formatTimeAgo(request.requestedAt)}
+                        </span>
+                        <button style={styles.bonusButton} onClick={() => this.answerTimeRequest(request.id, true)}>
+                            Approve
+                        </button>
+                        <button style={styles.bonusButton} onClick={() => this.answerTimeRequest(request.id, false)}>
+                            Deny
+                        </button>
+                    </div>
+                ))}
+            </div>
+        );
+    }
+
+    /**
+     * Blocks and warnings monitor-only mode recorded instead of sending to agents
+     */
+    renderDryRun() {
+        const { dryRun } = this.state;
+
+        if (!dryRun || dryRun.length === 0) {
+            return null;
+        }
+
+        return (
+            <div style={styles.violationsSection}>
+                <h3 style={styles.sectionTitle}>Would Have Blocked (Monitor Only)</h3>
+
+                {dryRun.slice(0, 5).map((entry, index) => (
+                    <div key={index} style={styles.dryRunRow}>
+                        <div style={styles.violationInfo}>
+                            <span style={styles.violationHost}>
+                                {entry.hostname} - {entry.type === 'would-warn' ? 'would have warned' : 'would have blocked'}
+                            </span>
+                            <span style={styles.violationReason}>{entry.reason}</span>
+                        </div>
+                        <span style={styles.violationTime}>
+                            {this.formatTimeAgo(entry.timestamp)}
+                        </span>
+                    </div>
+                ))}
+            </div>
+        );
+    }
+
     renderSettings() {
         const { status } = this.state;
 
@@ -279,7 +601,7 @@ class TabContent extends Component {
                 </div>
                 <div style={styles.settingRow}>
                     <span>Kill on Violation:</span>
-                    <span>{settings.killOnViolation ? 'Yes' : 'No'}</span>
+                    <span>{settings.killOnViolation === false ? 'No - monitor only unless set per child' : 'Yes'}</span>
                 </div>
                 <div style={styles.settingRow}>
                     <span>Warning Minutes:</span>
@@ -289,6 +611,38 @@ class TabContent extends Component {
                     <span>Grace Period:</span>
                     <span>{settings.gracePeriod}s</span>
                 </div>
+                <div style={styles.settingRow}>
+                    <span>Multiple Devices:</span>
+                    <span>{settings.chargeMode === 'per-device' ? 'Charge per device' : 'Charge once'}</span>
+                </div>
+                <div style={styles.settingRow}>
+                    <span>Background Browsers:</span>
+                    <span>{settings.chargeForegroundOnly ? 'Not charged' : 'Charged'}</span>
+                </div>
+                <div style={styles.settingRow}>
+                    <span>Pause When Idle:</span>
+                    <span>{settings.idleThreshold > 0 ? `After ${Math.round(settings.idleThreshold / 60)} min` : 'Never'}</span>
+                </div>
+                <div style={styles.settingRow}>
+                    <span>Ignored Processes:</span>
+                    <span>{settings.processExclusions?.length ? settings.processExclusions.join(', ') : 'Defaults only'}</span>
+                </div>
+                <div style={styles.settingRow}>
+                    <span>Web-capable Apps:</span>
+                    <span>{{ count: 'Counted as internet', block: 'Blocked' }[settings.webApps] || 'Ignored'}</span>
+                </div>
+                <div style={styles.settingRow}>
+                    <span>Tamper Detection:</span>
+                    <span>{settings.tamperDetection === false ? 'Off' : 'On'}</span>
+                </div>
+                <div style={styles.settingRow}>
+                    <span>Enforce While Offline:</span>
+                    <span>{settings.offlineEnforcement === false ? 'Off' : 'On'}</span>
+                </div>
+                <div style={styles.settingRow}>
+                    <span>Requests for More Time:</span>
+                    <span>{settings.timeRequests === false ? 'Off' : 'On'}</span>
+                </div>
             </div>
         );
     }
@@ -324,7 +678,9 @@ class TabContent extends Component {
 
                 {this.renderStatusIndicator()}
                 {this.renderAgentsList()}
+                {this.renderTimeRequests()}
                 {this.renderViolations()}
+                {this.renderDryRun()}
                 {this.renderSettings()}
 
                 <div style={styles.footer}>
@@ -392,6 +748,14 @@ const styles = {
         fontSize: '12px',
         color: '#666'
     },
+    pendingUsage: {
+        marginTop: '12px',
+        padding: '8px 12px',
+        backgroundColor: '#fff8e1',
+        borderRadius: '4px',
+        fontSize: '12px',
+        color: '#8d6e00'
+    },
     agentsSection: {
         marginBottom: '16px'
     },
@@ -428,6 +792,62 @@ const styles = {
         fontSize: '12px',
         color: '#666'
     },
+    monitoringLost: {
+        display: 'block',
+        fontSize: '12px',
+        color: '#f44336'
+    },
+    retryButton: {
+        fontSize: '11px',
+        padding: '0 6px',
+        cursor: 'pointer'
+    },
+    agentUsers: {
+        marginTop: '4px',
+        fontSize: '12px'
+    },
+    agentUserRow: {
+        display: 'flex',
+        gap: '8px',
+        alignItems: 'center'
+    },
+    activeUser: {
+        fontWeight: 'bold'
+    },
+    launchBlocked: {
+        display: 'block',
+        fontSize: '12px',
+        color: '#ff9800'
+    },
+    timeExtension: {
+        display: 'block',
+        fontSize: '12px',
+        color: '#4caf50'
+    },
+    monitorOnly: {
+        display: 'block',
+        fontSize: '12px',
+        color: '#1976d2'
+    },
+    dryRunRow: {
+        display: 'flex',
+        alignItems: 'center',
+        padding: '8px 12px',
+        backgroundColor: '#e3f2fd',
+        borderRadius: '4px',
+        marginBottom: '4px'
+    },
+    paused: {
+        display: 'block',
+        fontSize: '12px',
+        color: '#666'
+    },
+    bonusButton: {
+        fontSize: '11px',
+        padding: '0 6px',
+        marginRight: '4px',
+        cursor: 'pointer'
+    },
     browsersList: {
         display: 'flex',
         gap: '4px'
@@ -439,6 +859,13 @@ const styles = {
         borderRadius: '4px',
         fontSize: '12px'
     },
+    webAppBadge: {
+        padding: '2px 8px',
+        backgroundColor: '#f3e5f5',
+        color: '#7b1fa2',
+        borderRadius: '4px',
+        fontSize: '12px'
+    },
     noBrowsers: {
         fontSize: '12px',
         color: '#999'
@@ -446,6 +873,14 @@ const styles = {
     violationsSection: {
         marginBottom: '16px'
     },
+    timeRequestRow: {
+        display: 'flex',
+        alignItems: 'center',
+        padding: '8px 12px',
+        backgroundColor: '#e8f5e9',
+        borderRadius: '4px',
+        marginBottom: '4px'
+    },
     violationRow: {
         display: 'flex',
         alignItems: 'center',
@@ -466,6 +901,26 @@ const styles = {
         fontWeight: 'bold',
         marginRight: '12px'
     },
+    criticalViolationRow: {
+        display: 'flex',
+        alignItems: 'center',
+        padding: '8px 12px',
+        backgroundColor: '#ffebee',
+        borderRadius: '4px',
+        marginBottom: '4px'
+    },
+    criticalViolationIcon: {
+        width: '24px',
+        height: '24px',
+        borderRadius: '50%',
+        backgroundColor: '#f44336',
+        color: '#fff',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        fontWeight: 'bold',
+        marginRight: '12px'
+    },
     violationInfo: {
         flex: 1
     },
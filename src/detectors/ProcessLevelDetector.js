@@ -33,9 +33,12 @@ class ProcessLevelDetector {
     /**
      * Create a ProcessLevelDetector.
      * @param {Object} context Plugin context with services
+     * @param {Object} options Detection options
+     * @param {Array<string>} options.exclusions Extra process names never treated as browsers
      */
-    constructor(context) {
+    constructor(context, options = {}) {
         this.context = context;
+        this.exclusions = options.exclusions || [];
         this.listeners = new Map();
         this.activeBrowsers = new Map(); // pid -> BrowserInfo
         this.scanInterval = null;
@@ -124,24 +127,33 @@ class ProcessLevelDetector {
             const processes = await this.getProcessList();
             const currentBrowserPids = new Set();
 
+            const identified = new Map(); // pid -> { proc, browserInfo }
             for (const proc of processes) {
                 const browserInfo = this.identifyBrowser(proc);
-
                 if (browserInfo) {
-                    currentBrowserPids.add(proc.pid);
-
-                    // Check if this is a new browser process
-                    if (!this.activeBrowsers.has(proc.pid)) {
-                        const info = {
-                            ...browserInfo,
-                            pid: proc.pid,
-                            startTime: Date.now()
-                        };
-
-                        this.activeBrowsers.set(proc.pid, info);
-                        log.debug(`Browser started: ${browserInfo.name} (PID: ${proc.pid})`);
-                        this.emit('browser-started', info);
-                    }
+                    identified.set(proc.pid, { proc, browserInfo });
+                }
+            }
+
+            for (const { proc, browserInfo } of identified.values()) {
+                // Only the main process of each browser is tracked
+                if (!this.isMainBrowserProcess(proc, browserInfo, identified)) {
+                    continue;
+                }
+
+                currentBrowserPids.add(proc.pid);
+
+                // Check if this is a new browser process
+                if (!this.activeBrowsers.has(proc.pid)) {
+                    const info = {
+                        ...browserInfo,
+                        pid: proc.pid,
+                        startTime: Date.now()
+                    };
+
+                    this.activeBrowsers.set(proc.pid, info);
+                    log.debug(`Browser started: ${browserInfo.name} (PID: ${proc.pid})`);
+                    this.emit('browser-started', info);
                 }
             }
 
@@ -197,7 +209,7 @@ class ProcessLevelDetector {
             return null;
         }
 
-        const browserName = BrowserPatterns.getBrowserName(proc.name);
+        const browserName = BrowserPatterns.getBrowserName(proc.name, this.exclusions);
 
         if (browserName) {
             return {
@@ -211,7 +223,7 @@ class ProcessLevelDetector {
 
         // Try path-based detection if process name didn't match
         if (proc.path) {
-            const pathBrowser = BrowserPatterns.getBrowserName(proc.path);
+            const pathBrowser = BrowserPatterns.getBrowserName(proc.path, this.exclusions);
             if (pathBrowser) {
                 return {
                     name: pathBrowser,
@@ -226,6 +238,26 @@ class ProcessLevelDetector {
         return null;
     }
 
+    /**
+     * Whether a browser process is the browser itself rather than one of its
+     * helper/renderer children. Children have a parent identified as the
+     * same browser. A Chromium child process (--type=...) with no browser
+     * parent belongs to an app embedding Chromium (Electron/CEF), not a browser.
+     * @param {Object} proc Process object with pid, ppid and cmdline
+     * @param {Object} browserInfo Result of identifyBrowser for proc
+     * @param {Map} identified pid -> { proc, browserInfo } of identified processes
+     * @returns {boolean} True if proc is a main browser process
+     */
+    isMainBrowserProcess(proc, browserInfo, identified) {
+        const parent = proc.ppid ? identified.get(proc.ppid) : null;
+        if (parent && parent.browserInfo.name === browserInfo.name) {
+            return false;
+        }
+
+        const cmdline = Array.isArray(proc.cmdline) ? proc.cmdline.join(' ') : (proc.cmdline || '');
+        return !/(^|\s)--type=/.test(cmdline);
+    }
+
     /**
      * Check if any browser is currently active.
      * @returns {boolean} True if at least one browser is running
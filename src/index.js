@@ -21,11 +21,41 @@ import TabContent from './components/TabContent';
 import BrowserTimeTracker from './parent/BrowserTimeTracker';
 import QuotaEnforcer from './parent/QuotaEnforcer';
 import AgentBrowserManager from './parent/AgentBrowserManager';
+import AgentWatchdog from './parent/AgentWatchdog';
+import AgentDeployer from './parent/AgentDeployer';
+import TimeZones from './utils/TimeZones';
+import AllowedHours from './utils/AllowedHours';
+import Validators from './utils/Validators';
+import ChildLinks from './utils/ChildLinks';
+import Pauses from './utils/Pauses';
+import CategoryPatterns from './classifiers/CategoryPatterns';
 
 // Import monitor and action definitions for agent deployment
 import browserDetectorMonitor from './monitors/browser-detector';
 import killBrowsersAction from './actions/kill-browsers';
 import showWarningAction from './actions/show-warning';
+import scheduleShutdownAction from './actions/schedule-shutdown';
+import updateShutdownAction from './actions/update-shutdown';
+import cancelShutdownAction from './actions/cancel-shutdown';
+import blockCategoryAction from './actions/block-category';
+import blockLaunchAction from './actions/block-launch';
+import allowLaunchAction from './actions/allow-launch';
+import syncAllowanceAction from './actions/sync-allowance';
+import requestTimeAction from './actions/request-time';
+
+// Actions deployed to (and removed from) every agent
+const agentActions = [
+    killBrowsersAction,
+    showWarningAction,
+    scheduleShutdownAction,
+    updateShutdownAction,
+    cancelShutdownAction,
+    blockCategoryAction,
+    blockLaunchAction,
+    allowLaunchAction,
+    syncAllowanceAction,
+    requestTimeAction
+];
 
 /**
  * Web Browsers Plugin Factory
@@ -55,6 +85,11 @@ function plugin(context) {
     let timeTracker = null;
     let quotaEnforcer = null;
     let agentManager = null;
+    let agentWatchdog = null;
+    let agentDeployer = null;
+
+    // Blocks monitor-only mode has already recorded: `${agentId}:${event}` -> reason
+    const dryRunBlocks = new Map();
 
     const webBrowsers = {};
 
@@ -67,17 +102,34 @@ function plugin(context) {
 
         // Restore persisted state
         state = loadState || {
-            agents: {},           // agentId -> { childId, enabled, lastSeen, browsers }
-            children: {},         // childId -> { usageToday, lastReset }
+            agents: {},           // agentId -> { childId, userLinks, activeUser, enabled, lastSeen, browsers, pause }
+            children: {},         // childId -> { usageToday, violationsToday, lastReset, resetTime, timezone, pause, monitorOnly }
             violations: [],       // Recent violations
+            timeRequests: [],     // Children's requests for more time, newest first
+            dryRun: [],           // What monitor-only mode would have blocked or warned about, newest first
+            blockedCategories: {}, // agentId -> { category: { reason, blockedAt } }
             browserSessions: {},  // agentId -> { startTime, browsers, childId }
             settings: {
                 checkInterval: 10000,    // 10 seconds for browser detection
                 quotaCheckInterval: 30000, // 30 seconds for quota checks
-                killOnViolation: true,
+                killOnViolation: true,  // false = monitor only: record what would be blocked (per-child override)
                 warningMinutes: [15, 5, 1],
                 gracePeriod: 60,        // 60 seconds grace period
-                notifyParent: true
+                closeTimeout: 5,        // seconds between polite close and force kill
+                launchBlockInterval: 2000, // ms between agent scans that kill relaunched browsers while blocked
+                chargeMode: 'once',     // 'once' merges overlapping use across devices, 'per-device' charges each
+                chargeForegroundOnly: false, // only charge while a browser owns the focused window
+                idleThreshold: 300,     // seconds without keyboard/mouse input before time stops accruing, 0 = never
+                resetTime: '00:00',     // default start of a child's day (per-child override)
+                timezone: null,         // default IANA timezone, null = parent machine's (per-child override)
+                notifyParent: true,
+                processExclusions: [],  // extra process names never treated as browsers (besides crash handlers, sandboxes...)
+                webApps: 'ignore',      // Electron/CEF/web view apps: 'ignore', 'count' as internet, or 'block'
+                tamperDetection: true,  // agents look for renamed or portable browser binaries
+                browserHashes: {},      // SHA-256 of known browser executables -> browser id, for tamper detection
+                offlineEnforcement: true, // agents keep counting down and enforcing the allowance without the parent
+                timeRequests: true,     // warnings let the child ask the parent for more time
+                staleAfterMissedChecks: 3 // missed checkIntervals before an agent counts as lost
             },
             lastSync: null
         };
@@ -104,10 +156,25 @@ function plugin(context) {
         timeTracker = new BrowserTimeTracker(state, allow2Client);
         quotaEnforcer = new QuotaEnforcer(state, allow2Client, context);
         agentManager = new AgentBrowserManager(agentService, state, context);
+        agentWatchdog = new AgentWatchdog(state);
+        agentDeployer = new AgentDeployer(agentService, state, {
+            monitors: [browserDetectorMonitor],
+            actions: agentActions,
+            getMonitorOptions: () => ({
+                interval: state.settings.checkInterval,
+                arguments: getMonitorArguments()
+            })
+        });
 
         // Wire up event handlers between controllers
         setupControllerEvents();
 
+        // Pick up sessions that were open when the parent last stopped
+        await timeTracker.restoreSessions();
+
+        // Send usage that couldn't be logged before the restart
+        await timeTracker.drainOutbox();
+
         // Get all registered agents and deploy monitors/actions
         try {
             const agents = await agentService.listAgents();
@@ -134,37 +201,15 @@ function plugin(context) {
 
     /**
      * Deploy browser monitoring to an agent
-     * This uses PLUGIN_EXTENSIONS to deploy monitor and action scripts
+     * This uses PLUGIN_EXTENSIONS to deploy monitor and action scripts.
+     * Only scripts the agent is missing, or has at another version or hash,
+     * are sent; failures are retried by the deployer.
+     *
+     * @param {Object} agent - Agent ({ id, hostname, platform })
+     * @param {Object} options - Passed to AgentDeployer.reconcile
      */
-    async function deployToAgent(agent) {
-        const pluginId = 'allow2automate-web-browsers';
-
+    async function deployToAgent(agent, options = {}) {
         try {
-            // Deploy browser detector monitor
-            await agentService.deployMonitor(agent.id, {
-                pluginId,
-                monitorId: browserDetectorMonitor.id,
-                script: browserDetectorMonitor.script.toString(),
-                interval: state.settings.checkInterval,
-                platforms: browserDetectorMonitor.platforms
-            });
-
-            // Deploy kill-browsers action
-            await agentService.deployAction(agent.id, {
-                pluginId,
-                actionId: killBrowsersAction.id,
-                script: killBrowsersAction.script.toString(),
-                platforms: killBrowsersAction.platforms
-            });
-
-            // Deploy show-warning action
-            await agentService.deployAction(agent.id, {
-                pluginId,
-                actionId: showWarningAction.id,
-                script: showWarningAction.script.toString(),
-                platforms: showWarningAction.platforms
-            });
-
             // Initialize agent in state
             if (!state.agents[agent.id]) {
                 state.agents[agent.id] = {
@@ -178,7 +223,7 @@ function plugin(context) {
                 };
             }
 
-            console.log(`[WebBrowsers Plugin] Deployed to agent ${agent.hostname}`);
+            await agentDeployer.reconcile(agent, options);
             context.configurationUpdate(state);
 
         } catch (error) {
@@ -193,17 +238,241 @@ function plugin(context) {
         // When quota enforcer determines blocking is needed
         quotaEnforcer.on('block-browsers', async (data) => {
             const { agentId, childId, reason } = data;
-            await agentManager.triggerKillBrowsers(agentId, reason);
+
+            // Fire once per block, not on every re-check while blocked
+            if (!agentManager.isBlocking(agentId)) {
+                fireTrigger('quotaExhausted', {
+                    agentId,
+                    childId,
+                    browsers: state.agents[agentId]?.browsers,
+                    remainingMinutes: 0,
+                    reason
+                });
+            }
+
+            await agentManager.beginGracefulBlock(agentId, reason);
+        });
+
+        // Quota was topped up (or is unlimited) - call off any pending block
+        quotaEnforcer.on('quota-available', (data) => {
+            dryRunBlocks.delete(`${data.agentId}:block-browsers`);
+
+            const wasLaunchBlocked = agentManager.isLaunchBlocked(data.agentId);
+            const cancelled = agentManager.cancelGracefulBlock(data.agentId);
+
+            if (wasLaunchBlocked) {
+                context.configurationUpdate(state);
+            }
+
+            if ((cancelled || wasLaunchBlocked) && context.logActivity) {
+                context.logActivity({
+                    type: 'browser_block_cancelled',
+                    message: `Browser block cancelled on ${state.agents[data.agentId]?.hostname || data.agentId} - more time available`,
+                    timestamp: Date.now(),
+                    severity: 'info'
+                });
+            }
         });
 
         // When quota enforcer determines warning is needed
         quotaEnforcer.on('show-warning', async (data) => {
-            const { agentId, childId, remaining, type } = data;
-            await agentManager.triggerWarning(agentId, {
-                remaining,
-                type,
-                message: `${Math.round(remaining)} minutes of internet time remaining`
+            const { agentId, childId, remaining, type, limit } = data;
+
+            fireTrigger('quotaWarning', {
+                agentId,
+                childId,
+                browsers: state.agents[agentId]?.browsers,
+                remainingMinutes: Math.round(remaining),
+                reason: limit === 'schedule' ? 'allowed hours ending'
+                    : limit === 'extension' ? 'bonus time ending'
+                    : `${type} time running low`
+            });
+
+            const message = getWarningMessage(limit, remaining);
+
+            // Let the child ask for more time, unless they already have a request waiting.
+            // Decided first: by the time a warning is due the agent usually has its
+            // shutdown deadline, and its own countdown warnings can't ask for anything.
+            if (state.settings.timeRequests !== false && !getPendingTimeRequest(childId) &&
+                !agentManager.isTimePromptOpen(agentId) &&
+                await agentManager.promptTimeRequest(agentId, { childId, message, options: [15, 30], remaining, type })) {
+                return;
+            }
+
+            // The agent shows its own countdown warnings once a shutdown is scheduled
+            if (agentManager.getScheduledShutdown(agentId)?.delivered) {
+                return;
+            }
+
+            await agentManager.triggerWarning(agentId, { remaining, type, message });
+        });
+
+        // Keep the agent's local shutdown deadline in step with the allowance
+        quotaEnforcer.on('allowance-updated', async (data) => {
+            const { agentId, childId, remainingSeconds, reason } = data;
+
+            // Monitor-only children get no shutdown deadline on the agent
+            if (quotaEnforcer.isMonitorOnly(childId)) {
+                await agentManager.cancelScheduledShutdown(agentId);
+                return;
+            }
+
+            await agentManager.syncScheduledShutdown(agentId, remainingSeconds, reason || 'Daily internet time exhausted');
+        });
+
+        // Monitor-only mode - record what would have happened instead of doing it
+        quotaEnforcer.on('dry-run', (data) => {
+            recordDryRun(data);
+        });
+
+        // A pause with an end time ran out - monitoring picks up where it left off
+        quotaEnforcer.on('pause-expired', async (data) => {
+            const { agentId, childId, pause } = data;
+
+            logPauseChange('monitoring_resumed', { agentId, childId }, pause,
+                `Browser monitoring resumed ${describePauseTarget({ agentId, childId })} - the pause ended`);
+            context.configurationUpdate(state);
+
+            await resumeMonitoring(getTargetAgents({ agentId, childId }));
+        });
+
+        timeTracker.on('session-started', (data) => {
+            fireTrigger('browserStarted', {
+                agentId: data.agentId,
+                childId: data.childId,
+                browsers: data.browsers,
+                reason: 'session-started'
+            });
+        });
+
+        // Browsing stopped - nothing left for the agent to shut down
+        timeTracker.on('session-ended', async (data) => {
+            fireTrigger('browserStopped', {
+                agentId: data.agentId,
+                childId: data.childId,
+                browsers: data.browsers,
+                reason: state.agents[data.agentId]?.stale ? 'monitoring-lost' : 'session-ended'
             });
+
+            await agentManager.cancelScheduledShutdown(data.agentId);
+        });
+
+        // New day for a child - warnings and blocks start over too
+        timeTracker.on('daily-reset', (data) => {
+            const { childId } = data;
+            quotaEnforcer.resetWarningState(childId);
+            quotaEnforcer.clearCache();
+
+            // Requests for more time were for the day that just ended
+            for (const request of state.timeRequests || []) {
+                if (request.childId === childId && request.status === 'pending') {
+                    request.status = 'expired';
+                    request.decidedAt = Date.now();
+                }
+            }
+
+            for (const [agentId, agentData] of Object.entries(state.agents)) {
+                if (ChildLinks.getChildId(agentData) === childId) {
+                    agentManager.cancelGracefulBlock(agentId);
+                }
+            }
+
+            context.configurationUpdate(state);
+        });
+
+        // Agent stopped reporting - close its session at the last report and tell the parent
+        agentWatchdog.on('agent-stale', async (data) => {
+            const { agentId, childId, hostname, lastSeen } = data;
+
+            await timeTracker.endSession(agentId, childId, lastSeen);
+            state.agents[agentId].browsers = [];
+
+            if (context.logActivity) {
+                context.logActivity({
+                    type: 'browser_monitoring_lost',
+                    message: `Browser monitoring lost on ${hostname || agentId} - agent stopped reporting`,
+                    timestamp: Date.now(),
+                    severity: 'warning',
+                    data: { agentId, childId, lastSeen }
+                });
+            }
+
+            if (context.sendToRenderer) {
+                context.sendToRenderer('monitoringLost', {
+                    agentId,
+                    childId,
+                    hostname,
+                    lastSeen,
+                    timestamp: Date.now()
+                });
+            }
+
+            context.configurationUpdate(state);
+        });
+
+        // Scripts could not be deployed to an agent - the deployer retries them
+        agentDeployer.on('deployment-failed', (data) => {
+            const { agentId, hostname, failures, attempts, nextRetryAt } = data;
+
+            if (context.logActivity) {
+                context.logActivity({
+                    type: 'agent_deployment_failed',
+                    message: `Browser monitoring could not be installed on ${hostname || agentId}: ` +
+                        failures.map(f => `${f.id} (${f.error})`).join(', '),
+                    timestamp: Date.now(),
+                    severity: nextRetryAt ? 'warning' : 'error',
+                    data: { agentId, failures, attempts, nextRetryAt }
+                });
+            }
+
+            if (context.sendToRenderer) {
+                context.sendToRenderer('deploymentStatus', { ...data, status: 'failed', timestamp: Date.now() });
+            }
+
+            context.configurationUpdate(state);
+        });
+
+        agentDeployer.on('deployment-complete', (data) => {
+            if (data.deployed.length > 0 && context.sendToRenderer) {
+                context.sendToRenderer('deploymentStatus', { ...data, status: 'current', timestamp: Date.now() });
+            }
+
+            context.configurationUpdate(state);
+        });
+
+        // Stale agent is reporting again
+        agentWatchdog.on('agent-reconnected', (data) => {
+            const { agentId, childId, hostname, downtime } = data;
+
+            if (context.logActivity) {
+                context.logActivity({
+                    type: 'browser_monitoring_restored',
+                    message: `Browser monitoring restored on ${hostname || agentId} after ${Math.round(downtime / 60000)} minutes`,
+                    timestamp: Date.now(),
+                    severity: 'info',
+                    data: { agentId, childId, downtime }
+                });
+            }
+
+            if (context.sendToRenderer) {
+                context.sendToRenderer('monitoringRestored', {
+                    agentId,
+                    childId,
+                    hostname,
+                    downtime,
+                    timestamp: Date.now()
+                });
+            }
+        });
+
+        // Persist session snapshots written outside the agent data path
+        timeTracker.on('sessions-changed', () => {
+            context.configurationUpdate(state);
+        });
+
+        // Persist the usage outbox whenever records are queued or delivered
+        timeTracker.on('outbox-changed', () => {
+            context.configurationUpdate(state);
         });
 
         // When time tracker records usage
@@ -221,22 +490,30 @@ function plugin(context) {
             allow2Client.on('stateChange', async (childId, newState) => {
                 console.log(`[WebBrowsers Plugin] Allow2 state change for child ${childId}`, newState);
 
-                // Check all agents linked to this child
+                // Check all agents the child is using
                 const childAgents = Object.entries(state.agents)
-                    .filter(([_, a]) => a.childId === childId)
+                    .filter(([_, a]) => ChildLinks.getChildId(a) === childId)
                     .map(([id, _]) => id);
 
                 for (const agentId of childAgents) {
                     await quotaEnforcer.checkQuota(agentId, childId, 'internet');
                 }
             });
+
+            // Connection to Allow2 restored - deliver queued usage right away
+            allow2Client.on('online', async () => {
+                console.log('[WebBrowsers Plugin] Allow2 connection restored, draining usage outbox');
+                await timeTracker.drainOutbox();
+            });
         }
 
         // Listen for new agents
         if (agentService) {
             agentService.on('agentDiscovered', async (agent) => {
                 console.log(`[WebBrowsers Plugin] New agent discovered: ${agent.hostname}`);
-                await deployToAgent(agent);
+                // A (re)discovered agent may have been reinstalled, so without
+                // an inventory from it nothing already recorded is trusted
+                await deployToAgent(agent, { trustRecord: false });
             });
 
             // Listen for agent data (browser detection results)
@@ -255,6 +532,18 @@ function plugin(context) {
         }
     }
 
+    /**
+     * Arguments the browser-detector monitor runs with, from settings
+     */
+    function getMonitorArguments() {
+        return {
+            exclusions: state.settings.processExclusions || [],
+            detectWebApps: (state.settings.webApps || 'ignore') !== 'ignore',
+            detectTamper: state.settings.tamperDetection !== false,
+            knownHashes: state.settings.browserHashes || {}
+        };
+    }
+
     /**
      * Handle browser detection data from agent
      */
@@ -262,22 +551,143 @@ function plugin(context) {
         const agentState = state.agents[agentId];
         if (!agentState) return;
 
-        const { browsersActive, browsers, timestamp, hostname, username } = data;
+        const { timestamp, hostname, username } = data;
+
+        // Reconnection is reported before lastSeen moves on
+        if (agentWatchdog) {
+            agentWatchdog.recordSeen(agentId);
+        }
+
+        recordUsers(agentState, username, data.browsers, timestamp || Date.now());
+
+        // On a shared computer only the logged-in child's own browsers count;
+        // other logins' browsers left running are theirs to account for
+        const targetUser = ChildLinks.getTargetUser(agentState);
+        const detected = targetUser
+            ? (data.browsers || []).filter(b => !b.username || ChildLinks.normalizeUsername(b.username) === targetUser)
+            : (data.browsers || []);
+
+        // Web-capable apps (Electron, CEF, web views) are handled per the webApps policy
+        const webAppPolicy = state.settings.webApps || 'ignore';
+        const webApps = webAppPolicy === 'ignore' ? [] : detected.filter(b => b.category === 'web-app');
+        const browsers = detected.filter(b => b.category !== 'web-app' || webAppPolicy === 'count');
+        const browsersActive = browsers.length > 0;
+        const browserFocused = webAppPolicy === 'count' && data.webAppFocused ? true : (data.browserFocused ?? null);
+
+        const previousBrowsers = browserNames(agentState.browsers);
+        const currentBrowsers = browserNames(browsers);
+        const previousSeen = agentState.lastSeen || 0;
 
         // Update agent state
         agentState.lastSeen = timestamp || Date.now();
-        agentState.browsers = browsers || [];
+        agentState.browsers = browsers;
+        agentState.webApps = webApps;
+        agentState.browserFocused = browserFocused;
+        agentState.idleSeconds = data.idleSeconds ?? null;
+        agentState.screenLocked = data.screenLocked ?? null;
+
+        const childId = ChildLinks.getChildId(agentState);
+
+        // A different child logged in - close the previous child's session and block
+        const sessionChildId = state.browserSessions[agentId]?.childId;
+        if (sessionChildId && sessionChildId !== childId) {
+            console.log(`[WebBrowsers Plugin] User on ${agentId} changed to ${agentState.activeUser}, ending session for child ${sessionChildId}`);
+            await timeTracker.endSession(agentId, sessionChildId);
+            agentManager?.cancelGracefulBlock(agentId);
+        }
+
+        // Without a session nothing was charged for reports that never arrived,
+        // so whatever the agent counted in between is charged now
+        if (childId && !state.browserSessions[agentId] && data.offlineUsage?.childId === childId) {
+            await reconcileOfflineUsage(agentId, childId, data.offlineUsage.ledger, previousSeen,
+                agentState.lastSeen, hostname || agentState.hostname);
+        }
+
+        // Browsers opened or closed while a session carries on. Session start
+        // and end are reported from the time tracker's session events.
+        if (childId && previousBrowsers.length > 0 && currentBrowsers.length > 0) {
+            const launched = currentBrowsers.filter(name => !previousBrowsers.includes(name));
+            const closed = previousBrowsers.filter(name => !currentBrowsers.includes(name));
+
+            if (launched.length > 0) {
+                fireTrigger('browserStarted', { agentId, childId, browsers: launched, reason: 'browser-launched' });
+            }
+            if (closed.length > 0) {
+                fireTrigger('browserStopped', { agentId, childId, browsers: closed, reason: 'browser-closed' });
+            }
+        }
+
+        // Browsers reopened and killed by the agent's launch block
+        if (childId && data.launchAttempts?.length > 0) {
+            for (const attempt of data.launchAttempts) {
+                recordViolation({
+                    agentId,
+                    childId,
+                    timestamp: attempt.killedAt || Date.now(),
+                    hostname: hostname || agentState.hostname,
+                    reason: `${attempt.browser} relaunched while blocked`,
+                    browsersKilled: [{ browser: attempt.browser, processes: [attempt.processName], forceKilled: [attempt.processName] }],
+                    launchAttempt: true
+                }, {
+                    type: 'browser_relaunch_blocked',
+                    message: `${attempt.browser} was reopened and closed again on ${hostname || agentState.hostname}`
+                });
+            }
+        }
+
+        if (webApps.length === 0) {
+            dryRunBlocks.delete(`${agentId}:kill-apps`);
+        }
+
+        // Web-capable apps are closed on sight under the block policy, unless
+        // monitoring is paused; monitor-only children just get a record of it
+        if (childId && webAppPolicy === 'block' && webApps.length > 0 && agentManager &&
+            !Pauses.getPause(state, agentId, childId)) {
+            if (quotaEnforcer?.isMonitorOnly(childId)) {
+                recordDryRun({
+                    event: 'kill-apps',
+                    agentId,
+                    childId,
+                    reason: `Web-capable apps are blocked: ${[...new Set(webApps.map(app => app.browser))].join(', ')}`,
+                    timestamp: Date.now()
+                });
+            } else {
+                const apps = [...new Set(webApps.map(app => app.processName).filter(Boolean))];
+                await agentManager.triggerKillApps(agentId, apps, 'Web-capable apps are blocked');
+
+                for (const app of webApps) {
+                    recordViolation({
+                        agentId,
+                        childId,
+                        timestamp: Date.now(),
+                        hostname: hostname || agentState.hostname,
+                        reason: `${app.browser} (${app.runtime}) is a blocked web-capable app`,
+                        browsersKilled: [{ browser: app.browser, processes: [app.processName] }],
+                        webApp: true
+                    }, {
+                        type: 'web_app_blocked',
+                        message: `${app.browser} was closed on ${hostname || agentState.hostname}: web-capable apps are blocked`
+                    });
+                }
+            }
+        }
+
+        recordTamper(agentId, agentState, childId, data.tamperSuspected || [], hostname || agentState.hostname);
 
-        const childId = agentState.childId;
         if (!childId) {
             // Agent not linked to a child, just track data
+            await agentManager?.clearAllowance(agentId);
             context.configurationUpdate(state);
             return;
         }
 
         if (browsersActive) {
             // Browser activity detected - track time
-            await timeTracker.recordActivity(agentId, childId, browsers);
+            await timeTracker.recordActivity(agentId, childId, browsers, {
+                foreground: browserFocused,
+                idleSeconds: data.idleSeconds ?? null,
+                screenLocked: data.screenLocked ?? null
+            });
 
             // Check quota
             await quotaEnforcer.checkQuota(agentId, childId, 'internet');
@@ -297,114 +707,652 @@ function plugin(context) {
             await timeTracker.endSession(agentId, childId);
         }
 
+        await syncOfflineAllowance(agentId, agentState, childId);
+
         context.configurationUpdate(state);
     }
 
     /**
-     * Handle action response from agent
+     * Charge the browsing an agent counted on its own between two reports
+     * that reached the parent. Entries from before the child's current day
+     * belong to a day that has already been reset.
      */
-    function handleActionResponse(data) {
-        console.log(`[WebBrowsers Plugin] Action response:`, data);
-
-        if (data.actionId === 'kill-browsers' && data.status === 'success') {
-            // Record violation
-            const violation = {
-                agentId: data.agentId,
-                timestamp: data.executedAt || Date.now(),
-                hostname: state.agents[data.agentId]?.hostname,
-                reason: data.arguments?.reason || 'Quota exceeded',
-                browsersKilled: data.output?.killed || []
-            };
+    async function reconcileOfflineUsage(agentId, childId, ledger, since, until, hostname) {
+        const { lastReset } = timeTracker.getDayBounds(childId);
+        const entries = (ledger || []).filter(entry => entry.at > Math.max(since, lastReset) && entry.at < until);
+        const seconds = entries.reduce((total, entry) => total + (entry.seconds || 0), 0);
 
-            state.violations.unshift(violation);
-            if (state.violations.length > 100) {
-                state.violations = state.violations.slice(0, 100);
-            }
+        if (seconds <= 0) {
+            return;
+        }
 
-            // Notify parent
-            if (state.settings.notifyParent && context.sendToRenderer) {
-                context.sendToRenderer('browserViolation', violation);
-            }
+        console.log(`[WebBrowsers Plugin] Charging ${seconds}s of offline browsing on ${agentId} to child ${childId}`);
+        await timeTracker.recordOfflineUsage(childId, seconds);
 
-            // Log activity
-            if (context.logActivity) {
-                context.logActivity({
-                    type: 'browser_blocked',
-                    message: `Browsers were blocked on ${violation.hostname}`,
-                    timestamp: violation.timestamp,
-                    severity: 'warning'
-                });
-            }
+        if (context.logActivity) {
+            context.logActivity({
+                type: 'offline_usage_reconciled',
+                message: `${Math.round(seconds / 60)} minutes of browsing on ${hostname || agentId} while it was offline were added to today's usage`,
+                timestamp: Date.now(),
+                severity: 'info',
+                data: { agentId, childId, seconds, from: entries[0].at, to: entries[entries.length - 1].at }
+            });
+        }
+    }
 
-            context.configurationUpdate(state);
+    /**
+     * A child's allowed hours as the agent evaluates them, with the time
+     * zone resolved, or null when browsing is allowed at any time
+     */
+    function getAgentSchedule(childId) {
+        const childData = state.children[childId];
+        if (!childData?.allowedHours) {
+            return null;
         }
+
+        return {
+            timeZone: TimeZones.resolveTimeZone(childData.timezone, state.settings.timezone),
+            windows: childData.allowedHours.windows
+        };
     }
 
     /**
-     * Setup IPC handlers for renderer communication
+     * Refresh the allowance the agent enforces while it is offline, about
+     * once a minute. It also acknowledges the agent's usage ledger up to the
+     * report just processed.
      */
-    function setupIPCHandlers() {
-        console.log('[WebBrowsers Plugin] Setting up IPC handlers...');
-        console.log('[WebBrowsers Plugin] ipcMain available:', !!ipcMain);
+    async function syncOfflineAllowance(agentId, agentState, childId) {
+        if (!agentManager || !quotaEnforcer) {
+            return;
+        }
 
-        // Get agents
-        ipcMain.handle('webBrowsers:getAgents', async (event) => {
-            try {
-                if (!agentService) {
-                    return [null, { agents: [], serviceUnavailable: true }];
-                }
-                const agents = await agentService.listAgents();
-                return [null, {
-                    agents: agents.map(a => ({
-                        id: a.id,
-                        hostname: a.hostname,
-                        platform: a.platform,
-                        online: a.online,
-                        childId: state.agents[a.id]?.childId,
-                        enabled: state.agents[a.id]?.enabled,
-                        browsers: state.agents[a.id]?.browsers || [],
-                        lastSeen: state.agents[a.id]?.lastSeen
-                    }))
-                }];
-            } catch (error) {
-                return [error];
-            }
-        });
+        if (state.settings.offlineEnforcement === false || Pauses.getPause(state, agentId, childId) ||
+            quotaEnforcer.isMonitorOnly(childId)) {
+            await agentManager.clearAllowance(agentId);
+            return;
+        }
 
-        // Link agent to child
-        ipcMain.handle('webBrowsers:linkAgent', async (event, { agentId, childId }) => {
-            try {
-                if (!state.agents[agentId]) {
-                    state.agents[agentId] = { id: agentId };
-                }
+        if (!agentManager.isAllowanceSyncDue(agentId, childId)) {
+            return;
+        }
 
-                state.agents[agentId].childId = childId;
-                state.agents[agentId].enabled = true;
+        const allowance = await quotaEnforcer.fetchAllowance(childId, 'internet');
+        const blocked = allowance && (allowance.is_banned || allowance.is_activity_blocked || !allowance.allowed);
+        if (!allowance || (!blocked && typeof allowance.remaining_seconds !== 'number')) {
+            return;
+        }
 
-                // Initialize child tracking if needed
-                if (!state.children[childId]) {
-                    state.children[childId] = {
-                        usageToday: 0,
-                        lastReset: Date.now()
-                    };
-                }
+        // Usage the tracker has charged but not yet logged is not in Allow2's figure
+        let remainingSeconds = allowance.remaining_seconds;
+        if (blocked) {
+            remainingSeconds = 0;
+        } else if (remainingSeconds !== -1) {
+            remainingSeconds = Math.max(0, remainingSeconds - timeTracker.getUnloggedSeconds(childId));
+        }
 
-                context.configurationUpdate(state);
-                return [null, { success: true }];
-            } catch (error) {
-                return [error];
-            }
+        await agentManager.syncAllowance(agentId, {
+            childId,
+            remainingSeconds,
+            reason: blocked ? (allowance.ban_reason || 'Internet time not allowed') : 'Daily internet time exhausted',
+            resetAt: timeTracker.getDayBounds(childId).nextReset,
+            schedule: getAgentSchedule(childId),
+            extendedUntil: quotaEnforcer.getTimeExtension(childId)?.expiresAt || null,
+            ackedThrough: agentState.lastSeen
         });
+    }
 
-        // Unlink agent
-        ipcMain.handle('webBrowsers:unlinkAgent', async (event, { agentId }) => {
-            try {
-                if (state.agents[agentId]) {
-                    state.agents[agentId].childId = null;
-                    state.agents[agentId].enabled = false;
-                }
+    /**
+     * Record browser executables the agent found running under another name.
+     * Each process is recorded once, while the agent keeps reporting it.
+     */
+    function recordTamper(agentId, agentState, childId, suspected, hostname) {
+        const reported = agentState.tamperReported || {};
+        const current = {};
+
+        for (const item of suspected) {
+            const key = `${item.pid}:${item.path}`;
+            current[key] = reported[key] || Date.now();
+            if (reported[key]) {
+                continue;
+            }
 
-                // End any active session (if timeTracker available)
+            recordViolation({
+                agentId,
+                childId,
+                timestamp: item.detectedAt || Date.now(),
+                hostname,
+                reason: `Possible ${item.browser} running as "${item.processName}" (${item.evidence.join(', ')})`,
+                severity: 'critical',
+                tamper: {
+                    browser: item.browser,
+                    processName: item.processName,
+                    path: item.path,
+                    username: item.username || null,
+                    evidence: item.evidence
+                }
+            }, {
+                type: 'tamper_suspected',
+                message: `A renamed or portable copy of ${item.browser} was found on ${hostname}: ${item.path}`,
+                severity: 'critical'
+            });
+        }
+
+        agentState.tamperReported = current;
+    }
+
+    /**
+     * Remember the agent's logged-in user and every user seen running a browser,
+     * for the per-user link UI
+     */
+    function recordUsers(agentState, username, browsers, seenAt) {
+        const activeUser = ChildLinks.normalizeUsername(username);
+        const users = [activeUser].concat((browsers || []).map(b => ChildLinks.normalizeUsername(b?.username)));
+
+        agentState.seenUsers = agentState.seenUsers || {};
+        for (const user of users) {
+            if (user) {
+                agentState.seenUsers[user] = seenAt;
+            }
+        }
+
+        if (activeUser) {
+            agentState.activeUser = activeUser;
+        }
+    }
+
+    /**
+     * Browser identifiers from detector entries ({ browser, pid, ... } or plain names)
+     */
+    function browserNames(browsers) {
+        return [...new Set((browsers || []).map(b => (typeof b === 'string' ? b : b?.browser)).filter(Boolean))];
+    }
+
+    /**
+     * Fire one of the automation triggers declared in package.json
+     * (allow2automate.api.triggers) so other plugins can react to it.
+     *
+     * Triggers: browserStarted, browserStopped, quotaWarning, quotaExhausted
+     *
+     * Payload:
+     * - trigger {string}               Trigger id
+     * - agentId {string}               Agent the event happened on
+     * - hostname {string|null}         Agent hostname
+     * - childId {string|null}          Child linked to the agent
+     * - browsers {string[]}            Browser ids involved (e.g. ['chrome'])
+     * - remainingMinutes {number|null} Internet time left, when known
+     * - reason {string|null}           Why it fired, e.g. 'session-started',
+     *                                  'browser-launched', 'browser-closed',
+     *                                  'session-ended', 'monitoring-lost', or
+     *                                  the quota warning / block reason
+     * - timestamp {number}             When it fired (ms)
+     */
+    function fireTrigger(triggerId, { agentId, childId = null, browsers = [], remainingMinutes = null, reason = null }) {
+        const payload = {
+            trigger: triggerId,
+            agentId,
+            hostname: state.agents[agentId]?.hostname || null,
+            childId,
+            browsers: browserNames(browsers),
+            remainingMinutes,
+            reason,
+            timestamp: Date.now()
+        };
+
+        if (context.emitTrigger) {
+            try {
+                context.emitTrigger(triggerId, payload);
+            } catch (error) {
+                console.error(`[WebBrowsers Plugin] Error firing trigger ${triggerId}:`, error);
+            }
+        }
+    }
+
+    /**
+     * Handle action response from agent
+     */
+    function handleActionResponse(data) {
+        console.log(`[WebBrowsers Plugin] Action response:`, data);
+
+        if (agentManager) {
+            agentManager.handleActionResponse(data.agentId, data);
+        }
+
+        // No extension on the agent to enforce the category - fall back to closing browsers
+        if (data.actionId === 'block-category' && data.output && agentManager &&
+            (!data.output.extensionAvailable || data.output.delivered?.length === 0)) {
+            console.log(`[WebBrowsers Plugin] No browser extension on ${data.agentId}, killing browsers to block ${data.output.category}`);
+            agentManager.triggerKillBrowsers(data.agentId, data.output.reason || data.arguments?.reason || 'Category blocked');
+        }
+
+        if (data.actionId === 'request-time' && data.status === 'success' && data.output?.requested) {
+            recordTimeRequest(data.agentId, data.output);
+        }
+
+        if (data.actionId === 'kill-browsers' && data.status === 'success') {
+            const childId = ChildLinks.getChildId(state.agents[data.agentId]);
+            const hostname = state.agents[data.agentId]?.hostname;
+
+            recordViolation({
+                agentId: data.agentId,
+                childId,
+                timestamp: data.executedAt || Date.now(),
+                hostname,
+                reason: data.arguments?.reason || 'Quota exceeded',
+                browsersKilled: data.output?.killed || []
+            }, {
+                type: 'browser_blocked',
+                message: `Browsers were blocked on ${hostname}`
+            });
+
+            context.configurationUpdate(state);
+        }
+    }
+
+    /**
+     * Text of a low-time warning for the limit that is running out
+     */
+    function getWarningMessage(limit, remaining) {
+        return limit === 'schedule' ? `Browsing time ends in ${Math.round(remaining)} minutes`
+            : limit === 'extension' ? `Bonus time ends in ${Math.round(remaining)} minutes`
+            : `${Math.round(remaining)} minutes of internet time remaining`;
+    }
+
+    /**
+     * Record a block or warning that monitor-only mode kept from reaching the
+     * agent. A block is recorded once, not on every re-check while it lasts.
+     * @param {Object} data { event, agentId, childId, reason, remaining, limit, timestamp }
+     */
+    function recordDryRun(data) {
+        const { event, agentId, childId } = data;
+        const isWarning = event === 'show-warning';
+        const blockKey = `${agentId}:${event}`;
+
+        if (!isWarning) {
+            if (dryRunBlocks.get(blockKey) === data.reason) {
+                return;
+            }
+            dryRunBlocks.set(blockKey, data.reason);
+        }
+
+        const hostname = state.agents[agentId]?.hostname || agentId;
+        const entry = {
+            type: isWarning ? 'would-warn' : 'would-block',
+            event,
+            agentId,
+            childId,
+            hostname,
+            reason: isWarning ? getWarningMessage(data.limit, data.remaining) : data.reason,
+            timestamp: data.timestamp || Date.now()
+        };
+
+        if (!state.dryRun) {
+            state.dryRun = [];
+        }
+        state.dryRun.unshift(entry);
+        if (state.dryRun.length > 100) {
+            state.dryRun = state.dryRun.slice(0, 100);
+        }
+
+        if (context.logActivity) {
+            context.logActivity({
+                type: isWarning ? 'browser_would_warn' : 'browser_would_block',
+                message: isWarning
+                    ? `Monitor only: ${hostname} would have been warned "${entry.reason}"`
+                    : `Monitor only: browsing on ${hostname} would have been blocked - ${entry.reason}`,
+                timestamp: entry.timestamp,
+                severity: 'info',
+                data: entry
+            });
+        }
+
+        if (context.sendToRenderer) {
+            context.sendToRenderer('dryRun', entry);
+        }
+
+        context.configurationUpdate(state);
+    }
+
+    /**
+     * "on <hostname>" or "for <childId>", for activity log messages about a pause
+     */
+    function describePauseTarget({ agentId, childId }) {
+        return agentId ? `on ${state.agents[agentId]?.hostname || agentId}` : `for ${childId}`;
+    }
+
+    /**
+     * Audit entry for a pause starting or ending
+     */
+    function logPauseChange(type, target, pause, message) {
+        if (context.logActivity) {
+            context.logActivity({
+                type,
+                message,
+                timestamp: Date.now(),
+                severity: type === 'monitoring_paused' ? 'warning' : 'info',
+                data: { ...target, ...pause }
+            });
+        }
+    }
+
+    /**
+     * Stand down on agents that were just paused: close their sessions
+     * (charged up to now) and call off any blocks, shutdowns and offline
+     * enforcement. Monitors and actions stay deployed.
+     */
+    async function suspendMonitoring(agentIds) {
+        for (const agentId of agentIds) {
+            if (timeTracker) {
+                await timeTracker.endAllSessions(agentId);
+            }
+            if (agentManager) {
+                agentManager.cancelGracefulBlock(agentId);
+                await agentManager.cancelScheduledShutdown(agentId);
+                await agentManager.clearAllowance(agentId);
+            }
+        }
+    }
+
+    /**
+     * Check agents against their child's allowance again once a pause ends
+     */
+    async function resumeMonitoring(agentIds) {
+        if (!quotaEnforcer) {
+            return;
+        }
+
+        for (const agentId of agentIds) {
+            const childId = ChildLinks.getChildId(state.agents[agentId]);
+            if (childId && state.agents[agentId]?.browsers?.length > 0) {
+                await quotaEnforcer.checkQuota(agentId, childId, 'internet');
+            }
+        }
+    }
+
+    /**
+     * Record a child's request for more time, answered from the parent's UI
+     * @param {string} agentId Agent the request was made on
+     * @param {Object} output request-time action output { childId, minutes, reason, timestamp, hostname }
+     */
+    function recordTimeRequest(agentId, output) {
+        const childId = output.childId || ChildLinks.getChildId(state.agents[agentId]);
+        if (!childId) {
+            return;
+        }
+
+        const requestedAt = output.timestamp || Date.now();
+        const request = {
+            id: `${childId}-${requestedAt}-${Math.random().toString(36).slice(2, 10)}`,
+            childId,
+            agentId,
+            hostname: output.hostname || state.agents[agentId]?.hostname || null,
+            minutes: output.minutes,
+            reason: output.reason || null,
+            requestedAt,
+            status: 'pending',
+            decidedAt: null,
+            grantedMinutes: null
+        };
+
+        if (!state.timeRequests) {
+            state.timeRequests = [];
+        }
+        state.timeRequests.unshift(request);
+        if (state.timeRequests.length > 100) {
+            state.timeRequests = state.timeRequests.slice(0, 100);
+        }
+
+        if (context.logActivity) {
+            context.logActivity({
+                type: 'browser_time_requested',
+                message: `${request.minutes} more minutes of browsing requested on ${request.hostname || agentId}` +
+                    (request.reason ? `: "${request.reason}"` : ''),
+                timestamp: requestedAt,
+                severity: 'info',
+                data: request
+            });
+        }
+
+        if (context.sendToRenderer) {
+            context.sendToRenderer('timeRequest', request);
+        }
+
+        context.configurationUpdate(state);
+    }
+
+    /**
+     * The child's unanswered request for more time, if there is one
+     */
+    function getPendingTimeRequest(childId) {
+        return (state.timeRequests || []).find(request => request.childId === childId && request.status === 'pending') || null;
+    }
+
+    /**
+     * Give a child bonus time: browsers stay unblocked for the given minutes,
+     * even past their allowance or allowed hours. A grant on top of one still
+     * running adds to it.
+     * @returns {Object} The child's timeExtension { minutes, grantedAt, expiresAt, reason }
+     */
+    async function grantTimeExtension(childId, minutes, reason = null) {
+        if (!state.children[childId]) {
+            state.children[childId] = {
+                usageToday: 0,
+                violationsToday: 0,
+                lastReset: Date.now()
+            };
+        }
+
+        const now = Date.now();
+        const current = quotaEnforcer ? quotaEnforcer.getTimeExtension(childId) : null;
+        const timeExtension = {
+            minutes: (current?.minutes || 0) + minutes,
+            grantedAt: now,
+            expiresAt: (current?.expiresAt || now) + minutes * 60000,
+            reason: reason || null
+        };
+        state.children[childId].timeExtension = timeExtension;
+        context.configurationUpdate(state);
+
+        if (context.logActivity) {
+            context.logActivity({
+                type: 'browser_extension_granted',
+                message: `${minutes} minutes of bonus browsing time granted` +
+                    ` until ${new Date(timeExtension.expiresAt).toLocaleTimeString()}${reason ? ` (${reason})` : ''}`,
+                timestamp: now,
+                severity: 'info',
+                data: { childId, ...timeExtension }
+            });
+        }
+
+        // Lift any block straight away
+        if (quotaEnforcer) {
+            await quotaEnforcer.handleExternalChange(childId);
+        }
+
+        return timeExtension;
+    }
+
+    /**
+     * Record a violation, count it against the child's day and tell the parent
+     * @param {Object} violation Violation entry for state.violations
+     * @param {Object} activity { type, message } for the activity log
+     */
+    function recordViolation(violation, activity) {
+        state.violations.unshift(violation);
+        if (state.violations.length > 100) {
+            state.violations = state.violations.slice(0, 100);
+        }
+
+        // Per-day count, cleared by the child's daily reset
+        const childId = violation.childId;
+        if (childId && state.children[childId]) {
+            state.children[childId].violationsToday = (state.children[childId].violationsToday || 0) + 1;
+        }
+
+        // Notify parent
+        if (state.settings.notifyParent && context.sendToRenderer) {
+            context.sendToRenderer('browserViolation', violation);
+        }
+
+        // Log activity
+        if (context.logActivity) {
+            context.logActivity({
+                type: activity.type,
+                message: activity.message,
+                timestamp: violation.timestamp,
+                severity: activity.severity || 'warning'
+            });
+        }
+    }
+
+    /**
+     * Setup IPC handlers for renderer communication
+     */
+    function setupIPCHandlers() {
+        console.log('[WebBrowsers Plugin] Setting up IPC handlers...');
+        console.log('[WebBrowsers Plugin] ipcMain available:', !!ipcMain);
+
+        // Get agents
+        ipcMain.handle('webBrowsers:getAgents', async (event) => {
+            try {
+                if (!agentService) {
+                    return [null, { agents: [], serviceUnavailable: true }];
+                }
+                const agents = await agentService.listAgents();
+                return [null, {
+                    agents: agents.map(a => ({
+                        id: a.id,
+                        hostname: a.hostname,
+                        platform: a.platform,
+                        online: a.online,
+                        childId: state.agents[a.id]?.childId,
+                        activeUser: state.agents[a.id]?.activeUser || null,
+                        activeChildId: ChildLinks.getChildId(state.agents[a.id]),
+                        users: Object.entries(state.agents[a.id]?.seenUsers || {}).map(([username, lastSeen]) => ({
+                            username,
+                            lastSeen,
+                            childId: state.agents[a.id]?.userLinks?.[username] || null
+                        })),
+                        enabled: state.agents[a.id]?.enabled,
+                        browsers: state.agents[a.id]?.browsers || [],
+                        webApps: state.agents[a.id]?.webApps || [],
+                        lastSeen: state.agents[a.id]?.lastSeen,
+                        browserFocused: state.agents[a.id]?.browserFocused ?? null,
+                        idleSeconds: state.agents[a.id]?.idleSeconds ?? null,
+                        screenLocked: state.agents[a.id]?.screenLocked ?? null,
+                        stale: !!state.agents[a.id]?.stale,
+                        launchBlocked: !!state.agents[a.id]?.launchBlock,
+                        launchBlockedSince: state.agents[a.id]?.launchBlock?.since || null,
+                        allowedHours: quotaEnforcer && ChildLinks.getChildId(state.agents[a.id])
+                            ? quotaEnforcer.getAllowedHours(ChildLinks.getChildId(state.agents[a.id]))
+                            : null,
+                        pause: Pauses.getPause(state, a.id, ChildLinks.getChildId(state.agents[a.id])),
+                        monitorOnly: quotaEnforcer && ChildLinks.getChildId(state.agents[a.id])
+                            ? quotaEnforcer.isMonitorOnly(ChildLinks.getChildId(state.agents[a.id]))
+                            : false,
+                        timeExtension: quotaEnforcer && ChildLinks.getChildId(state.agents[a.id])
+                            ? quotaEnforcer.getTimeExtension(ChildLinks.getChildId(state.agents[a.id]))
+                            : null,
+                        deployment: agentDeployer ? agentDeployer.getAgentDeployment(a.id) : null
+                    })),
+                    children: Object.keys(state.children)
+                }];
+            } catch (error) {
+                return [error];
+            }
+        });
+
+        // Retry deploying scripts to an agent now, instead of waiting for the next retry
+        ipcMain.handle('webBrowsers:redeploy', async (event, { agentId }) => {
+            try {
+                const agents = await agentService.listAgents();
+                const agent = agents.find(a => a.id === agentId);
+                if (!agent) {
+                    return [new Error(`Unknown agent ${agentId}`)];
+                }
+
+                const deployment = await agentDeployer.reconcile(agent);
+                context.configurationUpdate(state);
+
+                return [null, { success: deployment?.status === 'current', deployment: agentDeployer.getAgentDeployment(agentId) }];
+            } catch (error) {
+                return [error];
+            }
+        });
+
+        // Link agent to child
+        ipcMain.handle('webBrowsers:linkAgent', async (event, { agentId, childId }) => {
+            try {
+                if (!state.agents[agentId]) {
+                    state.agents[agentId] = { id: agentId };
+                }
+
+                state.agents[agentId].childId = childId;
+                state.agents[agentId].enabled = true;
+
+                // Initialize child tracking if needed
+                if (!state.children[childId]) {
+                    state.children[childId] = {
+                        usageToday: 0,
+                        violationsToday: 0,
+                        lastReset: Date.now()
+                    };
+                }
+
+                context.configurationUpdate(state);
+                return [null, { success: true }];
+            } catch (error) {
+                return [error];
+            }
+        });
+
+        // Link an OS login on an agent to a child (childId null removes the link)
+        ipcMain.handle('webBrowsers:linkUser', async (event, { agentId, username, childId }) => {
+            try {
+                const user = ChildLinks.normalizeUsername(username);
+                if (!user) {
+                    return [new Error('username is required')];
+                }
+
+                if (!state.agents[agentId]) {
+                    state.agents[agentId] = { id: agentId };
+                }
+
+                const agentData = state.agents[agentId];
+                agentData.userLinks = { ...agentData.userLinks };
+
+                if (childId) {
+                    agentData.userLinks[user] = childId;
+                    agentData.enabled = true;
+
+                    // Initialize child tracking if needed
+                    if (!state.children[childId]) {
+                        state.children[childId] = {
+                            usageToday: 0,
+                            violationsToday: 0,
+                            lastReset: Date.now()
+                        };
+                    }
+                } else {
+                    delete agentData.userLinks[user];
+                }
+
+                context.configurationUpdate(state);
+                return [null, { success: true }];
+            } catch (error) {
+                return [error];
+            }
+        });
+
+        // Unlink agent
+        ipcMain.handle('webBrowsers:unlinkAgent', async (event, { agentId }) => {
+            try {
+                if (state.agents[agentId]) {
+                    state.agents[agentId].childId = null;
+                    state.agents[agentId].userLinks = {};
+                    state.agents[agentId].enabled = false;
+                }
+
+                // End any active session (if timeTracker available)
                 if (timeTracker) {
                     await timeTracker.endAllSessions(agentId);
                 }
@@ -427,8 +1375,16 @@ function plugin(context) {
                 return [null, {
                     usage: {
                         usageToday: childData.usageToday,
+                        violationsToday: childData.violationsToday || 0,
                         lastReset: childData.lastReset,
-                        sessions: timeTracker ? timeTracker.getChildSessions(childId) : []
+                        resetTime: childData.resetTime || null,
+                        timezone: childData.timezone || null,
+                        allowedHours: childData.allowedHours || null,
+                        timeExtension: quotaEnforcer ? quotaEnforcer.getTimeExtension(childId) : null,
+                        pause: Pauses.isActive(childData.pause) ? childData.pause : null,
+                        monitorOnly: quotaEnforcer ? quotaEnforcer.isMonitorOnly(childId) : null,
+                        sessions: timeTracker ? timeTracker.getChildSessions(childId) : [],
+                        pendingUsage: timeTracker ? timeTracker.getOutboxSummary(childId) : null
                     }
                 }];
             } catch (error) {
@@ -436,6 +1392,349 @@ function plugin(context) {
             }
         });
 
+        // Set when a child's day starts: reset time "HH:MM" and IANA timezone
+        ipcMain.handle('webBrowsers:setChildReset', async (event, { childId, resetTime, timezone }) => {
+            try {
+                if (!childId) {
+                    return [new Error('childId is required')];
+                }
+                if (resetTime != null && !TimeZones.isValidTimeOfDay(resetTime)) {
+                    return [new Error(`Invalid reset time "${resetTime}", expected HH:MM`)];
+                }
+                if (timezone != null && !TimeZones.isValidTimeZone(timezone)) {
+                    return [new Error(`Unknown timezone "${timezone}"`)];
+                }
+
+                if (!state.children[childId]) {
+                    state.children[childId] = {
+                        usageToday: 0,
+                        violationsToday: 0,
+                        lastReset: Date.now()
+                    };
+                }
+
+                // Settle the current day under the old boundary first
+                if (timeTracker) {
+                    timeTracker.checkDailyReset();
+                }
+
+                state.children[childId].resetTime = resetTime || null;
+                state.children[childId].timezone = timezone || null;
+
+                // The day in progress carries on - the new boundary applies from its next occurrence
+                if (timeTracker) {
+                    const { timeZone, resetTime: effectiveResetTime } = timeTracker.getChildDay(childId);
+                    const lastBoundary = TimeZones.getLastResetTime(Date.now(), timeZone, effectiveResetTime);
+                    state.children[childId].lastReset = Math.max(state.children[childId].lastReset || 0, lastBoundary);
+                }
+
+                context.configurationUpdate(state);
+                return [null, { success: true }];
+            } catch (error) {
+                return [error];
+            }
+        });
+
+        // Set a child's weekly allowed hours, { windows: [{ day, start, end }] } or null for any time
+        ipcMain.handle('webBrowsers:setAllowedHours', async (event, { childId, allowedHours }) => {
+            try {
+                if (!childId) {
+                    return [new Error('childId is required')];
+                }
+                const invalid = AllowedHours.validate(allowedHours ?? null);
+                if (invalid) {
+                    return [new Error(invalid)];
+                }
+
+                if (!state.children[childId]) {
+                    state.children[childId] = {
+                        usageToday: 0,
+                        violationsToday: 0,
+                        lastReset: Date.now()
+                    };
+                }
+
+                state.children[childId].allowedHours = allowedHours
+                    ? { windows: allowedHours.windows.map(({ day, start, end }) => ({ day, start, end })) }
+                    : null;
+                context.configurationUpdate(state);
+
+                // Apply straight away: block if now outside the hours, or lift a block
+                if (quotaEnforcer) {
+                    await quotaEnforcer.handleExternalChange(childId);
+                }
+
+                return [null, { success: true }];
+            } catch (error) {
+                return [error];
+            }
+        });
+
+        // Give a child bonus time (see grantTimeExtension)
+        ipcMain.handle('webBrowsers:grantExtension', async (event, { childId, minutes, reason = null }) => {
+            try {
+                if (!childId) {
+                    return [new Error('childId is required')];
+                }
+                if (!Number.isInteger(minutes) || minutes < 1 || minutes > 24 * 60) {
+                    return [new Error('minutes must be a whole number from 1 to 1440')];
+                }
+
+                const timeExtension = await grantTimeExtension(childId, minutes, reason);
+                return [null, { success: true, timeExtension }];
+            } catch (error) {
+                return [error];
+            }
+        });
+
+        // End a child's bonus time early
+        ipcMain.handle('webBrowsers:revokeExtension', async (event, { childId }) => {
+            try {
+                const timeExtension = state.children[childId]?.timeExtension;
+                if (!timeExtension) {
+                    return [null, { success: true, revoked: false }];
+                }
+
+                delete state.children[childId].timeExtension;
+                context.configurationUpdate(state);
+
+                if (context.logActivity && timeExtension.expiresAt > Date.now()) {
+                    context.logActivity({
+                        type: 'browser_extension_revoked',
+                        message: `Bonus browsing time revoked with ${Math.ceil((timeExtension.expiresAt - Date.now()) / 60000)} minutes left`,
+                        timestamp: Date.now(),
+                        severity: 'info',
+                        data: { childId, ...timeExtension }
+                    });
+                }
+
+                // Block again if the child has no time of their own left
+                if (quotaEnforcer) {
+                    await quotaEnforcer.handleExternalChange(childId);
+                }
+
+                return [null, { success: true, revoked: true }];
+            } catch (error) {
+                return [error];
+            }
+        });
+
+        // Monitor-only mode for a child: true, false, or null to follow the killOnViolation setting
+        ipcMain.handle('webBrowsers:setMonitorOnly', async (event, { childId, monitorOnly = null }) => {
+            try {
+                if (!childId) {
+                    return [new Error('childId is required')];
+                }
+                if (monitorOnly !== null && typeof monitorOnly !== 'boolean') {
+                    return [new Error('monitorOnly must be true, false or null')];
+                }
+
+                if (!state.children[childId]) {
+                    state.children[childId] = {
+                        usageToday: 0,
+                        violationsToday: 0,
+                        lastReset: Date.now()
+                    };
+                }
+
+                const wasMonitorOnly = quotaEnforcer ? quotaEnforcer.isMonitorOnly(childId) : null;
+                state.children[childId].monitorOnly = monitorOnly;
+                context.configurationUpdate(state);
+
+                if (!quotaEnforcer || wasMonitorOnly === quotaEnforcer.isMonitorOnly(childId)) {
+                    return [null, { success: true }];
+                }
+
+                const nowMonitorOnly = !wasMonitorOnly;
+                const agentIds = getTargetAgents({ childId });
+
+                if (context.logActivity) {
+                    context.logActivity({
+                        type: 'browser_monitor_only_changed',
+                        message: nowMonitorOnly
+                            ? `Browsing for ${childId} is now only monitored - nothing will be blocked`
+                            : `Browsing limits for ${childId} are enforced again`,
+                        timestamp: Date.now(),
+                        severity: nowMonitorOnly ? 'warning' : 'info',
+                        data: { childId, monitorOnly }
+                    });
+                }
+
+                for (const agentId of agentIds) {
+                    dryRunBlocks.delete(`${agentId}:block-browsers`);
+                    dryRunBlocks.delete(`${agentId}:kill-apps`);
+
+                    // Call off anything already under way on the agent
+                    if (nowMonitorOnly && agentManager) {
+                        agentManager.cancelGracefulBlock(agentId);
+                        await agentManager.cancelScheduledShutdown(agentId);
+                        await agentManager.clearAllowance(agentId);
+                    }
+                }
+
+                // Apply straight away: record or enforce whatever is due now
+                await quotaEnforcer.handleExternalChange(childId);
+                context.configurationUpdate(state);
+
+                return [null, { success: true }];
+            } catch (error) {
+                return [error];
+            }
+        });
+
+        // What monitor-only mode would have blocked or warned about, newest first
+        ipcMain.handle('webBrowsers:getDryRun', async (event, { childId = null, limit = 50 } = {}) => {
+            try {
+                const entries = (state.dryRun || []).filter(entry => !childId || entry.childId === childId);
+                return [null, { entries: entries.slice(0, limit) }];
+            } catch (error) {
+                return [error];
+            }
+        });
+
+        // Pause monitoring on one agent or for one child, for some minutes or until resumed
+        ipcMain.handle('webBrowsers:pause', async (event, args) => {
+            try {
+                const invalid = Validators.validatePause(args, state);
+                if (invalid) {
+                    return [new Error(invalid)];
+                }
+
+                const { agentId = null, childId = null, minutes = null, reason = null } = args;
+                const now = Date.now();
+                const pause = { since: now, until: minutes ? now + minutes * 60000 : null, reason: reason || null };
+
+                if (agentId) {
+                    state.agents[agentId].pause = pause;
+                } else {
+                    if (!state.children[childId]) {
+                        state.children[childId] = {
+                            usageToday: 0,
+                            violationsToday: 0,
+                            lastReset: now
+                        };
+                    }
+                    state.children[childId].pause = pause;
+                }
+
+                await suspendMonitoring(getTargetAgents({ agentId, childId }));
+                context.configurationUpdate(state);
+
+                logPauseChange('monitoring_paused', { agentId, childId }, pause,
+                    `Browser monitoring paused ${describePauseTarget({ agentId, childId })}` +
+                    (pause.until ? ` until ${new Date(pause.until).toLocaleTimeString()}` : ' until resumed') +
+                    (reason ? ` (${reason})` : ''));
+
+                return [null, { success: true, pause }];
+            } catch (error) {
+                return [error];
+            }
+        });
+
+        // End a pause early
+        ipcMain.handle('webBrowsers:resume', async (event, { agentId = null, childId = null } = {}) => {
+            try {
+                const owner = agentId ? state.agents[agentId] : state.children[childId];
+                if (!owner?.pause) {
+                    return [null, { success: true, resumed: false }];
+                }
+
+                const pause = owner.pause;
+                owner.pause = null;
+                context.configurationUpdate(state);
+
+                logPauseChange('monitoring_resumed', { agentId, childId }, pause,
+                    `Browser monitoring resumed ${describePauseTarget({ agentId, childId })}`);
+
+                await resumeMonitoring(getTargetAgents({ agentId, childId }));
+
+                return [null, { success: true, resumed: true }];
+            } catch (error) {
+                return [error];
+            }
+        });
+
+        // Children's requests for more time, newest first, optionally only those with one status
+        ipcMain.handle('webBrowsers:getTimeRequests', async (event, { status = null, limit = 50 } = {}) => {
+            try {
+                const requests = (state.timeRequests || []).filter(request => !status || request.status === status);
+                return [null, { requests: requests.slice(0, limit) }];
+            } catch (error) {
+                return [error];
+            }
+        });
+
+        // Approve a request for more time: grant the bonus (the minutes asked for unless given) and tell the child
+        ipcMain.handle('webBrowsers:approveTimeRequest', async (event, { requestId, minutes = null }) => {
+            try {
+                const request = (state.timeRequests || []).find(r => r.id === requestId);
+                if (!request) {
+                    return [new Error(`Unknown time request ${requestId}`)];
+                }
+                if (request.status !== 'pending') {
+                    return [new Error(`Time request was already ${request.status}`)];
+                }
+
+                const granted = minutes ?? request.minutes;
+                if (!Number.isInteger(granted) || granted < 1 || granted > 24 * 60) {
+                    return [new Error('minutes must be a whole number from 1 to 1440')];
+                }
+
+                request.status = 'approved';
+                request.decidedAt = Date.now();
+                request.grantedMinutes = granted;
+
+                const timeExtension = await grantTimeExtension(request.childId, granted,
+                    request.reason ? `asked for: ${request.reason}` : 'asked for by the child');
+
+                if (agentManager) {
+                    await agentManager.notifyChild(request.agentId,
+                        `Your request was approved - you have ${granted} more minutes of internet time.`);
+                }
+
+                return [null, { success: true, request, timeExtension }];
+            } catch (error) {
+                return [error];
+            }
+        });
+
+        // Deny a request for more time and tell the child, optionally with a reply from the parent
+        ipcMain.handle('webBrowsers:denyTimeRequest', async (event, { requestId, message = null }) => {
+            try {
+                const request = (state.timeRequests || []).find(r => r.id === requestId);
+                if (!request) {
+                    return [new Error(`Unknown time request ${requestId}`)];
+                }
+                if (request.status !== 'pending') {
+                    return [new Error(`Time request was already ${request.status}`)];
+                }
+
+                request.status = 'denied';
+                request.decidedAt = Date.now();
+                request.reply = message || null;
+                context.configurationUpdate(state);
+
+                if (context.logActivity) {
+                    context.logActivity({
+                        type: 'browser_time_request_denied',
+                        message: `Request for ${request.minutes} more minutes of browsing denied`,
+                        timestamp: request.decidedAt,
+                        severity: 'info',
+                        data: request
+                    });
+                }
+
+                if (agentManager) {
+                    await agentManager.notifyChild(request.agentId,
+                        message ? `Your request for more time was declined: ${message}` : 'Your request for more time was declined.');
+                }
+
+                return [null, { success: true, request }];
+            } catch (error) {
+                return [error];
+            }
+        });
+
         // Get violations
         ipcMain.handle('webBrowsers:getViolations', async (event, { limit = 50 }) => {
             try {
@@ -467,26 +1766,7 @@ function plugin(context) {
 
         // Update settings
         ipcMain.handle('webBrowsers:updateSettings', async (event, { settings }) => {
-            try {
-                state.settings = { ...state.settings, ...settings };
-                context.configurationUpdate(state);
-
-                // Re-deploy monitors if interval changed (only if agentService available)
-                if (settings.checkInterval && agentService) {
-                    const agents = await agentService.listAgents();
-                    for (const agent of agents) {
-                        await agentService.updateMonitor(agent.id, {
-                            pluginId: 'allow2automate-web-browsers',
-                            monitorId: 'browser-detector',
-                            interval: settings.checkInterval
-                        });
-                    }
-                }
-
-                return [null, { success: true }];
-            } catch (error) {
-                return [error];
-            }
+            return runConfigure({ settings });
         });
 
         // Get status
@@ -494,7 +1774,7 @@ function plugin(context) {
             try {
                 if (!agentService) {
                     // Return limited status when agent service unavailable
-                    const linkedAgents = Object.values(state.agents).filter(a => a.childId);
+                    const linkedAgents = Object.values(state.agents).filter(a => ChildLinks.isLinked(a));
                     const activeSessionCount = Object.keys(state.browserSessions).length;
                     return [null, {
                         agentCount: 0,
@@ -508,7 +1788,7 @@ function plugin(context) {
                     }];
                 }
                 const agents = await agentService.listAgents();
-                const linkedAgents = Object.values(state.agents).filter(a => a.childId);
+                const linkedAgents = Object.values(state.agents).filter(a => ChildLinks.isLinked(a));
                 const activeSessionCount = Object.keys(state.browserSessions).length;
 
                 return [null, {
@@ -516,6 +1796,7 @@ function plugin(context) {
                     activeAgents: agents.filter(a => a.online).length,
                     linkedAgents: linkedAgents.length,
                     activeSessions: activeSessionCount,
+                    pendingUsage: timeTracker ? timeTracker.getOutboxSummary() : null,
                     recentViolations: state.violations.slice(0, 10),
                     settings: state.settings,
                     lastSync: state.lastSync
@@ -526,17 +1807,128 @@ function plugin(context) {
         });
 
         // Manually trigger browser block (for testing/override)
-        ipcMain.handle('webBrowsers:blockBrowsers', async (event, { agentId, reason }) => {
-            try {
-                if (!agentManager) {
-                    return [new Error('Agent service not available')];
+        ipcMain.handle('webBrowsers:blockBrowsers', async (event, args) => {
+            return runBlockBrowsers(args);
+        });
+
+        // Manually block a website category
+        ipcMain.handle('webBrowsers:blockCategory', async (event, args) => {
+            return runBlockCategory(args);
+        });
+    }
+
+    /**
+     * Agents an action applies to: the given agent, or every agent linked to the child
+     */
+    function getTargetAgents({ agentId, childId }) {
+        if (agentId) {
+            return [agentId];
+        }
+        return Object.entries(state.agents)
+            .filter(([_, a]) => ChildLinks.getChildId(a) === childId)
+            .map(([id, _]) => id);
+    }
+
+    /**
+     * configure action - merge validated settings into plugin state
+     * @param {Object} args { settings }
+     * @returns {Promise<Array>} [error, result]
+     */
+    async function runConfigure(args) {
+        try {
+            const invalid = Validators.validateConfigure(args);
+            if (invalid) {
+                return [new Error(invalid)];
+            }
+
+            const { settings } = args;
+            state.settings = { ...state.settings, ...settings };
+            context.configurationUpdate(state);
+
+            // Update the agents' monitors if interval or detection changed (only once the deployer is up)
+            const monitorSettings = ['checkInterval', 'processExclusions', 'webApps', 'tamperDetection', 'browserHashes'];
+            if (monitorSettings.some(key => key in settings) && agentDeployer) {
+                const agents = await agentService.listAgents();
+                for (const agent of agents) {
+                    await agentDeployer.updateMonitors(agent.id);
                 }
-                await agentManager.triggerKillBrowsers(agentId, reason || 'Manual block');
-                return [null, { success: true }];
-            } catch (error) {
-                return [error];
             }
-        });
+
+            return [null, { success: true, settings: state.settings }];
+        } catch (error) {
+            return [error];
+        }
+    }
+
+    /**
+     * blockBrowsers action - kill browsers on an agent, or on every agent of a child
+     * @param {Object} args { agentId, childId, browsers, reason }
+     * @returns {Promise<Array>} [error, result]
+     */
+    async function runBlockBrowsers(args) {
+        try {
+            if (!agentManager) {
+                return [new Error('Agent service not available')];
+            }
+
+            const invalid = Validators.validateBlockBrowsers(args, state);
+            if (invalid) {
+                return [new Error(invalid)];
+            }
+
+            const { browsers, reason } = args;
+            const agentIds = getTargetAgents(args);
+            for (const agentId of agentIds) {
+                await agentManager.triggerKillBrowsers(agentId, reason || 'Manual block', browsers || null);
+            }
+
+            return [null, { success: true, agents: agentIds }];
+        } catch (error) {
+            return [error];
+        }
+    }
+
+    /**
+     * blockCategory action - block a website category through the browser
+     * extensions on the agent. Agents without a connected extension report
+     * it in their action response and get their browsers killed instead.
+     * @param {Object} args { category, agentId, childId, reason }
+     * @returns {Promise<Array>} [error, result]
+     */
+    async function runBlockCategory(args) {
+        try {
+            if (!agentManager) {
+                return [new Error('Agent service not available')];
+            }
+
+            const invalid = Validators.validateBlockCategory(args, state);
+            if (invalid) {
+                return [new Error(invalid)];
+            }
+
+            const { category } = args;
+            const categoryInfo = CategoryPatterns.getCategoryInfo(category);
+            const reason = args.reason || `${categoryInfo.displayName} is blocked`;
+            const agentIds = getTargetAgents(args);
+
+            if (!state.blockedCategories) {
+                state.blockedCategories = {};
+            }
+
+            for (const agentId of agentIds) {
+                await agentManager.triggerBlockCategory(agentId, category, categoryInfo.domains, reason);
+
+                state.blockedCategories[agentId] = {
+                    ...state.blockedCategories[agentId],
+                    [category]: { reason, blockedAt: Date.now() }
+                };
+            }
+
+            context.configurationUpdate(state);
+            return [null, { success: true, agents: agentIds }];
+        } catch (error) {
+            return [error];
+        }
     }
 
     /**
@@ -551,6 +1943,8 @@ function plugin(context) {
         if (timeTracker) timeTracker.updateState(state);
         if (quotaEnforcer) quotaEnforcer.updateState(state);
         if (agentManager) agentManager.updateState(state);
+        if (agentWatchdog) agentWatchdog.updateState(state);
+        if (agentDeployer) agentDeployer.updateState(state);
     };
 
     /**
@@ -567,15 +1961,11 @@ function plugin(context) {
                 timestamp: Date.now()
             });
         } else {
-            // Disable monitoring on all agents
+            // Disable monitoring on all agents (pause one agent or child with webBrowsers:pause instead)
             try {
-                const agents = await agentService.listAgents();
+                const agents = agentDeployer ? await agentService.listAgents() : [];
                 for (const agent of agents) {
-                    await agentService.updateMonitor(agent.id, {
-                        pluginId: 'allow2automate-web-browsers',
-                        monitorId: 'browser-detector',
-                        enabled: false
-                    });
+                    await agentDeployer.updateMonitors(agent.id, { enabled: false });
                 }
             } catch (error) {
                 console.error('[WebBrowsers Plugin] Error disabling monitors:', error);
@@ -602,6 +1992,8 @@ function plugin(context) {
         if (timeTracker) timeTracker.cleanup();
         if (quotaEnforcer) quotaEnforcer.cleanup();
         if (agentManager) agentManager.cleanup();
+        if (agentWatchdog) agentWatchdog.cleanup();
+        if (agentDeployer) agentDeployer.cleanup();
 
         // Remove all monitors and actions from agents
         if (agentService) {
@@ -613,14 +2005,10 @@ function plugin(context) {
                                 pluginId: 'allow2automate-web-browsers',
                                 monitorId: 'browser-detector'
                             }),
-                            agentService.removeAction(agent.id, {
-                                pluginId: 'allow2automate-web-browsers',
-                                actionId: 'kill-browsers'
-                            }),
-                            agentService.removeAction(agent.id, {
+                            ...agentActions.map(action => agentService.removeAction(agent.id, {
                                 pluginId: 'allow2automate-web-browsers',
-                                actionId: 'show-warning'
-                            })
+                                actionId: action.id
+                            }))
                         ]);
                     });
                     return Promise.all(promises);
@@ -638,6 +2026,16 @@ function plugin(context) {
         }
     };
 
+    /**
+     * Host-callable actions declared in package.json (allow2automate.api.actions).
+     * Each resolves to an [error, result] tuple, like the IPC handlers.
+     */
+    webBrowsers.actions = {
+        configure: runConfigure,
+        blockBrowsers: runBlockBrowsers,
+        blockCategory: runBlockCategory
+    };
+
     return webBrowsers;
 }
 
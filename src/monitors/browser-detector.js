@@ -25,6 +25,7 @@
  */
 export default {
     id: 'browser-detector',
+    version: '1.8.0',  // Semantic version, bumped with every change to the script
     interval: 10000,  // Check every 10 seconds (configurable from parent)
     platforms: ['win32', 'darwin', 'linux'],
 
@@ -32,11 +33,64 @@ export default {
      * Script that runs ON THE AGENT to detect browsers
      * This function is serialized and executed in the agent's sandbox
      *
+     * @param {Object} args - Optional arguments
+     * @param {string} args.procRoot - Linux proc filesystem to read (default '/proc'),
+     *                                 e.g. the host's /proc mounted into a container
+     * @param {Array<string>} args.exclusions - Extra process names never treated as browsers
+     * @param {boolean} args.detectWebApps - Also report web-capable apps (Electron, CEF, web views)
+     * @param {boolean} args.detectTamper - Look for renamed or portable browser binaries (default true)
+     * @param {Object} args.knownHashes - SHA-256 of known browser executables -> browser id
      * @returns {Object} Browser detection data to send to parent
      */
-    script: function() {
-        const { execSync } = require('child_process');
+    script: function(args) {
+        const { execSync, execFileSync, execFile } = require('child_process');
+        const crypto = require('crypto');
+        const fs = require('fs');
         const os = require('os');
+        const path = require('path');
+
+        const {
+            procRoot = '/proc',
+            exclusions = [],
+            detectWebApps: includeWebApps = false,
+            detectTamper: includeTamper = true,
+            knownHashes = {}
+        } = args || {};
+
+        // Kernel USER_HZ, the unit of /proc/<pid>/stat start times (100 on all mainstream architectures)
+        const clockTicksPerSecond = 100;
+
+        // The actions keep these per OS user: "<prefix>.json" for all users, "<prefix>@<user>.json" for one
+        const stateDir = getStateDir();
+
+        // Written by the block-launch and sync-allowance actions
+        const launchAttemptsPrefix = 'launch-attempts';
+
+        // Cached by the sync-allowance action in the private state directory;
+        // usage is charged to the ledger until the parent acknowledges it
+        const allowancePrefix = 'allowance';
+        const ledgerPrefix = 'allowance-ledger';
+        const maxLedgerEntries = 10000;
+
+        // Armed by the schedule-shutdown action in the private state directory,
+        // whose ticker does not survive an agent restart
+        const shutdownPrefix = 'shutdown';
+        const shutdownRegistryKey = '__allow2WebBrowsersShutdown';
+        const shutdownCloseTimeoutMs = 5000;
+
+        // Input interrupt counts between runs, for the /proc/interrupts idle fallback
+        const idleStateFile = path.join(os.tmpdir(), 'allow2-web-browsers-idle.json');
+
+        // Per-executable results of the slower tamper checks, keyed by path. Kept
+        // in the private state directory so the child can't pre-seed a clean result.
+        const fingerprintCacheFile = stateDir && path.join(stateDir, 'fingerprints.json');
+        const maxHashesPerRun = 3;
+        // Each Windows version resource read starts a PowerShell, so new
+        // executables are looked up a few per run
+        const maxVersionLookupsPerRun = 2;
+        // ELF string scans run inside the monitor tick, so each run reads no more
+        // than this and a large binary is scanned over several runs
+        const maxElfScanBytes = 8 * 1024 * 1024;
 
         // Browser process patterns by platform
         const browserPatterns = {
@@ -59,15 +113,216 @@ export default {
                 arc: ['Arc']
             },
             linux: {
-                chrome: ['chrome', 'google-chrome', 'chromium', 'chromium-browser'],
-                firefox: ['firefox', 'firefox-esr'],
-                edge: ['microsoft-edge', 'msedge'],
-                brave: ['brave', 'brave-browser'],
-                opera: ['opera'],
-                vivaldi: ['vivaldi']
+                chrome: ['chrome', 'google-chrome', 'google-chrome-stable', 'chromium', 'chromium-browser'],
+                firefox: ['firefox', 'firefox-esr', 'firefox-bin'],
+                edge: ['microsoft-edge', 'microsoft-edge-stable', 'msedge'],
+                brave: ['brave', 'brave-browser', 'brave-browser-stable'],
+                opera: ['opera', 'opera-stable'],
+                vivaldi: ['vivaldi', 'vivaldi-bin']
             }
         };
 
+        // Browser-adjacent binaries that are not browsers (crash reporters,
+        // sandboxes, drivers, embedded webviews). Electron apps ship many of these.
+        const defaultExclusions = [
+            'chrome_crashpad_handler', 'crashpad_handler', 'chrome-sandbox', 'chrome_sandbox',
+            'chromedriver', 'nacl_helper', 'chrome-remote-desktop-host',
+            'msedgewebview2', 'msedgedriver', 'msedge_proxy',
+            'operadriver', 'opera_crashreporter', 'opera_autoupdate',
+            'crashreporter', 'pingsender', 'brave_crashpad_handler'
+        ];
+        // Files an executable's directory holds when it embeds a web runtime
+        const webRuntimeSignatures = {
+            electron: [
+                path.join('resources', 'app.asar'),
+                path.join('resources', 'default_app.asar'),
+                path.join('..', 'Resources', 'app.asar'),
+                path.join('..', 'Frameworks', 'Electron Framework.framework')
+            ],
+            cef: [
+                'libcef.dll',
+                'libcef.so',
+                path.join('..', 'Frameworks', 'Chromium Embedded Framework.framework')
+            ]
+        };
+
+        // System web view processes, whose parent is the app showing web content
+        const webViewProcesses = {
+            msedgewebview2: 'webview2',
+            webkitwebprocess: 'webkit'
+        };
+
+        // Desktop shell components that host web views but are not browsing vectors
+        const webViewHostExclusions = [
+            'explorer', 'searchhost', 'searchapp', 'widgets', 'startmenuexperiencehost',
+            'shellexperiencehost', 'textinputhost', 'gnome-shell', 'gnome-software'
+        ];
+
+        // Files present in every install of a browser engine's builds, beside
+        // the executable or (Windows Chromium) in its version-numbered subdirectory
+        const browserLayouts = {
+            chromium: ['resources.pak', 'icudtl.dat'],
+            gecko: ['omni.ja', 'application.ini']
+        };
+
+        // Helper executables installed beside the Gecko browser binary
+        const geckoHelpers = [
+            'updater', 'plugin-container', 'glxtest', 'vaapitest', 'minidump-analyzer',
+            'crashhelper', 'default-browser-agent', 'maintenanceservice', 'nmhproxy'
+        ];
+
+        // application.ini Name= of Gecko browsers (Thunderbird is not one)
+        const geckoProducts = {
+            firefox: 'firefox',
+            librewolf: 'firefox',
+            waterfox: 'firefox',
+            'tor browser': 'firefox'
+        };
+
+        // macOS CFBundleIdentifier of browser apps
+        const bundleIds = {
+            'com.google.Chrome': 'chrome',
+            'org.chromium.Chromium': 'chrome',
+            'org.mozilla.firefox': 'firefox',
+            'com.microsoft.edgemac': 'edge',
+            'com.brave.Browser': 'brave',
+            'com.operasoftware.Opera': 'opera',
+            'com.vivaldi.Vivaldi': 'vivaldi',
+            'company.thebrowser.Browser': 'arc'
+        };
+
+        // Strings only found in a Chromium browser's main binary
+        const elfMarkers = {
+            'chrome://settings/': 'chrome'
+        };
+
+        // Locations portable copies are run from: removable drives, downloads, temp
+        const portablePathPatterns = [
+            /portable/i,
+            /^[d-z]:\\/i,
+            /[\\/](downloads|desktop|temp|tmp)[\\/]/i,
+            /^\/(volumes|media|run\/media|mnt)\//i
+        ];
+
+        let fingerprintCache = {};
+        let fingerprintCacheChanged = false;
+        let elfBytesLeft = maxElfScanBytes;
+        let versionLookupsLeft = maxVersionLookupsPerRun;
+        if (fingerprintCacheFile) {
+            // Null on the first run, or when the cache is unreadable
+            fingerprintCache = readState(fingerprintCacheFile) || {};
+        }
+
+        const excludedNames = new Set(defaultExclusions.concat(exclusions).map(name => normalizeName(name)));
+
+        /**
+         * Compare form of a process name: file name only, lowercase, no .exe
+         */
+        function normalizeName(name) {
+            return String(name).split(/[\\/]/).pop().trim().toLowerCase().replace(/\.exe$/, '');
+        }
+
+        function readProcFile(...parts) {
+            return fs.readFileSync(path.join(procRoot, ...parts), 'utf8');
+        }
+
+        /**
+         * System boot time (ms) from the btime line of /proc/stat
+         */
+        function getBootTime() {
+            try {
+                const btime = readProcFile('stat').match(/^btime\s+(\d+)/m);
+                return btime ? parseInt(btime[1], 10) * 1000 : null;
+            } catch (error) {
+                return null;
+            }
+        }
+
+        /**
+         * uid -> username from /etc/passwd
+         */
+        function getUserNames() {
+            const users = {};
+            try {
+                for (const line of fs.readFileSync('/etc/passwd', 'utf8').split('\n')) {
+                    const [name, , uid] = line.split(':');
+                    if (name && uid !== undefined) {
+                        users[uid] = name;
+                    }
+                }
+            } catch (error) {
+                // Names fall back to the numeric uid
+            }
+            return users;
+        }
+
+        /**
+         * Read one /proc/<pid> entry. Throws if the process exited mid-scan.
+         */
+        function readProcProcess(pid, bootTime, users) {
+            const name = readProcFile(String(pid), 'comm').trim();
+            const cmdline = readProcFile(String(pid), 'cmdline').split('\0').filter(Boolean);
+
+            let exe = null;
+            try {
+                // Unreadable for other users' processes unless we run as root
+                exe = fs.readlinkSync(path.join(procRoot, String(pid), 'exe')).replace(/ \(deleted\)$/, '');
+            } catch (error) {
+                // Kernel thread or no permission
+            }
+
+            // comm may contain spaces and parentheses, so read fields after the last ')'
+            const stat = readProcFile(String(pid), 'stat');
+            const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+            const ppid = parseInt(fields[1], 10);
+            const startTicks = parseInt(fields[19], 10);
+
+            const uidMatch = readProcFile(String(pid), 'status').match(/^Uid:\s+(\d+)/m);
+            const uid = uidMatch ? parseInt(uidMatch[1], 10) : null;
+
+            return {
+                pid,
+                ppid: isNaN(ppid) ? null : ppid,
+                name,
+                cmdline,
+                exe,
+                path: exe || cmdline[0] || null,
+                uid,
+                user: uid === null ? null : (users[uid] || String(uid)),
+                startTime: bootTime !== null && !isNaN(startTicks)
+                    ? bootTime + Math.round((startTicks * 1000) / clockTicksPerSecond)
+                    : null
+            };
+        }
+
+        /**
+         * Linux: read process records straight from /proc. Unlike ps comm,
+         * this sees full executable names, paths and owners.
+         * Returns null if the proc filesystem can't be read.
+         */
+        function scanProc() {
+            let entries;
+            try {
+                entries = fs.readdirSync(procRoot).filter(entry => /^\d+$/.test(entry));
+            } catch (error) {
+                return null;
+            }
+
+            const bootTime = getBootTime();
+            const users = getUserNames();
+            const processes = [];
+
+            for (const entry of entries) {
+                try {
+                    processes.push(readProcProcess(parseInt(entry, 10), bootTime, users));
+                } catch (error) {
+                    // Process exited while scanning
+                }
+            }
+
+            return processes;
+        }
+
         /**
          * Get list of running processes for the current platform
          */
@@ -75,56 +330,70 @@ export default {
             const platform = process.platform;
             let processes = [];
 
+            if (platform === 'linux') {
+                const scanned = scanProc();
+                if (scanned) {
+                    return scanned;
+                }
+            }
+
             try {
                 if (platform === 'win32') {
-                    // Windows: Use WMIC or tasklist
-                    const output = execSync('wmic process get name,processid /format:csv', {
+                    // Windows: verbose tasklist includes the owning user and session
+                    const output = execSync('tasklist /V /FO CSV /NH', {
                         encoding: 'utf8',
-                        timeout: 5000,
+                        timeout: 10000,
                         windowsHide: true
                     });
 
                     const lines = output.split('\n').filter(line => line.trim());
-                    for (const line of lines.slice(1)) { // Skip header
-                        const parts = line.split(',');
-                        if (parts.length >= 3) {
+                    for (const line of lines) {
+                        // "Image Name","PID","Session Name","Session#","Mem Usage","Status","User Name",...
+                        const fields = (line.match(/"([^"]*)"/g) || []).map(field => field.slice(1, -1));
+                        if (fields.length >= 7) {
                             processes.push({
-                                name: parts[1]?.trim(),
-                                pid: parseInt(parts[2]?.trim(), 10)
+                                name: fields[0].trim(),
+                                pid: parseInt(fields[1], 10),
+                                session: fields[2],
+                                user: fields[6] === 'N/A' ? null : fields[6]
                             });
                         }
                     }
                 } else if (platform === 'darwin') {
                     // macOS: Use ps command
-                    const output = execSync('ps -axco pid,comm', {
+                    const output = execSync('ps -axco pid,ppid,user,comm', {
                         encoding: 'utf8',
                         timeout: 5000
                     });
 
                     const lines = output.split('\n').filter(line => line.trim());
                     for (const line of lines.slice(1)) { // Skip header
-                        const match = line.trim().match(/^(\d+)\s+(.+)$/);
+                        const match = line.trim().match(/^(\d+)\s+(\d+)\s+(\S+)\s+(.+)$/);
                         if (match) {
                             processes.push({
                                 pid: parseInt(match[1], 10),
-                                name: match[2].trim()
+                                ppid: parseInt(match[2], 10),
+                                user: match[3],
+                                name: match[4].trim()
                             });
                         }
                     }
                 } else {
-                    // Linux: Use ps command
-                    const output = execSync('ps -eo pid,comm --no-headers', {
+                    // Linux without a readable /proc: Use ps command
+                    const output = execSync('ps -eo pid,ppid,user:64,comm --no-headers', {
                         encoding: 'utf8',
                         timeout: 5000
                     });
 
                     const lines = output.split('\n').filter(line => line.trim());
                     for (const line of lines) {
-                        const match = line.trim().match(/^(\d+)\s+(.+)$/);
+                        const match = line.trim().match(/^(\d+)\s+(\d+)\s+(\S+)\s+(.+)$/);
                         if (match) {
                             processes.push({
                                 pid: parseInt(match[1], 10),
-                                name: match[2].trim()
+                                ppid: parseInt(match[2], 10),
+                                user: match[3],
+                                name: match[4].trim()
                             });
                         }
                     }
@@ -137,43 +406,943 @@ export default {
         }
 
         /**
-         * Identify browsers from process list
+         * Names a process goes by: executable file name, argv[0] and comm.
+         * comm alone is truncated to 15 characters on Linux.
+         */
+        function getProcessNames(proc) {
+            const names = [];
+            if (proc.exe) names.push(proc.exe);
+            if (proc.cmdline?.[0]) names.push(proc.cmdline[0]);
+            if (proc.name) names.push(proc.name);
+            return names.map(name => normalizeName(name));
+        }
+
+        /**
+         * Browser id for a process record, or null. Names must match exactly;
+         * macOS helpers ("Google Chrome Helper (Renderer)") count as their browser.
+         */
+        function matchBrowser(proc) {
+            const patterns = browserPatterns[process.platform] || browserPatterns.linux;
+            const procNames = getProcessNames(proc);
+
+            if (procNames.some(procName => excludedNames.has(procName))) {
+                return null;
+            }
+
+            const candidates = procNames.map(procName => procName.replace(/ helper( \(.+\))?$/, ''));
+            for (const [browser, browserNames] of Object.entries(patterns)) {
+                if (browserNames.some(name => candidates.includes(name.toLowerCase()))) {
+                    return browser;
+                }
+            }
+
+            return null;
+        }
+
+        /**
+         * Whether a process is a Chromium child (renderer, GPU, utility...)
+         */
+        function isChildProcessType(proc) {
+            return (proc.cmdline || []).some(arg => arg.startsWith('--type='));
+        }
+
+        /**
+         * Identify browsers from process list.
+         *
+         * Helper and renderer processes are folded into the main browser
+         * process by walking parent pids while the parent is the same browser.
+         * A Chromium child with no browser above it belongs to an app
+         * embedding Chromium, and is ignored.
          */
         function detectBrowsers(processes) {
-            const platform = process.platform;
-            const patterns = browserPatterns[platform] || browserPatterns.linux;
+            const identified = new Map();
+            for (const proc of processes) {
+                const browser = matchBrowser(proc);
+                if (browser) {
+                    identified.set(proc.pid, { proc, browser });
+                }
+            }
+
+            const mains = new Map();
+            for (const { proc, browser } of identified.values()) {
+                let main = proc;
+                const visited = new Set([main.pid]);
+                while (main.ppid && identified.get(main.ppid)?.browser === browser && !visited.has(main.ppid)) {
+                    main = identified.get(main.ppid).proc;
+                    visited.add(main.pid);
+                }
+
+                if (main === proc && isChildProcessType(proc)) {
+                    continue;
+                }
+
+                const entry = mains.get(main.pid) || { proc: main, browser, processCount: 0 };
+                entry.processCount++;
+                mains.set(main.pid, entry);
+            }
+
             const detected = [];
+            for (const { proc, browser, processCount } of mains.values()) {
+                // One entry per browser per user, so shared computers can tell them apart
+                const username = proc.user || null;
+                const existing = detected.find(d => d.browser === browser && d.username === username);
+                if (existing) {
+                    existing.processCount += processCount;
+                    continue;
+                }
 
-            for (const proc of processes) {
-                const procName = proc.name?.toLowerCase() || '';
-
-                for (const [browser, browserNames] of Object.entries(patterns)) {
-                    const isMatch = browserNames.some(name =>
-                        procName === name.toLowerCase() ||
-                        procName.includes(name.toLowerCase())
-                    );
-
-                    if (isMatch) {
-                        // Check if this browser is already detected
-                        if (!detected.find(d => d.browser === browser)) {
-                            detected.push({
-                                browser,
-                                processName: proc.name,
-                                pid: proc.pid,
-                                detectedAt: Date.now()
-                            });
-                        }
+                detected.push({
+                    browser,
+                    processName: proc.name,
+                    pid: proc.pid,
+                    ppid: proc.ppid ?? null,
+                    path: proc.path || null,
+                    startTime: proc.startTime || null,
+                    username,
+                    category: 'browser',
+                    processCount,
+                    detectedAt: Date.now()
+                });
+            }
+
+            return detected;
+        }
+
+        /**
+         * Where a process's executable can be read from here. Linux processes
+         * are looked up through /proc/<pid>/root first, so snap/flatpak and
+         * container apps resolve.
+         */
+        function resolveExecutable(proc) {
+            if (proc.exe) {
+                const rooted = path.join(procRoot, String(proc.pid), 'root', proc.path);
+                try {
+                    if (fs.existsSync(rooted)) {
+                        return rooted;
+                    }
+                } catch (error) {
+                    // Another user's process
+                }
+            }
+            return proc.path;
+        }
+
+        /**
+         * Runtime an executable embeds, from the files bundled beside it:
+         * 'electron' (resources/app.asar or the Electron framework) or
+         * 'cef' (libcef).
+         */
+        function getWebRuntime(proc) {
+            const exeDir = path.dirname(resolveExecutable(proc));
+
+            for (const [runtime, files] of Object.entries(webRuntimeSignatures)) {
+                if (files.some(file => fs.existsSync(path.join(exeDir, file)))) {
+                    return runtime;
+                }
+            }
+
+            return null;
+        }
+
+        /**
+         * Process records with executable paths and parent pids filled in.
+         * Looked up once per run.
+         */
+        let processRecords;
+        function getProcessRecords(processes) {
+            if (processRecords === undefined) {
+                const paths = findExecutablePaths();
+                processRecords = processes.map(proc => {
+                    const known = paths.get(proc.pid) || {};
+                    return { ...proc, path: proc.path || known.path || null, ppid: proc.ppid ?? known.ppid ?? null };
+                });
+            }
+            return processRecords;
+        }
+
+        /**
+         * Executable path and parent pid by pid, for platforms whose process
+         * listing carries neither. Only gathered for the web app and tamper scans.
+         */
+        function findExecutablePaths() {
+            const paths = new Map();
+
+            if (process.platform === 'win32') {
+                const output = run('powershell', ['-NoProfile', '-NonInteractive', '-Command',
+                    'Get-CimInstance Win32_Process | ForEach-Object { "$($_.ProcessId)|$($_.ParentProcessId)|$($_.ExecutablePath)" }'], 10000);
+                for (const line of (output || '').split('\n')) {
+                    const [pid, ppid, exePath] = line.trim().split('|');
+                    if (exePath) {
+                        paths.set(parseInt(pid, 10), { path: exePath, ppid: parseInt(ppid, 10) });
+                    }
+                }
+            } else if (process.platform === 'darwin') {
+                // Without -c, comm is the full executable path
+                const output = run('ps', ['-axo', 'pid=,comm=']);
+                for (const line of (output || '').split('\n')) {
+                    const match = line.trim().match(/^(\d+)\s+(\/.+)$/);
+                    if (match) {
+                        paths.set(parseInt(match[1], 10), { path: match[2] });
                     }
                 }
             }
 
+            return paths;
+        }
+
+        /**
+         * Identify web-capable apps: Electron and CEF apps (Discord, YouTube
+         * wrappers, game launchers' in-app browsers) and apps hosting a system
+         * web view. One entry per app per user, pointing at its main process.
+         */
+        function detectWebApps(processes) {
+            const records = getProcessRecords(processes);
+            const byPid = new Map(records.map(proc => [proc.pid, proc]));
+            const runtimes = new Map();
+
+            const candidates = [];
+            for (const proc of records) {
+                if (!proc.path || isChildProcessType(proc) || matchBrowser(proc)) {
+                    continue;
+                }
+
+                const name = normalizeName(proc.path);
+                if (excludedNames.has(name) || webViewHostExclusions.includes(name)) {
+                    continue;
+                }
+
+                if (!runtimes.has(proc.path)) {
+                    runtimes.set(proc.path, getWebRuntime(proc));
+                }
+                if (runtimes.get(proc.path)) {
+                    candidates.push({ proc, name, runtime: runtimes.get(proc.path) });
+                }
+            }
+
+            // Apps hosting a system web view are the parent of its top web view process
+            for (const proc of records) {
+                const runtime = webViewProcesses[normalizeName(proc.name || '')];
+                const host = runtime && byPid.get(proc.ppid);
+                if (!host || webViewProcesses[normalizeName(host.name || '')] || matchBrowser(host)) {
+                    continue;
+                }
+
+                const name = normalizeName(host.path || host.name);
+                if (!excludedNames.has(name) && !webViewHostExclusions.includes(name) &&
+                    !candidates.some(candidate => candidate.proc.pid === host.pid)) {
+                    candidates.push({ proc: host, name, runtime });
+                }
+            }
+
+            const detected = [];
+            for (const { proc, name, runtime } of candidates) {
+                const username = proc.user || null;
+                const existing = detected.find(d => d.browser === name && d.username === username);
+                if (existing) {
+                    existing.processCount++;
+                    continue;
+                }
+
+                detected.push({
+                    browser: name,
+                    category: 'web-app',
+                    runtime,
+                    processName: proc.name,
+                    pid: proc.pid,
+                    ppid: proc.ppid ?? null,
+                    path: proc.path || null,
+                    startTime: proc.startTime || null,
+                    username,
+                    processCount: 1,
+                    detectedAt: Date.now()
+                });
+            }
+
             return detected;
         }
 
         /**
-         * Get current active user
+         * Browser build an install directory holds, from files every build
+         * of it ships: 'chromium' or 'gecko'. macOS apps are all candidates
+         * ('bundle'), as their bundle identifier is cheap to read. Helpers
+         * share the directory, so this alone does not make an executable a browser.
          */
-        function getActiveUser() {
+        function getBrowserLayout(exeDir) {
+            if (process.platform === 'darwin') {
+                return path.basename(exeDir) === 'MacOS' && fs.existsSync(path.join(exeDir, '..', 'Info.plist'))
+                    ? 'bundle'
+                    : null;
+            }
+
+            let dirs = [exeDir];
+            try {
+                dirs = dirs.concat(fs.readdirSync(exeDir)
+                    .filter(entry => /^\d+(\.\d+){3}$/.test(entry))
+                    .map(entry => path.join(exeDir, entry)));
+            } catch (error) {
+                return null;
+            }
+
+            for (const [family, files] of Object.entries(browserLayouts)) {
+                if (dirs.some(dir => files.every(file => fs.existsSync(path.join(dir, file))))) {
+                    return family;
+                }
+            }
+            return null;
+        }
+
+        /**
+         * Fingerprint cache entry for an executable, reset when the file changes
+         */
+        function getFingerprintEntry(exePath) {
+            let stat;
+            try {
+                stat = fs.statSync(exePath);
+            } catch (error) {
+                return null;
+            }
+
+            const cached = fingerprintCache[exePath];
+            if (cached && cached.size === stat.size && cached.mtimeMs === stat.mtimeMs) {
+                return cached;
+            }
+
+            fingerprintCacheChanged = true;
+            fingerprintCache[exePath] = { size: stat.size, mtimeMs: stat.mtimeMs };
+            return fingerprintCache[exePath];
+        }
+
+        /**
+         * Browser named by an executable's own metadata: the Gecko
+         * application.ini, the macOS bundle identifier, the Windows version
+         * resource's original file name, or strings in a Linux ELF binary.
+         * Returns { browser, source } or null.
+         */
+        function getProductBrowser(exePath, family, entry) {
+            const exeDir = path.dirname(exePath);
+
+            if (process.platform === 'win32') {
+                if (entry.originalFilename === undefined) {
+                    if (versionLookupsLeft <= 0) {
+                        // Looked up on a later run
+                        return null;
+                    }
+                    versionLookupsLeft--;
+                    entry.originalFilename = getOriginalFilename(exePath);
+                    fingerprintCacheChanged = true;
+                }
+                const browser = entry.originalFilename && matchBrowser({ name: entry.originalFilename });
+                return browser ? { browser, source: 'version-info' } : null;
+            }
+
+            if (family === 'bundle') {
+                try {
+                    const plist = fs.readFileSync(path.join(exeDir, '..', 'Info.plist'), 'utf8');
+                    const bundleId = plist.match(/<key>CFBundleIdentifier<\/key>\s*<string>([^<]+)<\/string>/);
+                    const browser = bundleId && bundleIds[bundleId[1].trim()];
+                    return browser ? { browser, source: 'bundle-id' } : null;
+                } catch (error) {
+                    return null;
+                }
+            }
+
+            if (family === 'gecko') {
+                if (geckoHelpers.includes(normalizeName(exePath))) {
+                    return null;
+                }
+                for (const ini of [path.join(exeDir, 'application.ini'), path.join(exeDir, '..', 'Resources', 'application.ini')]) {
+                    try {
+                        const name = fs.readFileSync(ini, 'utf8').match(/^Name=(.+)$/m);
+                        const browser = name && geckoProducts[name[1].trim().toLowerCase()];
+                        return browser ? { browser, source: 'application-ini' } : null;
+                    } catch (error) {
+                        // Not in this location
+                    }
+                }
+                return null;
+            }
+
+            if (entry.elfBrowser === undefined) {
+                entry.elfBrowser = findElfBrowser(exePath, entry);
+                fingerprintCacheChanged = true;
+            }
+            return entry.elfBrowser ? { browser: entry.elfBrowser, source: 'elf-strings' } : null;
+        }
+
+        /**
+         * OriginalFilename from a Windows executable's version resource, or null.
+         * The path goes through the environment rather than the command line.
+         */
+        function getOriginalFilename(exePath) {
+            try {
+                const output = execFileSync('powershell', ['-NoProfile', '-NonInteractive', '-Command',
+                    '(Get-Item -LiteralPath $env:ALLOW2_EXE_PATH).VersionInfo.OriginalFilename'], {
+                    encoding: 'utf8',
+                    timeout: 5000,
+                    windowsHide: true,
+                    stdio: 'pipe',
+                    env: { ...process.env, ALLOW2_EXE_PATH: exePath }
+                }).trim();
+                return output || null;
+            } catch (error) {
+                return null;
+            }
+        }
+
+        /**
+         * Where a Linux ELF binary keeps its string constants: the .rodata
+         * section as { offset, size }, or null when the section table can't
+         * be read.
+         */
+        function findElfRodata(fd) {
+            const header = Buffer.alloc(64);
+            if (fs.readSync(fd, header, 0, 64, 0) < 52 || header.toString('latin1', 0, 4) !== '\x7fELF') {
+                return null;
+            }
+
+            const is64 = header[4] === 2;
+            const le = header[5] === 1;
+            const u16 = (buf, at) => (le ? buf.readUInt16LE(at) : buf.readUInt16BE(at));
+            const u32 = (buf, at) => (le ? buf.readUInt32LE(at) : buf.readUInt32BE(at));
+            const word = (buf, at) => (is64 ? Number(le ? buf.readBigUInt64LE(at) : buf.readBigUInt64BE(at)) : u32(buf, at));
+
+            const sectionsAt = word(header, is64 ? 0x28 : 0x20);
+            const entrySize = u16(header, is64 ? 0x3a : 0x2e);
+            const count = u16(header, is64 ? 0x3c : 0x30);
+            const namesIndex = u16(header, is64 ? 0x3e : 0x32);
+            if (!sectionsAt || entrySize < (is64 ? 0x28 : 0x18) || count === 0 || namesIndex >= count) {
+                return null;
+            }
+
+            const sections = Buffer.alloc(entrySize * count);
+            if (fs.readSync(fd, sections, 0, sections.length, sectionsAt) < sections.length) {
+                return null;
+            }
+            const section = index => ({
+                name: u32(sections, index * entrySize),
+                offset: word(sections, index * entrySize + (is64 ? 0x18 : 0x10)),
+                size: word(sections, index * entrySize + (is64 ? 0x20 : 0x14))
+            });
+
+            const names = section(namesIndex);
+            const nameTable = Buffer.alloc(Math.min(names.size, 64 * 1024));
+            fs.readSync(fd, nameTable, 0, nameTable.length, names.offset);
+
+            for (let index = 0; index < count; index++) {
+                const candidate = section(index);
+                const end = nameTable.indexOf(0, candidate.name);
+                if (end > candidate.name && nameTable.toString('latin1', candidate.name, end) === '.rodata') {
+                    return candidate;
+                }
+            }
+            return null;
+        }
+
+        /**
+         * Browser whose marker strings a Linux ELF binary contains, or null.
+         * Only its .rodata section is read (the whole file when there's no
+         * section table), at most maxElfScanBytes a run across all binaries: an unfinished scan
+         * returns undefined and carries on from entry.elfScannedTo next run.
+         * Read in chunks; markers straddling a chunk boundary are caught by
+         * carrying the previous chunk's tail over.
+         */
+        function findElfBrowser(exePath, entry) {
+            if (elfBytesLeft <= 0) {
+                return undefined;
+            }
+
+            let fd;
+            try {
+                fd = fs.openSync(exePath, 'r');
+                const rodata = findElfRodata(fd) || { offset: 0, size: fs.fstatSync(fd).size };
+                const overlap = Math.max(...Object.keys(elfMarkers).map(marker => marker.length));
+                const sectionEnd = rodata.offset + rodata.size;
+
+                // Resuming re-reads the overlap, so no marker is split between runs
+                let position = entry.elfScannedTo ? Math.max(rodata.offset, entry.elfScannedTo - overlap) : rodata.offset;
+                const end = Math.min(sectionEnd, position + elfBytesLeft);
+                delete entry.elfScannedTo;
+
+                const buffer = Buffer.alloc(1024 * 1024);
+                let tail = '';
+                let bytesRead;
+
+                while (position < end &&
+                    (bytesRead = fs.readSync(fd, buffer, 0, Math.min(buffer.length, end - position), position)) > 0) {
+                    position += bytesRead;
+                    elfBytesLeft -= bytesRead;
+                    const text = tail + buffer.toString('latin1', 0, bytesRead);
+                    for (const [marker, browser] of Object.entries(elfMarkers)) {
+                        if (text.includes(marker)) {
+                            return browser;
+                        }
+                    }
+                    tail = text.slice(-overlap);
+                }
+
+                if (bytesRead > 0 && position < sectionEnd) {
+                    entry.elfScannedTo = position;
+                    return undefined;
+                }
+                return null;
+            } catch (error) {
+                return null;
+            } finally {
+                if (fd !== undefined) {
+                    fs.closeSync(fd);
+                }
+            }
+        }
+
+        /**
+         * SHA-256 of an executable, or null
+         */
+        function hashFile(exePath) {
+            let fd;
+            try {
+                const hash = crypto.createHash('sha256');
+                const buffer = Buffer.alloc(4 * 1024 * 1024);
+                let bytesRead;
+
+                fd = fs.openSync(exePath, 'r');
+                while ((bytesRead = fs.readSync(fd, buffer, 0, buffer.length, null)) > 0) {
+                    hash.update(buffer.subarray(0, bytesRead));
+                }
+                return hash.digest('hex');
+            } catch (error) {
+                return null;
+            } finally {
+                if (fd !== undefined) {
+                    fs.closeSync(fd);
+                }
+            }
+        }
+
+        /**
+         * Find browser executables running under a name that is not a browser's:
+         * renamed binaries, and portable copies started from removable or
+         * user-writable locations. A browser install layout is required before
+         * the executable's own metadata or hash is checked; either one names
+         * the browser. Expensive checks are cached per file in the agent's
+         * private state directory.
+         */
+        function detectTamper(processes) {
+            const records = getProcessRecords(processes);
+            const byPid = new Map(records.map(proc => [proc.pid, proc]));
+            const layouts = new Map();
+            const suspected = [];
+            let hashesLeft = maxHashesPerRun;
+
+            for (const proc of records) {
+                if (!proc.path || isChildProcessType(proc) || matchBrowser(proc)) {
+                    continue;
+                }
+                if (excludedNames.has(normalizeName(proc.path)) || byPid.get(proc.ppid)?.path === proc.path) {
+                    continue;
+                }
+
+                const exePath = resolveExecutable(proc);
+                const exeDir = path.dirname(exePath);
+                if (!layouts.has(exeDir)) {
+                    layouts.set(exeDir, getBrowserLayout(exeDir));
+                }
+                const family = layouts.get(exeDir);
+                if (!family) {
+                    continue;
+                }
+
+                const entry = getFingerprintEntry(exePath);
+                if (!entry) {
+                    continue;
+                }
+
+                const evidence = ['layout'];
+                const product = getProductBrowser(exePath, family, entry);
+                let browser = null;
+                if (product) {
+                    browser = product.browser;
+                    evidence.push(product.source);
+                }
+
+                if (Object.keys(knownHashes).length > 0) {
+                    if (entry.sha256 === undefined && hashesLeft > 0) {
+                        hashesLeft--;
+                        fingerprintCacheChanged = true;
+                        entry.sha256 = hashFile(exePath);
+                    }
+                    if (entry.sha256 && knownHashes[entry.sha256]) {
+                        browser = browser || knownHashes[entry.sha256];
+                        evidence.push('hash');
+                    }
+                }
+
+                if (!browser) {
+                    continue;
+                }
+
+                if (portablePathPatterns.some(pattern => pattern.test(proc.path))) {
+                    evidence.push('portable-path');
+                }
+
+                const username = proc.user || null;
+                if (suspected.some(s => s.path === proc.path && s.username === username)) {
+                    continue;
+                }
+
+                suspected.push({
+                    browser,
+                    processName: proc.name,
+                    pid: proc.pid,
+                    path: proc.path,
+                    startTime: proc.startTime || null,
+                    username,
+                    evidence,
+                    detectedAt: Date.now()
+                });
+            }
+
+            if (fingerprintCacheChanged && fingerprintCacheFile) {
+                try {
+                    writeState(fingerprintCacheFile, fingerprintCache);
+                } catch (error) {
+                    // Re-fingerprinted next run
+                }
+            }
+
+            return suspected;
+        }
+
+        /**
+         * Run a helper tool without a shell, returning trimmed stdout or null
+         */
+        function run(file, args, timeout = 3000) {
+            try {
+                return execFileSync(file, args, {
+                    encoding: 'utf8',
+                    timeout,
+                    windowsHide: true,
+                    stdio: 'pipe'
+                }).trim();
+            } catch (error) {
+                // Tool missing, no display access, or nothing focused
+                return null;
+            }
+        }
+
+        function parsePid(output) {
+            const pid = parseInt(output, 10);
+            return pid > 0 ? pid : null;
+        }
+
+        /**
+         * Focused window pid on X11 (also XWayland windows under Wayland).
+         * Returns 0 when the display has no focused window.
+         */
+        function getX11ForegroundPid() {
+            const active = run('xprop', ['-root', '_NET_ACTIVE_WINDOW']);
+            const windowId = active?.match(/window id # (0x[0-9a-f]+)/i)?.[1];
+            if (windowId) {
+                if (parseInt(windowId, 16) === 0) {
+                    return 0;
+                }
+                const wmPid = run('xprop', ['-id', windowId, '_NET_WM_PID']);
+                const pid = parsePid(wmPid?.match(/=\s*(\d+)/)?.[1]);
+                if (pid) {
+                    return pid;
+                }
+            }
+
+            return parsePid(run('xdotool', ['getactivewindow', 'getwindowpid']));
+        }
+
+        /**
+         * Focused window pid from the Wayland compositor (sway, Hyprland, KDE)
+         */
+        function getWaylandForegroundPid() {
+            const tree = run('swaymsg', ['-t', 'get_tree', '-r']);
+            if (tree) {
+                try {
+                    const findFocused = node => {
+                        if (node.focused && node.pid) return node.pid;
+                        for (const child of (node.nodes || []).concat(node.floating_nodes || [])) {
+                            const pid = findFocused(child);
+                            if (pid) return pid;
+                        }
+                        return null;
+                    };
+                    const pid = findFocused(JSON.parse(tree));
+                    if (pid) return pid;
+                } catch (error) {
+                    // Unexpected output
+                }
+            }
+
+            const hypr = run('hyprctl', ['activewindow', '-j']);
+            if (hypr) {
+                try {
+                    const pid = parsePid(JSON.parse(hypr).pid);
+                    if (pid) return pid;
+                } catch (error) {
+                    // No active window
+                }
+            }
+
+            return parsePid(run('kdotool', ['getactivewindow', 'getwindowpid']));
+        }
+
+        /**
+         * Pid of the process that owns the focused window.
+         * Returns null when it can't be determined (no display access,
+         * unsupported compositor) and 0 when no window has focus.
+         */
+        function getForegroundPid() {
+            const platform = process.platform;
+
+            if (platform === 'win32') {
+                const psScript = [
+                    'Add-Type @"',
+                    'using System;',
+                    'using System.Runtime.InteropServices;',
+                    'public class Allow2Foreground {',
+                    '    [DllImport("user32.dll")] public static extern IntPtr GetForegroundWindow();',
+                    '    [DllImport("user32.dll")] public static extern uint GetWindowThreadProcessId(IntPtr hWnd, out uint pid);',
+                    '}',
+                    '"@',
+                    '$fgPid = 0',
+                    '[void][Allow2Foreground]::GetWindowThreadProcessId([Allow2Foreground]::GetForegroundWindow(), [ref]$fgPid)',
+                    '$fgPid'
+                ].join('\n');
+                const output = run('powershell', ['-NoProfile', '-NonInteractive', '-Command', psScript]);
+                return output === null ? null : (parsePid(output) || 0);
+            }
+
+            if (platform === 'darwin') {
+                return parsePid(run('osascript', ['-e',
+                    'tell application "System Events" to get unix id of first application process whose frontmost is true']));
+            }
+
+            // Linux: ask the compositor first, as _NET_ACTIVE_WINDOW only sees XWayland windows
+            const wayland = !!process.env.WAYLAND_DISPLAY || process.env.XDG_SESSION_TYPE === 'wayland';
+            if (wayland) {
+                const pid = getWaylandForegroundPid();
+                if (pid) return pid;
+            }
+            if (process.env.DISPLAY) {
+                return getX11ForegroundPid();
+            }
+
+            return null;
+        }
+
+        /**
+         * Process record for a pid, from the process list or /proc
+         */
+        function getProcess(pid, processes) {
+            const proc = processes.find(p => p.pid === pid);
+            if (proc) {
+                return proc;
+            }
+
+            try {
+                return { pid, name: readProcFile(String(pid), 'comm').trim() };
+            } catch (error) {
+                return { pid, name: null };
+            }
+        }
+
+        /**
+         * The focused window's process and whether it is a browser
+         */
+        function detectForeground(processes) {
+            const pid = getForegroundPid();
+            if (pid === null) {
+                return { foreground: null, browserFocused: null };
+            }
+            if (pid === 0) {
+                return { foreground: null, browserFocused: false };
+            }
+
+            const proc = getProcess(pid, processes);
+            const browser = matchBrowser(proc);
+
+            return {
+                foreground: { pid, processName: proc.name, browser },
+                browserFocused: !!browser
+            };
+        }
+
+        /**
+         * Active graphical logind session properties (Linux), or null.
+         * Looked up once per run.
+         */
+        let logindSession;
+        function getLogindSession() {
+            if (logindSession === undefined) {
+                logindSession = findLogindSession();
+            }
+            return logindSession;
+        }
+
+        function findLogindSession() {
+            const sessions = run('loginctl', ['list-sessions', '--no-legend']);
+            if (!sessions) {
+                return null;
+            }
+
+            for (const line of sessions.split('\n')) {
+                const id = line.trim().split(/\s+/)[0];
+                if (!id) continue;
+
+                const output = run('loginctl', ['show-session', id, '-p', 'Name',
+                    '-p', 'Active', '-p', 'Type', '-p', 'IdleHint', '-p', 'IdleSinceHint', '-p', 'LockedHint']);
+                if (!output) continue;
+
+                const props = {};
+                for (const prop of output.split('\n')) {
+                    const eq = prop.indexOf('=');
+                    if (eq > 0) props[prop.slice(0, eq)] = prop.slice(eq + 1);
+                }
+
+                if (props.Active === 'yes' && ['x11', 'wayland'].includes(props.Type)) {
+                    return props;
+                }
+            }
+
+            return null;
+        }
+
+        /**
+         * Seconds since the last keyboard/mouse interrupt, from /proc/interrupts
+         * deltas between runs. Less precise than the other sources (USB
+         * controllers also count non-input traffic) so it is the last resort.
+         */
+        function getInterruptIdleSeconds() {
+            let total = 0;
+            try {
+                const lines = readProcFile('interrupts').split('\n');
+                for (const line of lines) {
+                    if (!/i8042|keyboard|mouse|hid|[xeou]hci/i.test(line)) continue;
+                    const counts = line.trim().split(/\s+/).slice(1).filter(part => /^\d+$/.test(part));
+                    total += counts.reduce((sum, count) => sum + parseInt(count, 10), 0);
+                }
+            } catch (error) {
+                return null;
+            }
+
+            const now = Date.now();
+            let previous = null;
+            try {
+                previous = JSON.parse(fs.readFileSync(idleStateFile, 'utf8'));
+            } catch (error) {
+                // First run
+            }
+
+            const lastInputAt = previous && previous.inputTotal === total ? previous.lastInputAt : now;
+            try {
+                fs.writeFileSync(idleStateFile, JSON.stringify({ inputTotal: total, lastInputAt }), 'utf8');
+            } catch (error) {
+                // Next run starts over
+            }
+
+            return Math.floor((now - lastInputAt) / 1000);
+        }
+
+        /**
+         * Seconds since the user last touched the keyboard or mouse, and
+         * whether the screen is locked. Either is null when it can't be told.
+         */
+        function detectIdle(processes) {
+            const platform = process.platform;
+
+            if (platform === 'win32') {
+                const psScript = [
+                    'Add-Type @"',
+                    'using System;',
+                    'using System.Runtime.InteropServices;',
+                    'public class Allow2Idle {',
+                    '    [StructLayout(LayoutKind.Sequential)] public struct LASTINPUTINFO { public uint cbSize; public uint dwTime; }',
+                    '    [DllImport("user32.dll")] public static extern bool GetLastInputInfo(ref LASTINPUTINFO info);',
+                    '}',
+                    '"@',
+                    '$info = New-Object Allow2Idle+LASTINPUTINFO',
+                    '$info.cbSize = [System.Runtime.InteropServices.Marshal]::SizeOf($info)',
+                    '[void][Allow2Idle]::GetLastInputInfo([ref]$info)',
+                    '[uint32]([Environment]::TickCount - $info.dwTime)'
+                ].join('\n');
+                const idleMs = parseInt(run('powershell', ['-NoProfile', '-NonInteractive', '-Command', psScript]), 10);
+
+                return {
+                    idleSeconds: isNaN(idleMs) ? null : Math.floor(idleMs / 1000),
+                    idleSource: isNaN(idleMs) ? null : 'GetLastInputInfo',
+                    // The lock screen runs as LogonUI.exe
+                    screenLocked: processes.some(p => (p.name || '').toLowerCase() === 'logonui.exe')
+                };
+            }
+
+            if (platform === 'darwin') {
+                const hid = run('ioreg', ['-c', 'IOHIDSystem', '-d', '4']);
+                const idleNs = hid?.match(/"HIDIdleTime"\s*=\s*(\d+)/)?.[1];
+                const root = run('ioreg', ['-n', 'Root', '-d', '1']);
+
+                return {
+                    idleSeconds: idleNs ? Math.floor(Number(idleNs) / 1e9) : null,
+                    idleSource: idleNs ? 'HIDIdleTime' : null,
+                    screenLocked: root === null ? null : /"CGSSessionScreenIsLocked"\s*=\s*Yes/.test(root)
+                };
+            }
+
+            // Linux
+            const session = getLogindSession();
+            const screenLocked = session?.LockedHint ? session.LockedHint === 'yes' : null;
+
+            if (process.env.DISPLAY) {
+                const idleMs = parseInt(run('xprintidle', []), 10);
+                if (!isNaN(idleMs)) {
+                    return { idleSeconds: Math.floor(idleMs / 1000), idleSource: 'xprintidle', screenLocked };
+                }
+            }
+
+            if (session?.IdleHint) {
+                // IdleSinceHint is wall-clock microseconds
+                const idleSince = parseInt(session.IdleSinceHint, 10);
+                const idleSeconds = session.IdleHint === 'yes' && idleSince > 0
+                    ? Math.max(0, Math.floor((Date.now() - (idleSince / 1000)) / 1000))
+                    : 0;
+                return { idleSeconds, idleSource: 'logind', screenLocked };
+            }
+
+            const idleSeconds = getInterruptIdleSeconds();
+            return {
+                idleSeconds,
+                idleSource: idleSeconds === null ? null : 'interrupts',
+                screenLocked
+            };
+        }
+
+        /**
+         * Get the user logged in at the console. The agent usually runs as a
+         * service, so its own user says nothing about who is at the keyboard.
+         */
+        function getActiveUser(processes) {
+            const platform = process.platform;
+            let consoleUser = null;
+
+            if (platform === 'win32') {
+                // Explorer in the console session belongs to the logged-in user
+                const shell = processes.find(p =>
+                    (p.name || '').toLowerCase() === 'explorer.exe' && (p.session || '').toLowerCase() === 'console' && p.user);
+                consoleUser = shell ? shell.user : null;
+            } else if (platform === 'darwin') {
+                const owner = run('stat', ['-f', '%Su', '/dev/console']);
+                consoleUser = owner && owner !== 'root' ? owner : null;
+            } else {
+                consoleUser = getLogindSession()?.Name || null;
+            }
+
+            if (consoleUser) {
+                return consoleUser;
+            }
+
             try {
                 const userInfo = os.userInfo();
                 return userInfo.username;
@@ -182,20 +1351,327 @@ export default {
             }
         }
 
+        /**
+         * The agent's private state directory, in its own home rather than the
+         * world-writable tmpdir. Created 0700 and only used while the agent
+         * owns it, so the child can neither edit its files nor plant links
+         * there. Null when it can't be had.
+         */
+        function getStateDir() {
+            const dir = path.join(os.homedir(), '.allow2-web-browsers');
+            try {
+                fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+                const stat = fs.lstatSync(dir);
+                if (!stat.isDirectory()) {
+                    return null;
+                }
+                if (typeof process.getuid === 'function') {
+                    if (stat.uid !== process.getuid()) {
+                        return null;
+                    }
+                    if (stat.mode & 0o077) {
+                        fs.chmodSync(dir, 0o700);
+                    }
+                }
+                return dir;
+            } catch (error) {
+                return null;
+            }
+        }
+
+        /**
+         * JSON from a state file, or null when missing, unreadable, or not a
+         * regular file the agent owns
+         */
+        function readState(file) {
+            try {
+                const stat = fs.lstatSync(file);
+                if (!stat.isFile() || (typeof process.getuid === 'function' && stat.uid !== process.getuid())) {
+                    return null;
+                }
+                return JSON.parse(fs.readFileSync(file, 'utf8'));
+            } catch (error) {
+                return null;
+            }
+        }
+
+        /**
+         * Replace a state file atomically: written to a file that must not
+         * exist yet, then renamed over the old one
+         */
+        function writeState(file, data) {
+            const temp = `${file}.${process.pid}.${Date.now()}.tmp`;
+            fs.writeFileSync(temp, JSON.stringify(data), { encoding: 'utf8', mode: 0o600, flag: 'wx' });
+            try {
+                fs.renameSync(temp, file);
+            } catch (error) {
+                fs.unlinkSync(temp);
+                throw error;
+            }
+        }
+
+        /**
+         * Per-user files in dir with this prefix, as { file, userKey } - userKey
+         * is "" for the all-users file, otherwise "@<user>"
+         */
+        function findUserFiles(dir, prefix) {
+            let names;
+            try {
+                names = dir ? fs.readdirSync(dir) : [];
+            } catch (error) {
+                return [];
+            }
+
+            return names
+                .filter(name => name === `${prefix}.json` || (name.startsWith(`${prefix}@`) && name.endsWith('.json')))
+                .map(name => ({
+                    file: path.join(dir, name),
+                    userKey: name.slice(prefix.length, -'.json'.length)
+                }));
+        }
+
+        /**
+         * Relaunches killed by block-launch since the last run, for every user.
+         * The files are removed so each attempt is reported once.
+         */
+        function takeLaunchAttempts() {
+            let attempts = [];
+
+            for (const { file } of findUserFiles(stateDir, launchAttemptsPrefix)) {
+                try {
+                    const recorded = readState(file);
+                    fs.unlinkSync(file);
+                    attempts = attempts.concat(Array.isArray(recorded) ? recorded : []);
+                } catch (error) {
+                    // Nothing recorded
+                }
+            }
+
+            return attempts;
+        }
+
+        /**
+         * Charge the time since the last run to one user's offline ledger when
+         * their browsers were in chargeable use, the way the parent would
+         * charge it. The parent acknowledges entries through the allowance
+         * file, and acknowledged entries are dropped.
+         * @returns {Object|null} { childId, username, ledger } not yet acknowledged, null if unreadable
+         */
+        function chargeLedger(allowanceFile, ledgerFile, browsers, browserFocused, idleSeconds, screenLocked) {
+            const allowance = readState(allowanceFile);
+            if (!allowance) {
+                return null;
+            }
+
+            const ledger = readState(ledgerFile) || {};
+
+            const now = Date.now();
+            const user = (allowance.username || '').toLowerCase();
+            const inUse = browsers.some(b => !user || !b.username || b.username.split('\\').pop().toLowerCase() === user);
+            const idle = allowance.idleThreshold > 0 && typeof idleSeconds === 'number' && idleSeconds >= allowance.idleThreshold;
+            const chargeable = inUse && screenLocked !== true && !idle &&
+                !(allowance.chargeForegroundOnly && browserFocused === false);
+
+            const entries = (ledger.entries || []).filter(entry => entry.at > (allowance.ackedThrough || 0));
+            const elapsed = ledger.lastRunAt ? Math.min(now - ledger.lastRunAt, 2 * (allowance.checkInterval || 10000)) : 0;
+            const seconds = Math.floor(Math.max(0, elapsed) / 1000);
+
+            if (chargeable && seconds > 0) {
+                entries.push({ at: now, seconds });
+            }
+
+            try {
+                writeState(ledgerFile, {
+                    lastRunAt: now,
+                    entries: entries.slice(-maxLedgerEntries)
+                });
+            } catch (error) {
+                // Reported again next run
+            }
+
+            return { childId: allowance.childId, username: user || null, ledger: entries };
+        }
+
+        /**
+         * Charge every cached allowance's ledger. Only the logged-in user's
+         * (or the all-users one) is reported, as that is the child the parent
+         * is charging; the others are reported when their user logs in again.
+         * @returns {Object|null} { childId, ledger }, null without an allowance
+         */
+        function recordOfflineUsage(activeUser, browsers, browserFocused, idleSeconds, screenLocked) {
+            const active = (activeUser || '').split('\\').pop().toLowerCase();
+            let reported = null;
+
+            for (const { file, userKey } of findUserFiles(stateDir, allowancePrefix)) {
+                const ledgerFile = path.join(stateDir, `${ledgerPrefix}${userKey}.json`);
+                const usage = chargeLedger(file, ledgerFile, browsers, browserFocused, idleSeconds, screenLocked);
+
+                if (usage && (usage.username === active || (!usage.username && !reported))) {
+                    reported = usage;
+                }
+            }
+
+            return reported && { childId: reported.childId, ledger: reported.ledger };
+        }
+
+        /**
+         * Show notification on current platform. The message is passed as a
+         * program argument or environment variable, never through a shell.
+         */
+        function showNotification(message) {
+            const title = 'Allow2 - Internet Time';
+
+            try {
+                if (process.platform === 'win32') {
+                    const psScript = [
+                        'Add-Type -AssemblyName System.Windows.Forms',
+                        '$balloon = New-Object System.Windows.Forms.NotifyIcon',
+                        '$balloon.Icon = [System.Drawing.SystemIcons]::Warning',
+                        '$balloon.BalloonTipTitle = $env:ALLOW2_TITLE',
+                        '$balloon.BalloonTipText = $env:ALLOW2_MESSAGE',
+                        '$balloon.Visible = $true',
+                        '$balloon.ShowBalloonTip(10000)',
+                        'Start-Sleep -Seconds 2',
+                        '$balloon.Dispose()'
+                    ].join('\n');
+                    execFile('powershell', [
+                        '-NoProfile',
+                        '-NonInteractive',
+                        '-EncodedCommand',
+                        Buffer.from(psScript, 'utf16le').toString('base64')
+                    ], {
+                        windowsHide: true,
+                        env: { ...process.env, ALLOW2_TITLE: title, ALLOW2_MESSAGE: message }
+                    }, () => {});
+                } else if (process.platform === 'darwin') {
+                    execFile('osascript', [
+                        '-e', 'on run argv',
+                        '-e', 'display notification (item 1 of argv) with title (item 2 of argv)',
+                        '-e', 'end run',
+                        message,
+                        title
+                    ], () => {});
+                } else {
+                    execFile('notify-send', ['-u', 'critical', '--', title, message], () => {});
+                }
+            } catch (error) {
+                console.error('[BrowserDetector] Notification failed:', error.message);
+            }
+        }
+
+        /**
+         * Enforce shutdown deadlines whose schedule-shutdown ticker is gone
+         * because the agent restarted, so they hold until the parent schedules
+         * again. Warnings are shown as the ticker would; at the deadline the
+         * user's browsers are asked to close, and any still running a run
+         * later are killed.
+         * @returns {Array<Object>} { username, shutdownTime, closed, forced } of deadlines enforced this run
+         */
+        function resumeShutdowns(processes) {
+            const registries = global[shutdownRegistryKey] || {};
+            const enforced = [];
+
+            for (const { file, userKey } of findUserFiles(stateDir, shutdownPrefix)) {
+                if (registries[userKey] && registries[userKey].timer) {
+                    // The action's own ticker is still running
+                    continue;
+                }
+
+                const schedule = readState(file);
+                if (!schedule) {
+                    continue;
+                }
+
+                const now = Date.now();
+                const remainingMs = schedule.shutdownTime - now;
+
+                if (remainingMs > 0) {
+                    const remainingMinutes = remainingMs / 60000;
+                    const warned = schedule.warned || [];
+                    const due = (schedule.warningIntervals || [])
+                        .filter(minutes => remainingMinutes <= minutes && !warned.includes(minutes));
+
+                    if (due.length > 0) {
+                        const minutesLeft = Math.max(1, Math.ceil(remainingMinutes));
+                        showNotification(`${minutesLeft} minute${minutesLeft !== 1 ? 's' : ''} of internet time remaining. Browsers will close automatically.`);
+                        try {
+                            writeState(file, { ...schedule, warned: warned.concat(due) });
+                        } catch (error) {
+                            // Warned again next run
+                        }
+                    }
+                    continue;
+                }
+
+                const user = (schedule.username || '').toLowerCase();
+                const running = processes.filter(proc => matchBrowser(proc) &&
+                    (!user || (proc.user || '').split('\\').pop().toLowerCase() === user));
+                const forced = !!schedule.closingSince && now - schedule.closingSince >= shutdownCloseTimeoutMs;
+
+                if (!schedule.closingSince) {
+                    showNotification(schedule.reason || 'Internet time has been exhausted. Browsers are being closed.');
+                }
+
+                for (const proc of running) {
+                    try {
+                        process.kill(proc.pid, forced ? 'SIGKILL' : 'SIGTERM');
+                    } catch (error) {
+                        // Exited already or access denied
+                    }
+                }
+
+                try {
+                    if (running.length === 0 || forced) {
+                        fs.unlinkSync(file);
+                    } else {
+                        writeState(file, { ...schedule, closingSince: schedule.closingSince || now });
+                    }
+                } catch (error) {
+                    // Enforced again next run
+                }
+
+                enforced.push({ username: schedule.username || null, shutdownTime: schedule.shutdownTime, closed: running.length, forced });
+            }
+
+            return enforced;
+        }
+
         // Execute detection
         const processes = getProcessList();
         const activeBrowsers = detectBrowsers(processes);
+        const webApps = includeWebApps ? detectWebApps(processes) : [];
+        const tamperSuspected = includeTamper ? detectTamper(processes) : [];
+        const { foreground, browserFocused } = activeBrowsers.length > 0 || webApps.length > 0
+            ? detectForeground(processes)
+            : { foreground: null, browserFocused: false };
+        const focusedApp = foreground && webApps.find(app => app.pid === foreground.pid);
+        const { idleSeconds, idleSource, screenLocked } = detectIdle(processes);
+        const activeUser = getActiveUser(processes);
+        const shutdownsResumed = resumeShutdowns(processes);
+        const offlineUsage = recordOfflineUsage(activeUser, activeBrowsers, browserFocused, idleSeconds, screenLocked);
 
         // Return data to be sent to parent
         return {
             timestamp: Date.now(),
             hostname: os.hostname(),
-            username: getActiveUser(),
+            username: activeUser,
             platform: process.platform,
             browsersActive: activeBrowsers.length > 0,
-            browsers: activeBrowsers,
+            browsers: activeBrowsers.concat(webApps), // web-capable apps have category 'web-app'
             browserCount: activeBrowsers.length,
-            detectedBrowserNames: activeBrowsers.map(b => b.browser)
+            detectedBrowserNames: activeBrowsers.map(b => b.browser),
+            webAppCount: webApps.length,
+            // { pid, processName, browser, webApp } of the focused window, null if unknown
+            foreground: foreground && { ...foreground, webApp: focusedApp ? focusedApp.browser : null },
+            browserFocused,       // true/false, or null when focus could not be determined
+            webAppFocused: foreground ? !!focusedApp : (browserFocused === null ? null : false),
+            idleSeconds,          // seconds since last keyboard/mouse input, null if unknown
+            idleSource,           // where idleSeconds came from
+            screenLocked,         // true/false, or null if unknown
+            tamperSuspected,      // browser executables running under a non-browser name
+            launchAttempts: takeLaunchAttempts(),
+            shutdownsResumed,     // deadlines enforced here because the agent restarted since they were scheduled
+            offlineUsage          // { childId, ledger: [{ at, seconds }] } counted since the parent's last sync
         };
     }
 };
@@ -14,6 +14,9 @@
 
 'use strict';
 
+import ChildLinks from '../utils/ChildLinks';
+import Staleness from '../utils/Staleness';
+
 /**
  * AgentBrowserManager
  *
@@ -23,6 +26,8 @@
  * Responsibilities:
  * - Trigger actions on agents (kill browsers, show warnings)
  * - Manage scheduled shutdown times for offline resilience
+ * - Cache each child's allowance on its agents for offline enforcement
+ * - Keep blocked browsers from being relaunched until the block is lifted
  * - Track pending actions and their responses
  */
 class AgentBrowserManager {
@@ -39,8 +44,25 @@ class AgentBrowserManager {
         // Pending shutdown schedules: agentId -> { shutdownTime, reason, timerId }
         this.pendingShutdowns = new Map();
 
+        // Grace period countdowns before a kill: agentId -> { reason, killAt, timerId }
+        this.pendingBlocks = new Map();
+
+        // Agents whose grace period has already been used up in the current block
+        this.blockedAgents = new Set();
+
         // Plugin ID for action triggers
         this.pluginId = 'allow2automate-web-browsers';
+
+        // Only push a new deadline when it moves by more than this
+        this.shutdownDriftToleranceMs = 30000;
+
+        // Allowance cached on each agent for offline enforcement: agentId -> { childId, remainingSeconds, sentAt, delivered }
+        this.allowanceSyncs = new Map();
+        this.allowanceSyncIntervalMs = 60000;
+
+        // "Request more time" dialogs open on agents: agentId -> { childId, sentAt, timeout }
+        this.timePrompts = new Map();
+        this.timePromptTimeout = 60;
     }
 
     /**
@@ -50,6 +72,26 @@ class AgentBrowserManager {
         this.state = newState;
     }
 
+    /**
+     * OS user whose processes kill actions should be limited to, or null for
+     * every user. Only set when the active login is linked to a child of its own.
+     */
+    getTargetUser(agentId) {
+        return ChildLinks.getTargetUser(this.state.agents[agentId]);
+    }
+
+    /**
+     * Process names of web-capable apps running on an agent that count as
+     * browsers (webApps setting 'count'), to be closed along with them
+     */
+    getCountedApps(agentId) {
+        if (this.state.settings?.webApps !== 'count') {
+            return [];
+        }
+        const webApps = this.state.agents[agentId]?.webApps || [];
+        return [...new Set(webApps.map(app => app.processName).filter(Boolean))];
+    }
+
     /**
      * Trigger kill-browsers action on an agent
      *
@@ -61,7 +103,7 @@ class AgentBrowserManager {
         console.log(`[AgentBrowserManager] Triggering kill-browsers on ${agentId}: ${reason}`);
 
         // Cancel any pending scheduled shutdown
-        this.cancelScheduledShutdown(agentId);
+        await this.cancelScheduledShutdown(agentId);
 
         try {
             await this.agentService.triggerAction(agentId, {
@@ -69,8 +111,10 @@ class AgentBrowserManager {
                 actionId: 'kill-browsers',
                 arguments: {
                     browsers,
+                    apps: this.getCountedApps(agentId),
                     reason,
-                    gracePeriod: this.state.settings?.gracePeriod || 0
+                    closeTimeout: this.state.settings?.closeTimeout ?? 5,
+                    username: this.getTargetUser(agentId)
                 }
             });
 
@@ -84,6 +128,259 @@ class AgentBrowserManager {
         }
     }
 
+    /**
+     * Close web-capable apps on an agent without touching its browsers
+     * (webApps setting 'block')
+     *
+     * @param {string} agentId - Agent identifier
+     * @param {string[]} apps - Process names of the apps
+     * @param {string} reason - Reason for closing them
+     */
+    async triggerKillApps(agentId, apps, reason) {
+        console.log(`[AgentBrowserManager] Triggering kill-browsers for apps ${apps.join(', ')} on ${agentId}: ${reason}`);
+
+        try {
+            await this.agentService.triggerAction(agentId, {
+                pluginId: this.pluginId,
+                actionId: 'kill-browsers',
+                arguments: {
+                    browsers: [],
+                    apps,
+                    reason,
+                    closeTimeout: this.state.settings?.closeTimeout ?? 5,
+                    username: this.getTargetUser(agentId)
+                }
+            });
+
+            this.logAction(agentId, 'kill-apps', { reason, apps });
+
+            return true;
+        } catch (error) {
+            console.error(`[AgentBrowserManager] Error triggering kill-browsers for apps:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Trigger block-category action on an agent.
+     * The agent relays it to connected browser extensions; the response says
+     * whether any extension was there to receive it.
+     *
+     * @param {string} agentId - Agent identifier
+     * @param {string} category - Category identifier
+     * @param {string[]} domains - Domains in the category
+     * @param {string} reason - Reason for blocking
+     */
+    async triggerBlockCategory(agentId, category, domains, reason) {
+        console.log(`[AgentBrowserManager] Triggering block-category ${category} on ${agentId}: ${reason}`);
+
+        try {
+            await this.agentService.triggerAction(agentId, {
+                pluginId: this.pluginId,
+                actionId: 'block-category',
+                arguments: {
+                    category,
+                    domains,
+                    reason
+                }
+            });
+
+            this.logAction(agentId, 'block-category', { category, reason });
+
+            return true;
+        } catch (error) {
+            console.error(`[AgentBrowserManager] Error triggering block-category:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Start a two-phase block: warn with a countdown now, kill once the grace
+     * period has passed. Only the first block of an episode gets a grace period;
+     * relaunching a browser while still blocked is killed straight away.
+     *
+     * @param {string} agentId - Agent identifier
+     * @param {string} reason - Reason for killing browsers
+     * @param {string[]} browsers - Optional specific browsers to kill
+     */
+    async beginGracefulBlock(agentId, reason, browsers = null) {
+        if (this.pendingBlocks.has(agentId)) {
+            return; // Countdown already running
+        }
+
+        const gracePeriod = this.state.settings?.gracePeriod || 0;
+
+        if (gracePeriod <= 0 || this.blockedAgents.has(agentId) || this.isLaunchBlocked(agentId)) {
+            return this.enforceBlock(agentId, reason, browsers);
+        }
+
+        const killAt = Date.now() + (gracePeriod * 1000);
+        console.log(`[AgentBrowserManager] Grace period of ${gracePeriod}s before blocking ${agentId}`);
+
+        const timerId = setTimeout(async () => {
+            this.pendingBlocks.delete(agentId);
+            await this.enforceBlock(agentId, reason, browsers);
+        }, gracePeriod * 1000);
+
+        this.pendingBlocks.set(agentId, { reason, killAt, timerId });
+
+        // Don't let the agent's own deadline cut the grace period short
+        if (this.pendingShutdowns.has(agentId)) {
+            await this.updateScheduledShutdown(agentId, killAt);
+        }
+
+        await this.triggerWarning(agentId, {
+            remaining: gracePeriod / 60,
+            type: 'internet',
+            urgency: 'critical',
+            message: `${reason}. Browsers will close in ${gracePeriod} seconds - save your work now.`
+        });
+
+        this.logAction(agentId, 'grace-period', { reason, gracePeriod });
+    }
+
+    /**
+     * Kill browsers and keep them from being relaunched while blocked
+     *
+     * @param {string} agentId - Agent identifier
+     * @param {string} reason - Reason for killing browsers
+     * @param {string[]} browsers - Optional specific browsers to kill
+     */
+    async enforceBlock(agentId, reason, browsers = null) {
+        this.blockedAgents.add(agentId);
+        await this.triggerKillBrowsers(agentId, reason, browsers);
+        await this.startLaunchBlock(agentId, reason, browsers);
+    }
+
+    /**
+     * Trigger block-launch on an agent. Re-sent on every kill while blocked,
+     * which re-arms the agent's ticker if the agent was restarted.
+     *
+     * @param {string} agentId - Agent identifier
+     * @param {string} reason - Reason shown when a relaunch is killed
+     * @param {string[]} browsers - Optional specific browsers to block
+     */
+    async startLaunchBlock(agentId, reason, browsers = null) {
+        const agentData = this.state.agents[agentId];
+        if (!agentData) {
+            return false;
+        }
+
+        console.log(`[AgentBrowserManager] Blocking browser launch on ${agentId}`);
+
+        // Persisted so the block is still lifted after the parent restarts.
+        // The agent keeps a block per user, so the user is needed to lift it.
+        const username = this.getTargetUser(agentId);
+        agentData.launchBlock = {
+            reason,
+            browsers,
+            username,
+            since: agentData.launchBlock?.since || Date.now()
+        };
+
+        try {
+            await this.agentService.triggerAction(agentId, {
+                pluginId: this.pluginId,
+                actionId: 'block-launch',
+                arguments: {
+                    browsers,
+                    apps: this.getCountedApps(agentId),
+                    reason,
+                    interval: this.state.settings?.launchBlockInterval || 2000,
+                    username
+                }
+            });
+
+            this.logAction(agentId, 'block-launch', { reason, browsers });
+
+            return true;
+        } catch (error) {
+            console.error(`[AgentBrowserManager] Error triggering block-launch:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Trigger allow-launch on an agent if a launch block is in force
+     *
+     * @param {string} agentId - Agent identifier
+     * @returns {Promise<boolean>} True if a block was lifted
+     */
+    async liftLaunchBlock(agentId) {
+        const agentData = this.state.agents[agentId];
+        if (!agentData?.launchBlock) {
+            return false;
+        }
+
+        console.log(`[AgentBrowserManager] Lifting browser launch block on ${agentId}`);
+        const { username = null } = agentData.launchBlock;
+        agentData.launchBlock = null;
+
+        try {
+            await this.agentService.triggerAction(agentId, {
+                pluginId: this.pluginId,
+                actionId: 'allow-launch',
+                arguments: { username }
+            });
+
+            this.logAction(agentId, 'allow-launch', {});
+
+            return true;
+        } catch (error) {
+            console.error(`[AgentBrowserManager] Error triggering allow-launch:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Whether relaunching browsers is currently blocked on an agent
+     */
+    isLaunchBlocked(agentId) {
+        return !!this.state.agents[agentId]?.launchBlock;
+    }
+
+    /**
+     * Cancel a grace period countdown and lift the block (e.g. quota was topped up)
+     *
+     * @param {string} agentId - Agent identifier
+     * @returns {boolean} True if a countdown was cancelled
+     */
+    cancelGracefulBlock(agentId) {
+        this.blockedAgents.delete(agentId);
+        this.liftLaunchBlock(agentId);
+
+        const pending = this.pendingBlocks.get(agentId);
+        if (!pending) {
+            return false;
+        }
+
+        console.log(`[AgentBrowserManager] Cancelling pending block for ${agentId}`);
+        clearTimeout(pending.timerId);
+        this.pendingBlocks.delete(agentId);
+        return true;
+    }
+
+    /**
+     * Whether a block is counting down or in force for an agent
+     */
+    isBlocking(agentId) {
+        return this.pendingBlocks.has(agentId) || this.blockedAgents.has(agentId) || this.isLaunchBlocked(agentId);
+    }
+
+    /**
+     * Get grace period countdown info for an agent
+     */
+    getPendingBlock(agentId) {
+        const pending = this.pendingBlocks.get(agentId);
+        if (!pending) {
+            return null;
+        }
+        return {
+            reason: pending.reason,
+            killAt: pending.killAt
+        };
+    }
+
     /**
      * Trigger show-warning action on an agent
      *
@@ -114,6 +411,77 @@ class AgentBrowserManager {
         }
     }
 
+    /**
+     * Show the warning as a dialog in which the child can ask for more time.
+     * The answer arrives as the request-time action response; if the agent
+     * can't show the dialog the plain warning is shown instead.
+     *
+     * @param {string} agentId - Agent identifier
+     * @param {Object} prompt - { childId, message, options, remaining, type } - options are the
+     *   minutes offered, remaining and type are for the plain warning
+     */
+    async promptTimeRequest(agentId, prompt) {
+        const { childId, message, options, remaining, type } = prompt;
+
+        console.log(`[AgentBrowserManager] Offering more time to ${childId} on ${agentId}`);
+
+        this.timePrompts.set(agentId, {
+            childId,
+            sentAt: Date.now(),
+            timeout: this.timePromptTimeout,
+            warning: { remaining, type, message }
+        });
+
+        try {
+            await this.agentService.triggerAction(agentId, {
+                pluginId: this.pluginId,
+                actionId: 'request-time',
+                arguments: {
+                    childId,
+                    message,
+                    options: options || [15, 30],
+                    timeout: this.timePromptTimeout
+                }
+            });
+
+            return true;
+        } catch (error) {
+            console.error(`[AgentBrowserManager] Error offering more time:`, error);
+            this.timePrompts.delete(agentId);
+            return false;
+        }
+    }
+
+    /**
+     * Whether a "request more time" dialog may still be open on an agent.
+     * One the agent never answered is given up on after twice its timeout.
+     */
+    isTimePromptOpen(agentId) {
+        const prompt = this.timePrompts.get(agentId);
+        return !!prompt && Date.now() - prompt.sentAt < prompt.timeout * 2000;
+    }
+
+    /**
+     * Tell the child something that needs no answer, e.g. the reply to a request for more time
+     *
+     * @param {string} agentId - Agent identifier
+     * @param {string} message - Text of the notification
+     */
+    async notifyChild(agentId, message) {
+        try {
+            await this.agentService.triggerAction(agentId, {
+                pluginId: this.pluginId,
+                actionId: 'show-warning',
+                arguments: { message, type: 'internet', urgency: 'normal' }
+            });
+
+            return true;
+        } catch (error) {
+            console.error(`[AgentBrowserManager] Error notifying child:`, error);
+            return false;
+        }
+    }
+
     /**
      * Schedule a browser shutdown at a specific time
      * This supports offline resilience - agent will execute at scheduled time
@@ -128,15 +496,18 @@ class AgentBrowserManager {
         console.log(`[AgentBrowserManager] Scheduling shutdown for ${agentId} at ${new Date(shutdownTime).toISOString()}`);
 
         // Cancel any existing scheduled shutdown
-        this.cancelScheduledShutdown(agentId);
+        await this.cancelScheduledShutdown(agentId);
 
-        // Store shutdown info
-        this.pendingShutdowns.set(agentId, {
+        // Store shutdown info, with the user the agent keeps the deadline for
+        const pending = {
             shutdownTime,
             reason,
             warningIntervals,
-            scheduledAt: Date.now()
-        });
+            username: this.getTargetUser(agentId),
+            scheduledAt: Date.now(),
+            delivered: false
+        };
+        this.pendingShutdowns.set(agentId, pending);
 
         try {
             // Send schedule to agent for offline resilience
@@ -146,10 +517,12 @@ class AgentBrowserManager {
                 arguments: {
                     shutdownTime,
                     reason,
-                    warningIntervals
+                    warningIntervals,
+                    username: pending.username
                 }
             });
 
+            pending.delivered = true;
             return true;
         } catch (error) {
             console.error(`[AgentBrowserManager] Error scheduling shutdown:`, error);
@@ -179,7 +552,8 @@ class AgentBrowserManager {
                 pluginId: this.pluginId,
                 actionId: 'update-shutdown',
                 arguments: {
-                    shutdownTime: newShutdownTime
+                    shutdownTime: newShutdownTime,
+                    username: pending.username
                 }
             });
         } catch (error) {
@@ -206,13 +580,37 @@ class AgentBrowserManager {
             await this.agentService.triggerAction(agentId, {
                 pluginId: this.pluginId,
                 actionId: 'cancel-shutdown',
-                arguments: {}
+                arguments: { username: pending.username }
             });
         } catch (error) {
             console.error(`[AgentBrowserManager] Error cancelling shutdown:`, error);
         }
     }
 
+    /**
+     * Schedule or move the agent's shutdown deadline from the remaining allowance.
+     * Small drifts between quota checks are ignored to avoid chatty updates.
+     *
+     * @param {string} agentId - Agent identifier
+     * @param {number} remainingSeconds - Remaining quota in seconds
+     * @param {string} reason - Reason shown at shutdown
+     */
+    async syncScheduledShutdown(agentId, remainingSeconds, reason) {
+        const shutdownTime = this.calculateShutdownTime(remainingSeconds);
+        const pending = this.pendingShutdowns.get(agentId);
+
+        if (!pending || !pending.delivered) {
+            const warningIntervals = this.state.settings?.warningMinutes || [15, 5, 1];
+            return this.scheduleShutdown(agentId, shutdownTime, reason, warningIntervals);
+        }
+
+        if (Math.abs(pending.shutdownTime - shutdownTime) >= this.shutdownDriftToleranceMs) {
+            await this.updateScheduledShutdown(agentId, shutdownTime);
+        }
+
+        return true;
+    }
+
     /**
      * Get scheduled shutdown info for an agent
      */
@@ -244,6 +642,92 @@ class AgentBrowserManager {
         return Date.now() + (remainingSeconds * 1000);
     }
 
+    /**
+     * Whether an agent's cached allowance should be refreshed: never sent,
+     * sent for another child, not delivered, or older than the sync interval.
+     *
+     * @param {string} agentId - Agent identifier
+     * @param {string} childId - Child now linked to the agent
+     */
+    isAllowanceSyncDue(agentId, childId) {
+        const last = this.allowanceSyncs.get(agentId);
+        return !last || last.childId !== childId || !last.delivered ||
+            Date.now() - last.sentAt >= this.allowanceSyncIntervalMs;
+    }
+
+    /**
+     * Push the child's allowance and allowed hours to the agent, which
+     * enforces them itself once syncs stop arriving. It waits at least as
+     * long as the watchdog does before calling the agent lost.
+     *
+     * @param {string} agentId - Agent identifier
+     * @param {Object} allowance - { childId, remainingSeconds, reason, resetAt, schedule, extendedUntil, ackedThrough }
+     */
+    async syncAllowance(agentId, allowance) {
+        const settings = this.state.settings || {};
+        const staleAfterMs = Staleness.getThresholdMs(settings);
+        const sync = {
+            childId: allowance.childId,
+            username: this.getTargetUser(agentId),
+            remainingSeconds: allowance.remainingSeconds,
+            sentAt: Date.now(),
+            delivered: false
+        };
+        this.allowanceSyncs.set(agentId, sync);
+
+        try {
+            await this.agentService.triggerAction(agentId, {
+                pluginId: this.pluginId,
+                actionId: 'sync-allowance',
+                arguments: {
+                    childId: allowance.childId,
+                    username: sync.username,
+                    remainingSeconds: allowance.remainingSeconds,
+                    reason: allowance.reason,
+                    resetAt: allowance.resetAt,
+                    schedule: allowance.schedule || null,
+                    extendedUntil: allowance.extendedUntil || null,
+                    ackedThrough: allowance.ackedThrough || 0,
+                    offlineAfter: Math.max(this.allowanceSyncIntervalMs * 3, staleAfterMs),
+                    warningMinutes: settings.warningMinutes || [15, 5, 1],
+                    chargeForegroundOnly: !!settings.chargeForegroundOnly,
+                    idleThreshold: settings.idleThreshold || 0,
+                    checkInterval: settings.checkInterval || 10000
+                }
+            });
+
+            sync.delivered = true;
+            return true;
+        } catch (error) {
+            console.error(`[AgentBrowserManager] Error syncing allowance:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Remove the cached allowance from an agent, e.g. once it is unlinked
+     *
+     * @param {string} agentId - Agent identifier
+     */
+    async clearAllowance(agentId) {
+        const sync = this.allowanceSyncs.get(agentId);
+        if (!sync) {
+            return;
+        }
+
+        this.allowanceSyncs.delete(agentId);
+
+        try {
+            await this.agentService.triggerAction(agentId, {
+                pluginId: this.pluginId,
+                actionId: 'sync-allowance',
+                arguments: { clear: true, username: sync.username }
+            });
+        } catch (error) {
+            console.error(`[AgentBrowserManager] Error clearing allowance:`, error);
+        }
+    }
+
     /**
      * Log action for audit trail
      */
@@ -271,6 +755,35 @@ class AgentBrowserManager {
             // Clear pending shutdown if browsers were killed
             this.pendingShutdowns.delete(agentId);
         }
+
+        const pending = this.pendingShutdowns.get(agentId);
+
+        if (response.actionId === 'schedule-shutdown' && pending && response.status !== 'success') {
+            // Agent could not arm the deadline - resend on the next sync
+            pending.delivered = false;
+        }
+
+        if (response.actionId === 'request-time') {
+            // Answered, dismissed or timed out - the dialog is closed either way
+            const prompt = this.timePrompts.get(agentId);
+            this.timePrompts.delete(agentId);
+
+            // No dialog could be shown (e.g. zenity isn't installed) - the child still gets warned
+            if (prompt && (response.status !== 'success' || response.output?.success === false)) {
+                this.triggerWarning(agentId, prompt.warning);
+            }
+        }
+
+        const sync = this.allowanceSyncs.get(agentId);
+        if (response.actionId === 'sync-allowance' && sync && response.status !== 'success') {
+            // Resent on the next report
+            sync.delivered = false;
+        }
+
+        if (response.actionId === 'update-shutdown' && pending && response.output && !response.output.enforcedLocally) {
+            // Agent restarted since the schedule was sent - arm it again
+            this.scheduleShutdown(agentId, pending.shutdownTime, pending.reason, pending.warningIntervals);
+        }
     }
 
     /**
@@ -285,9 +798,12 @@ class AgentBrowserManager {
             hostname: agentData?.hostname,
             platform: agentData?.platform,
             enabled: agentData?.enabled,
-            childId: agentData?.childId,
+            childId: ChildLinks.getChildId(agentData),
+            activeUser: agentData?.activeUser || null,
             browsers: agentData?.browsers || [],
             lastSeen: agentData?.lastSeen,
+            pendingBlock: this.getPendingBlock(agentId),
+            launchBlocked: this.isLaunchBlocked(agentId),
             pendingShutdown: pendingShutdown ? {
                 shutdownTime: pendingShutdown.shutdownTime,
                 reason: pendingShutdown.reason,
@@ -311,8 +827,15 @@ class AgentBrowserManager {
      * Cleanup resources
      */
     cleanup() {
-        // Cancel all pending shutdowns locally
+        // Cancel all pending shutdowns and grace periods locally
         this.pendingShutdowns.clear();
+        this.allowanceSyncs.clear();
+        this.timePrompts.clear();
+        for (const pending of this.pendingBlocks.values()) {
+            clearTimeout(pending.timerId);
+        }
+        this.pendingBlocks.clear();
+        this.blockedAgents.clear();
     }
 }
 
@@ -0,0 +1,391 @@
+// Copyright [2025] [Allow2 Pty Ltd]
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict';
+
+import { EventEmitter } from 'events';
+import crypto from 'crypto';
+
+/**
+ * AgentDeployer
+ *
+ * Parent-side component that keeps each agent's copy of the plugin's
+ * monitor and action scripts current.
+ * This runs in the Allow2Automate parent application, NOT on agents.
+ *
+ * Every script is identified by its declared semantic version and a SHA-256
+ * of its source. What an agent has is taken from its reported inventory
+ * (agentService.getInventory) when the agent service supports it, otherwise
+ * from the record of what was last deployed successfully. The hash only tells
+ * versions apart: scripts are not signed, and the agent runs whatever the
+ * agent service delivers.
+ *
+ * Responsibilities:
+ * - Deploy only scripts that are missing or differ from the agent's copy
+ * - Remove scripts of this plugin the agent still has but we no longer ship
+ * - Retry failed deployments with backoff, recording failures in state
+ * - Emit 'deployment-complete' and 'deployment-failed'
+ */
+class AgentDeployer extends EventEmitter {
+    /**
+     * @param {Object} agentService - Agent service for communication
+     * @param {Object} state - Plugin state reference
+     * @param {Object} scripts - { monitors, actions, getMonitorOptions }
+     */
+    constructor(agentService, state, scripts) {
+        super();
+        this.agentService = agentService;
+        this.state = state;
+        this.monitors = scripts.monitors || [];
+        this.actions = scripts.actions || [];
+        this.getMonitorOptions = scripts.getMonitorOptions || (() => ({}));
+
+        // Scheduled retries: agentId -> timerId
+        this.retryTimers = new Map();
+
+        // Delay before each retry of a failed deployment
+        this.retryDelaysMs = [30000, 60000, 120000, 300000, 600000];
+
+        this.pluginId = 'allow2automate-web-browsers';
+
+        this.manifest = this.buildManifest();
+    }
+
+    /**
+     * Update state reference
+     */
+    updateState(newState) {
+        this.state = newState;
+    }
+
+    /**
+     * SHA-256 of a script's source, as sent to agents
+     *
+     * @param {Function} script - Agent script function
+     * @returns {string} Hex digest
+     */
+    static hashScript(script) {
+        return crypto.createHash('sha256').update(script.toString()).digest('hex');
+    }
+
+    /**
+     * Every script this plugin ships, with its version and hash
+     *
+     * @returns {Array<Object>} [{ key, kind, id, version, hash, definition }]
+     */
+    buildManifest() {
+        const entries = (kind, definitions) => definitions.map(definition => ({
+            key: `${kind}:${definition.id}`,
+            kind,
+            id: definition.id,
+            version: definition.version,
+            hash: AgentDeployer.hashScript(definition.script),
+            definition
+        }));
+
+        return entries('monitor', this.monitors).concat(entries('action', this.actions));
+    }
+
+    /**
+     * Versions and hashes of this plugin's scripts, without the scripts
+     */
+    getManifest() {
+        return this.manifest.map(({ kind, id, version, hash }) => ({ kind, id, version, hash }));
+    }
+
+    /**
+     * Scripts the agent reports having, keyed 'kind:id', or null if the
+     * agent service can't report an inventory
+     *
+     * @param {string} agentId - Agent identifier
+     * @returns {Promise<Object|null>} key -> { version, hash }
+     */
+    async getInventory(agentId) {
+        if (typeof this.agentService.getInventory !== 'function') {
+            return null;
+        }
+
+        try {
+            const inventory = await this.agentService.getInventory(agentId, { pluginId: this.pluginId });
+            const items = {};
+            for (const item of inventory || []) {
+                if (item.pluginId && item.pluginId !== this.pluginId) {
+                    continue;
+                }
+                const kind = item.kind || (item.monitorId ? 'monitor' : 'action');
+                const id = item.id || item.monitorId || item.actionId;
+                items[`${kind}:${id}`] = { kind, id, version: item.version || null, hash: item.hash || null };
+            }
+            return items;
+        } catch (error) {
+            console.error(`[AgentDeployer] Unable to get inventory from ${agentId}:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Bring an agent's scripts in line with the manifest
+     *
+     * @param {Object} agent - Agent ({ id, hostname })
+     * @param {Object} options
+     * @param {boolean} options.trustRecord - Without an inventory, assume the agent
+     *                                        still has what was last deployed (default true)
+     * @returns {Promise<Object>} Deployment record for the agent
+     */
+    async reconcile(agent, { trustRecord = true } = {}) {
+        const agentData = this.state.agents[agent.id];
+        if (!agentData) {
+            return null;
+        }
+
+        this.cancelRetry(agent.id);
+
+        const deployment = agentData.deployment || { items: {}, attempts: 0 };
+        agentData.deployment = deployment;
+
+        const inventory = await this.getInventory(agent.id);
+        const known = inventory || (trustRecord ? this.getRecordedItems(deployment) : {});
+
+        const deployed = [];
+        const failures = [];
+
+        for (const item of this.manifest) {
+            const current = known[item.key];
+            if (current && current.version === item.version && current.hash === item.hash) {
+                continue;
+            }
+
+            try {
+                await this.deployItem(agent.id, item);
+                deployment.items[item.key] = {
+                    kind: item.kind,
+                    id: item.id,
+                    version: item.version,
+                    hash: item.hash,
+                    status: 'deployed',
+                    deployedAt: Date.now(),
+                    error: null
+                };
+                deployed.push(item.id);
+            } catch (error) {
+                deployment.items[item.key] = {
+                    ...deployment.items[item.key],
+                    kind: item.kind,
+                    id: item.id,
+                    status: 'failed',
+                    error: error.message || String(error),
+                    failedAt: Date.now()
+                };
+                failures.push({ id: item.id, error: deployment.items[item.key].error });
+            }
+        }
+
+        // Scripts left over from an earlier release of the plugin
+        if (inventory) {
+            await this.removeRetired(agent.id, inventory, deployment);
+        }
+
+        deployment.lastAttempt = Date.now();
+
+        if (failures.length > 0) {
+            deployment.status = 'failed';
+            deployment.attempts = (deployment.attempts || 0) + 1;
+            deployment.nextRetryAt = this.scheduleRetry(agent, deployment.attempts);
+
+            console.error(`[AgentDeployer] ${failures.length} script(s) failed to deploy to ${agent.hostname || agent.id}`);
+            this.emit('deployment-failed', {
+                agentId: agent.id,
+                hostname: agent.hostname || agentData.hostname,
+                failures,
+                attempts: deployment.attempts,
+                nextRetryAt: deployment.nextRetryAt
+            });
+        } else {
+            deployment.status = 'current';
+            deployment.attempts = 0;
+            deployment.nextRetryAt = null;
+
+            if (deployed.length > 0) {
+                console.log(`[AgentDeployer] Deployed ${deployed.join(', ')} to ${agent.hostname || agent.id}`);
+            }
+            this.emit('deployment-complete', {
+                agentId: agent.id,
+                hostname: agent.hostname || agentData.hostname,
+                deployed
+            });
+        }
+
+        return deployment;
+    }
+
+    /**
+     * Items the parent last deployed successfully, keyed 'kind:id'
+     */
+    getRecordedItems(deployment) {
+        const items = {};
+        for (const [key, item] of Object.entries(deployment.items || {})) {
+            if (item.status === 'deployed') {
+                items[key] = item;
+            }
+        }
+        return items;
+    }
+
+    /**
+     * Update the monitors already on an agent without redeploying them, e.g.
+     * after the settings behind their interval or arguments changed
+     *
+     * @param {string} agentId - Agent identifier
+     * @param {Object} changes - Fields to update (default the current monitor options)
+     */
+    async updateMonitors(agentId, changes = null) {
+        for (const item of this.manifest) {
+            if (item.kind !== 'monitor') {
+                continue;
+            }
+
+            await this.agentService.updateMonitor(agentId, {
+                pluginId: this.pluginId,
+                monitorId: item.id,
+                version: item.version,
+                hash: item.hash,
+                ...(changes || this.getMonitorOptions(item.definition))
+            });
+        }
+    }
+
+    /**
+     * Send one script to an agent
+     */
+    async deployItem(agentId, item) {
+        const { definition } = item;
+
+        if (item.kind === 'monitor') {
+            await this.agentService.deployMonitor(agentId, {
+                pluginId: this.pluginId,
+                monitorId: definition.id,
+                script: definition.script.toString(),
+                version: item.version,
+                hash: item.hash,
+                interval: definition.interval,
+                platforms: definition.platforms,
+                ...this.getMonitorOptions(definition)
+            });
+        } else {
+            await this.agentService.deployAction(agentId, {
+                pluginId: this.pluginId,
+                actionId: definition.id,
+                script: definition.script.toString(),
+                version: item.version,
+                hash: item.hash,
+                platforms: definition.platforms
+            });
+        }
+    }
+
+    /**
+     * Remove scripts the agent has that are no longer in the manifest
+     */
+    async removeRetired(agentId, inventory, deployment) {
+        const shipped = new Set(this.manifest.map(item => item.key));
+
+        for (const [key, item] of Object.entries(inventory)) {
+            if (shipped.has(key)) {
+                continue;
+            }
+
+            try {
+                if (item.kind === 'monitor') {
+                    await this.agentService.removeMonitor(agentId, { pluginId: this.pluginId, monitorId: item.id });
+                } else {
+                    await this.agentService.removeAction(agentId, { pluginId: this.pluginId, actionId: item.id });
+                }
+                delete deployment.items[key];
+                console.log(`[AgentDeployer] Removed retired ${item.kind} ${item.id} from ${agentId}`);
+            } catch (error) {
+                console.error(`[AgentDeployer] Unable to remove ${item.kind} ${item.id} from ${agentId}:`, error.message);
+            }
+        }
+    }
+
+    /**
+     * Schedule the next attempt for an agent with failed scripts
+     *
+     * @returns {number|null} When the retry runs, or null once retries are used up
+     */
+    scheduleRetry(agent, attempts) {
+        const delay = this.retryDelaysMs[attempts - 1];
+        if (delay === undefined) {
+            return null;
+        }
+
+        const timerId = setTimeout(async () => {
+            this.retryTimers.delete(agent.id);
+            try {
+                await this.reconcile(agent);
+            } catch (error) {
+                console.error(`[AgentDeployer] Retry for ${agent.id} failed:`, error);
+            }
+        }, delay);
+
+        this.retryTimers.set(agent.id, timerId);
+        return Date.now() + delay;
+    }
+
+    /**
+     * Cancel a scheduled retry
+     */
+    cancelRetry(agentId) {
+        const timerId = this.retryTimers.get(agentId);
+        if (timerId) {
+            clearTimeout(timerId);
+            this.retryTimers.delete(agentId);
+        }
+    }
+
+    /**
+     * Deployment summary for the UI
+     *
+     * @param {string} agentId - Agent identifier
+     * @returns {Object|null} { status, failures, attempts, lastAttempt, nextRetryAt }
+     */
+    getAgentDeployment(agentId) {
+        const deployment = this.state.agents[agentId]?.deployment;
+        if (!deployment) {
+            return null;
+        }
+
+        return {
+            status: deployment.status || 'pending',
+            failures: Object.values(deployment.items || {})
+                .filter(item => item.status === 'failed')
+                .map(item => ({ id: item.id, error: item.error })),
+            attempts: deployment.attempts || 0,
+            lastAttempt: deployment.lastAttempt || null,
+            nextRetryAt: this.retryTimers.has(agentId) ? deployment.nextRetryAt : null
+        };
+    }
+
+    /**
+     * Cleanup resources
+     */
+    cleanup() {
+        for (const timerId of this.retryTimers.values()) {
+            clearTimeout(timerId);
+        }
+        this.retryTimers.clear();
+    }
+}
+
+export default AgentDeployer;
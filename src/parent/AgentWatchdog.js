@@ -0,0 +1,145 @@
+// Copyright [2025] [Allow2 Pty Ltd]
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict';
+
+import { EventEmitter } from 'events';
+import ChildLinks from '../utils/ChildLinks';
+import Staleness from '../utils/Staleness';
+
+/**
+ * AgentWatchdog
+ *
+ * Parent-side component that notices when linked agents stop reporting.
+ * This runs in the Allow2Automate parent application, NOT on agents.
+ *
+ * A child who kills the agent or unplugs the network should not be left in
+ * an open session forever, nor silently ignored. Silence is a signal.
+ *
+ * Responsibilities:
+ * - Mark agents stale after N missed checkInterval periods
+ * - Emit 'agent-stale' once when monitoring is lost
+ * - Emit 'agent-reconnected' once when a stale agent reports again
+ */
+class AgentWatchdog extends EventEmitter {
+    /**
+     * @param {Object} state - Plugin state reference
+     */
+    constructor(state) {
+        super();
+        this.state = state;
+
+        this.watchInterval = null;
+        this.setupWatch();
+    }
+
+    /**
+     * Update state reference
+     */
+    updateState(newState) {
+        this.state = newState;
+    }
+
+    /**
+     * How long a linked agent may stay silent before it is stale
+     */
+    getStaleThresholdMs() {
+        return Staleness.getThresholdMs(this.state.settings);
+    }
+
+    /**
+     * Check every linked agent for silence
+     */
+    checkAgents() {
+        const now = Date.now();
+        const threshold = this.getStaleThresholdMs();
+
+        for (const [agentId, agentData] of Object.entries(this.state.agents || {})) {
+            if (!ChildLinks.isLinked(agentData) || agentData.enabled === false || agentData.stale) {
+                continue;
+            }
+
+            const silentFor = now - (agentData.lastSeen || 0);
+            if (silentFor <= threshold) {
+                continue;
+            }
+
+            console.log(`[AgentWatchdog] Agent ${agentId} silent for ${Math.round(silentFor / 1000)}s - marking stale`);
+
+            agentData.stale = true;
+            agentData.staleSince = now;
+
+            this.emit('agent-stale', {
+                agentId,
+                childId: ChildLinks.getChildId(agentData),
+                hostname: agentData.hostname,
+                lastSeen: agentData.lastSeen,
+                silentFor
+            });
+        }
+    }
+
+    /**
+     * Record a report from an agent. Call before updating lastSeen.
+     *
+     * @param {string} agentId - Agent identifier
+     * @returns {boolean} True if the agent was stale and has reconnected
+     */
+    recordSeen(agentId) {
+        const agentData = this.state.agents?.[agentId];
+        if (!agentData || !agentData.stale) {
+            return false;
+        }
+
+        const now = Date.now();
+        const downtime = now - (agentData.lastSeen || agentData.staleSince || now);
+
+        agentData.stale = false;
+        agentData.staleSince = null;
+
+        console.log(`[AgentWatchdog] Agent ${agentId} reconnected after ${Math.round(downtime / 1000)}s`);
+
+        this.emit('agent-reconnected', {
+            agentId,
+            childId: ChildLinks.getChildId(agentData),
+            hostname: agentData.hostname,
+            downtime
+        });
+
+        return true;
+    }
+
+    /**
+     * Setup periodic watch, once per detector check interval
+     */
+    setupWatch() {
+        const checkIntervalMs = this.state.settings?.checkInterval || 10000;
+
+        this.watchInterval = setInterval(() => {
+            this.checkAgents();
+        }, checkIntervalMs);
+    }
+
+    /**
+     * Cleanup resources
+     */
+    cleanup() {
+        if (this.watchInterval) {
+            clearInterval(this.watchInterval);
+            this.watchInterval = null;
+        }
+    }
+}
+
+export default AgentWatchdog;
@@ -15,6 +15,9 @@
 'use strict';
 
 import { EventEmitter } from 'events';
+import Pauses from '../utils/Pauses';
+import Staleness from '../utils/Staleness';
+import TimeZones from '../utils/TimeZones';
 
 /**
  * BrowserTimeTracker
@@ -24,8 +27,9 @@ import { EventEmitter } from 'events';
  *
  * Responsibilities:
  * - Track browser session start/end times
+ * - Persist open sessions so a parent restart doesn't lose unlogged time
  * - Calculate total usage per child
- * - Report usage to Allow2 API
+ * - Report usage to Allow2 API through a persisted retry outbox
  * - Emit events for quota checking
  */
 class BrowserTimeTracker extends EventEmitter {
@@ -39,12 +43,32 @@ class BrowserTimeTracker extends EventEmitter {
         this.allow2Client = allow2Client;
 
         // Active sessions: agentId -> { childId, startTime, browsers, lastUpdate }
+        // Mirrored into state.browserSessions so they survive a restart
         this.activeSessions = new Map();
+        if (!this.state.browserSessions) {
+            this.state.browserSessions = {};
+        }
+
+        // Wall-clock time already charged per child: childId -> timestamp.
+        // Lets overlapping activity on several agents be charged once.
+        this.chargedUntil = new Map();
 
         // Usage logging interval (log to Allow2 every 5 minutes)
         this.logIntervalMs = 5 * 60 * 1000;
         this.logIntervals = new Map();
 
+        // Usage records not yet accepted by Allow2, persisted in state.usageOutbox
+        // and retried with exponential backoff
+        if (!this.state.usageOutbox) {
+            this.state.usageOutbox = [];
+        }
+        this.outboxRetryBaseMs = 15 * 1000;
+        this.outboxRetryMaxMs = 15 * 60 * 1000;
+        this.outboxFlushing = false;
+        this.outboxInterval = setInterval(() => {
+            this.flushOutbox();
+        }, this.outboxRetryBaseMs);
+
         // Daily reset check
         this.resetCheckInterval = null;
         this.setupDailyReset();
@@ -55,6 +79,84 @@ class BrowserTimeTracker extends EventEmitter {
      */
     updateState(newState) {
         this.state = newState;
+        if (!this.state.browserSessions) {
+            this.state.browserSessions = {};
+        }
+        if (!this.state.usageOutbox) {
+            this.state.usageOutbox = [];
+        }
+    }
+
+    /**
+     * Restore sessions persisted before a parent restart or plugin reload.
+     * Sessions whose agent reported recently are resumed with their unlogged
+     * seconds; sessions that went stale during the downtime are closed at the
+     * agent's lastSeen time and their unlogged seconds are logged.
+     */
+    async restoreSessions() {
+        const now = Date.now();
+        const staleAfterMs = this.getStaleThresholdMs();
+
+        for (const [agentId, persisted] of Object.entries(this.state.browserSessions || {})) {
+            if (!persisted || !persisted.childId) {
+                delete this.state.browserSessions[agentId];
+                continue;
+            }
+
+            const session = {
+                childId: persisted.childId,
+                startTime: persisted.startTime,
+                lastUpdate: persisted.lastUpdate || persisted.startTime,
+                browsers: persisted.browsers || [],
+                foreground: persisted.foreground ?? null,
+                paused: !!persisted.paused,
+                accumulatedSeconds: persisted.accumulatedSeconds || 0,
+                logged: !!persisted.logged
+            };
+            this.activeSessions.set(agentId, session);
+            this.chargedUntil.set(session.childId, Math.max(this.chargedUntil.get(session.childId) || 0, session.lastUpdate));
+
+            const lastSeen = Math.max(this.state.agents?.[agentId]?.lastSeen || 0, session.lastUpdate);
+
+            if (now - lastSeen > staleAfterMs) {
+                console.log(`[BrowserTimeTracker] Closing stale session for agent ${agentId}`);
+                await this.endSession(agentId, session.childId, lastSeen);
+            } else {
+                console.log(`[BrowserTimeTracker] Resuming session for agent ${agentId} (${session.accumulatedSeconds}s unlogged)`);
+                this.startLoggingInterval(agentId, session.childId);
+            }
+        }
+
+        this.emit('sessions-changed');
+    }
+
+    /**
+     * How long an agent may go without reporting before its session is stale
+     */
+    getStaleThresholdMs() {
+        return Staleness.getThresholdMs(this.state.settings);
+    }
+
+    /**
+     * Write a session snapshot into persisted state
+     */
+    persistSession(agentId) {
+        const session = this.activeSessions.get(agentId);
+        if (!session) {
+            delete this.state.browserSessions[agentId];
+            return;
+        }
+
+        this.state.browserSessions[agentId] = {
+            childId: session.childId,
+            startTime: session.startTime,
+            lastUpdate: session.lastUpdate,
+            browsers: session.browsers,
+            foreground: session.foreground,
+            paused: session.paused,
+            accumulatedSeconds: session.accumulatedSeconds,
+            logged: session.logged
+        };
     }
 
     /**
@@ -64,24 +166,40 @@ class BrowserTimeTracker extends EventEmitter {
      * @param {string} agentId - Agent identifier
      * @param {string} childId - Child identifier
      * @param {Array} browsers - Array of detected browsers
+     * @param {Object} activity - Optional activity details from the agent
+     * @param {boolean|null} activity.foreground - Whether a browser owns the focused window (null if unknown)
+     * @param {number|null} activity.idleSeconds - Seconds since the last keyboard/mouse input (null if unknown)
+     * @param {boolean|null} activity.screenLocked - Whether the screen is locked (null if unknown)
      */
-    async recordActivity(agentId, childId, browsers) {
+    async recordActivity(agentId, childId, browsers, activity = {}) {
+        // Monitoring paused by the parent - nothing is charged and no session runs
+        if (Pauses.getPause(this.state, agentId, childId)) {
+            await this.endSession(agentId, childId);
+            return;
+        }
+
         const now = Date.now();
+        const foreground = activity.foreground ?? null;
+        const paused = this.isPaused(activity);
 
         // Check if session already exists
         const existingSession = this.activeSessions.get(agentId);
 
         if (existingSession) {
             // Update existing session
-            const elapsed = now - existingSession.lastUpdate;
+            const chargeEnd = this.getChargeEnd(existingSession, now, activity);
+            const chargeable = this.chargeableSeconds(childId, existingSession.lastUpdate, chargeEnd);
             existingSession.lastUpdate = now;
             existingSession.browsers = browsers;
+            existingSession.foreground = foreground;
+            existingSession.paused = paused;
 
             // Accumulate local usage
-            existingSession.accumulatedSeconds += Math.floor(elapsed / 1000);
+            existingSession.accumulatedSeconds += chargeable;
 
             // Update child usage in state
-            this.updateChildUsage(childId, Math.floor(elapsed / 1000));
+            this.updateChildUsage(childId, chargeable);
+            this.persistSession(agentId);
         } else {
             // Start new session
             const session = {
@@ -89,10 +207,13 @@ class BrowserTimeTracker extends EventEmitter {
                 startTime: now,
                 lastUpdate: now,
                 browsers,
+                foreground,
+                paused,
                 accumulatedSeconds: 0,
                 logged: false
             };
             this.activeSessions.set(agentId, session);
+            this.persistSession(agentId);
 
             // Start periodic logging for this session
             this.startLoggingInterval(agentId, childId);
@@ -111,8 +232,9 @@ class BrowserTimeTracker extends EventEmitter {
      *
      * @param {string} agentId - Agent identifier
      * @param {string} childId - Child identifier (for verification)
+     * @param {number} endTime - When the session ended (defaults to now)
      */
-    async endSession(agentId, childId) {
+    async endSession(agentId, childId, endTime = Date.now()) {
         const session = this.activeSessions.get(agentId);
 
         if (!session) {
@@ -120,28 +242,31 @@ class BrowserTimeTracker extends EventEmitter {
         }
 
         // Calculate final duration
-        const now = Date.now();
-        const elapsed = now - session.lastUpdate;
-        const totalSeconds = session.accumulatedSeconds + Math.floor(elapsed / 1000);
+        const now = endTime;
+        const chargeEnd = session.paused ? session.lastUpdate : this.getChargeEnd(session, now);
+        const chargeable = this.chargeableSeconds(childId, session.lastUpdate, chargeEnd);
+        const totalSeconds = session.accumulatedSeconds + chargeable;
         const sessionDuration = Math.floor((now - session.startTime) / 1000);
 
         // Log final usage to Allow2
-        if (totalSeconds > 0 && this.allow2Client) {
-            await this.logUsageToAllow2(childId, totalSeconds);
+        if (totalSeconds > 0) {
+            await this.queueUsage(childId, totalSeconds);
         }
 
         // Update child usage in state
-        this.updateChildUsage(childId, Math.floor(elapsed / 1000));
+        this.updateChildUsage(childId, chargeable);
 
         // Stop logging interval
         this.stopLoggingInterval(agentId);
 
         // Remove session
         this.activeSessions.delete(agentId);
+        this.persistSession(agentId);
 
         this.emit('session-ended', {
             agentId,
             childId,
+            browsers: session.browsers,
             duration: sessionDuration,
             timestamp: now
         });
@@ -157,6 +282,77 @@ class BrowserTimeTracker extends EventEmitter {
         }
     }
 
+    /**
+     * Seconds of the period [from, to] to charge to a child.
+     * With chargeMode 'once' (default), activity on several agents at the same
+     * time is merged per child so overlapping wall-clock time is charged once.
+     * With 'per-device', every agent's time is charged in full.
+     *
+     * @param {string} childId - Child identifier
+     * @param {number} from - Period start (ms)
+     * @param {number} to - Period end (ms)
+     * @returns {number} Whole seconds to charge
+     */
+    chargeableSeconds(childId, from, to) {
+        if (to <= from) {
+            return 0;
+        }
+
+        if (this.state.settings?.chargeMode === 'per-device') {
+            return Math.floor((to - from) / 1000);
+        }
+
+        const chargedUntil = this.chargedUntil.get(childId) || 0;
+        const start = Math.max(from, chargedUntil);
+        if (to > chargedUntil) {
+            this.chargedUntil.set(childId, to);
+        }
+
+        return Math.floor(Math.max(0, to - start) / 1000);
+    }
+
+    /**
+     * Whether a report says the user is away: screen locked, or idle past idleThreshold
+     */
+    isPaused(activity = {}) {
+        if (activity.screenLocked === true) {
+            return true;
+        }
+
+        const threshold = this.state.settings?.idleThreshold || 0;
+        return threshold > 0 && typeof activity.idleSeconds === 'number' && activity.idleSeconds >= threshold;
+    }
+
+    /**
+     * End of the chargeable part of the period since a session's last report.
+     * - chargeForegroundOnly: nothing unless a browser had focus at the start
+     *   of the period (unknown focus is charged as before)
+     * - Screen locked: nothing
+     * - Idle past idleThreshold: only up to the moment the threshold was crossed
+     *
+     * @param {Object} session - Active session
+     * @param {number} now - Period end (ms)
+     * @param {Object} activity - Current report's { idleSeconds, screenLocked }
+     * @returns {number} Timestamp (ms) to charge up to
+     */
+    getChargeEnd(session, now, activity = {}) {
+        const from = session.lastUpdate;
+
+        if (this.state.settings?.chargeForegroundOnly && session.foreground === false) {
+            return from;
+        }
+        if (activity.screenLocked === true) {
+            return from;
+        }
+
+        const threshold = this.state.settings?.idleThreshold || 0;
+        if (threshold > 0 && typeof activity.idleSeconds === 'number' && activity.idleSeconds >= threshold) {
+            return Math.max(from, now - ((activity.idleSeconds - threshold) * 1000));
+        }
+
+        return now;
+    }
+
     /**
      * Update child's usage in state
      */
@@ -164,6 +360,7 @@ class BrowserTimeTracker extends EventEmitter {
         if (!this.state.children[childId]) {
             this.state.children[childId] = {
                 usageToday: 0,
+                violationsToday: 0,
                 lastReset: Date.now()
             };
         }
@@ -178,41 +375,170 @@ class BrowserTimeTracker extends EventEmitter {
     }
 
     /**
-     * Log usage to Allow2 API
-     * This consumes quota on the Allow2 platform
+     * Queue usage for Allow2 and try to send it straight away.
+     * The record stays in the persisted outbox until Allow2 accepts it.
+     *
+     * @param {string} childId - Child identifier
+     * @param {number} durationSeconds - Seconds of usage to log
      */
-    async logUsageToAllow2(childId, durationSeconds) {
-        if (!this.allow2Client) {
-            console.warn('[BrowserTimeTracker] No Allow2 client available');
-            return null;
+    async queueUsage(childId, durationSeconds) {
+        const now = Date.now();
+
+        this.state.usageOutbox.push({
+            // Idempotency key so a retry after a lost response isn't charged twice
+            id: `${childId}-${now}-${Math.random().toString(36).slice(2, 10)}`,
+            childId,
+            durationSeconds,
+            createdAt: now,
+            attempts: 0,
+            nextAttemptAt: now,
+            lastError: null
+        });
+        this.emit('outbox-changed', this.getOutboxSummary());
+
+        await this.flushOutbox();
+    }
+
+    /**
+     * Charge usage an agent counted by itself while it could not report.
+     *
+     * @param {string} childId - Child identifier
+     * @param {number} seconds - Seconds of chargeable browsing counted on the agent
+     */
+    async recordOfflineUsage(childId, seconds) {
+        if (seconds <= 0) {
+            return;
         }
 
+        this.updateChildUsage(childId, seconds);
+        await this.queueUsage(childId, seconds);
+    }
+
+    /**
+     * Seconds charged to a child that Allow2 does not know about yet:
+     * accumulated in active sessions or still waiting in the outbox.
+     */
+    getUnloggedSeconds(childId) {
+        let seconds = 0;
+        for (const session of this.activeSessions.values()) {
+            if (session.childId === childId) {
+                seconds += session.accumulatedSeconds || 0;
+            }
+        }
+        for (const record of this.state.usageOutbox || []) {
+            if (record.childId === childId) {
+                seconds += record.durationSeconds;
+            }
+        }
+        return seconds;
+    }
+
+    /**
+     * Send every outbox record that is due for a retry.
+     *
+     * @param {boolean} force - Ignore backoff (e.g. on reconnect)
+     */
+    async flushOutbox(force = false) {
+        if (this.outboxFlushing || !this.allow2Client || this.state.usageOutbox.length === 0) {
+            return;
+        }
+
+        this.outboxFlushing = true;
+        let changed = false;
+
         try {
-            const result = await this.allow2Client.checkActivity({
-                child_id: childId,
-                activity_type: 'internet',
-                duration_seconds: durationSeconds,
-                log_usage: true,  // This consumes quota
-                metadata: {
-                    source: 'allow2automate-web-browsers',
-                    category: 'browser'
+            // Oldest first, so usage reaches Allow2 in the order it happened
+            for (const record of [...this.state.usageOutbox]) {
+                if (!force && record.nextAttemptAt > Date.now()) {
+                    continue;
                 }
-            });
 
-            console.log(`[BrowserTimeTracker] Logged ${durationSeconds}s for child ${childId}`);
+                try {
+                    await this.logUsageToAllow2(record.childId, record.durationSeconds, record.id);
+                    this.state.usageOutbox = this.state.usageOutbox.filter(r => r.id !== record.id);
+                    changed = true;
+
+                    // Allow2 is reachable again - don't leave older failures waiting on backoff
+                    force = true;
+                } catch (error) {
+                    record.attempts += 1;
+                    record.lastError = error.message;
+                    record.nextAttemptAt = Date.now() + Math.min(
+                        this.outboxRetryBaseMs * Math.pow(2, record.attempts - 1),
+                        this.outboxRetryMaxMs
+                    );
+                    changed = true;
+
+                    console.warn(`[BrowserTimeTracker] Usage for child ${record.childId} queued for retry (attempt ${record.attempts})`);
+                    // Allow2 is unreachable, later records would fail too
+                    break;
+                }
+            }
+        } finally {
+            this.outboxFlushing = false;
+        }
 
-            this.emit('usage-logged', {
-                childId,
-                duration: durationSeconds,
-                remaining: result?.remaining_seconds,
-                allowed: result?.allowed
-            });
+        if (changed) {
+            this.emit('outbox-changed', this.getOutboxSummary());
+        }
+    }
 
-            return result;
-        } catch (error) {
-            console.error('[BrowserTimeTracker] Error logging usage to Allow2:', error);
-            return null;
+    /**
+     * Send everything in the outbox now, regardless of backoff
+     */
+    async drainOutbox() {
+        await this.flushOutbox(true);
+    }
+
+    /**
+     * Pending usage not yet accepted by Allow2
+     */
+    getOutboxSummary(childId = null) {
+        const records = this.state.usageOutbox.filter(r => !childId || r.childId === childId);
+        return {
+            pendingRecords: records.length,
+            pendingSeconds: records.reduce((total, r) => total + r.durationSeconds, 0),
+            oldestPending: records.length > 0 ? records[0].createdAt : null,
+            lastError: records.find(r => r.lastError)?.lastError || null
+        };
+    }
+
+    /**
+     * Log usage to Allow2 API
+     * This consumes quota on the Allow2 platform. Throws on failure so the
+     * outbox can keep the record for a retry.
+     *
+     * @param {string} childId - Child identifier
+     * @param {number} durationSeconds - Seconds of usage to log
+     * @param {string} idempotencyKey - Outbox record id, lets Allow2 drop duplicates
+     */
+    async logUsageToAllow2(childId, durationSeconds, idempotencyKey) {
+        if (!this.allow2Client) {
+            throw new Error('No Allow2 client available');
         }
+
+        const result = await this.allow2Client.checkActivity({
+            child_id: childId,
+            activity_type: 'internet',
+            duration_seconds: durationSeconds,
+            log_usage: true,  // This consumes quota
+            idempotency_key: idempotencyKey,
+            metadata: {
+                source: 'allow2automate-web-browsers',
+                category: 'browser'
+            }
+        });
+
+        console.log(`[BrowserTimeTracker] Logged ${durationSeconds}s for child ${childId}`);
+
+        this.emit('usage-logged', {
+            childId,
+            duration: durationSeconds,
+            remaining: result?.remaining_seconds,
+            allowed: result?.allowed
+        });
+
+        return result;
     }
 
     /**
@@ -233,8 +559,10 @@ class BrowserTimeTracker extends EventEmitter {
             const secondsToLog = session.accumulatedSeconds;
             session.accumulatedSeconds = 0;
             session.logged = true;
+            this.persistSession(agentId);
+            this.emit('sessions-changed');
 
-            await this.logUsageToAllow2(childId, secondsToLog);
+            await this.queueUsage(childId, secondsToLog);
         }, this.logIntervalMs);
 
         this.logIntervals.set(agentId, interval);
@@ -262,7 +590,9 @@ class BrowserTimeTracker extends EventEmitter {
                     agentId,
                     startTime: session.startTime,
                     duration: Math.floor((Date.now() - session.startTime) / 1000),
-                    browsers: session.browsers
+                    browsers: session.browsers,
+                    foreground: session.foreground,
+                    paused: session.paused
                 });
             }
         }
@@ -307,24 +637,71 @@ class BrowserTimeTracker extends EventEmitter {
     }
 
     /**
-     * Check if daily usage should be reset
+     * Check if daily usage should be reset.
+     * Each child's day starts at their resetTime ("HH:MM", default midnight)
+     * in their IANA timezone (default: the settings timezone, then the
+     * parent machine's), e.g. a 4am reset for teens or a child in another household.
      */
     checkDailyReset() {
-        const now = new Date();
-        const todayStart = new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime();
+        const now = Date.now();
 
         for (const [childId, childData] of Object.entries(this.state.children)) {
-            if (childData.lastReset < todayStart) {
-                // Reset usage for new day
-                console.log(`[BrowserTimeTracker] Resetting daily usage for child ${childId}`);
-                childData.usageToday = 0;
-                childData.lastReset = Date.now();
+            const { timeZone, resetTime } = this.getChildDay(childId);
+            const lastBoundary = TimeZones.getLastResetTime(now, timeZone, resetTime);
 
-                this.emit('daily-reset', { childId });
+            if ((childData.lastReset || 0) < lastBoundary) {
+                this.resetChildDay(childId);
             }
         }
     }
 
+    /**
+     * Resolve the day boundary settings for a child
+     * @returns {Object} { timeZone, resetTime }
+     */
+    getChildDay(childId) {
+        const childData = this.state.children[childId] || {};
+        const settings = this.state.settings || {};
+
+        const timeZone = TimeZones.resolveTimeZone(childData.timezone, settings.timezone);
+        const resetTime = [childData.resetTime, settings.resetTime]
+            .find(time => TimeZones.isValidTimeOfDay(time)) || '00:00';
+
+        return { timeZone, resetTime };
+    }
+
+    /**
+     * Start of a child's current day and of the next one
+     * @returns {Object} { lastReset, nextReset } as timestamps (ms)
+     */
+    getDayBounds(childId, now = Date.now()) {
+        const { timeZone, resetTime } = this.getChildDay(childId);
+        const lastReset = TimeZones.getLastResetTime(now, timeZone, resetTime);
+
+        // A day is 23 to 25 hours long across DST changes
+        const nextReset = TimeZones.getLastResetTime(lastReset + (26 * 60 * 60 * 1000), timeZone, resetTime);
+
+        return { lastReset, nextReset };
+    }
+
+    /**
+     * Start a new day for a child: clear usage and per-day violation counts.
+     * Listeners of 'daily-reset' clear their own per-day state (e.g. warnings).
+     */
+    resetChildDay(childId) {
+        const childData = this.state.children[childId];
+        if (!childData) {
+            return;
+        }
+
+        console.log(`[BrowserTimeTracker] Resetting daily usage for child ${childId}`);
+        childData.usageToday = 0;
+        childData.violationsToday = 0;
+        childData.lastReset = Date.now();
+
+        this.emit('daily-reset', { childId });
+    }
+
     /**
      * Check current allowance without logging usage
      * Use this for quota checks and warnings
@@ -358,14 +735,21 @@ class BrowserTimeTracker extends EventEmitter {
             this.stopLoggingInterval(agentId);
         }
 
+        // Stop outbox retries (records stay in state for the next load)
+        if (this.outboxInterval) {
+            clearInterval(this.outboxInterval);
+            this.outboxInterval = null;
+        }
+
         // Stop daily reset check
         if (this.resetCheckInterval) {
             clearInterval(this.resetCheckInterval);
             this.resetCheckInterval = null;
         }
 
-        // Clear active sessions
+        // Clear active sessions (state.browserSessions is kept for restore)
         this.activeSessions.clear();
+        this.chargedUntil.clear();
     }
 }
 
@@ -15,6 +15,17 @@
 'use strict';
 
 import { EventEmitter } from 'events';
+import AllowedHours from '../utils/AllowedHours';
+import ChildLinks from '../utils/ChildLinks';
+import Pauses from '../utils/Pauses';
+import TimeZones from '../utils/TimeZones';
+
+// Why browsers close when each kind of limit runs out
+const LIMIT_REASONS = {
+    quota: 'Daily internet time exhausted',
+    schedule: 'Allowed browsing hours are over',
+    extension: 'Bonus time is over'
+};
 
 /**
  * QuotaEnforcer
@@ -30,6 +41,7 @@ import { EventEmitter } from 'events';
  * - Check quotas with Allow2 API
  * - Emit events when blocking or warnings are needed
  * - Track warning state to avoid duplicate warnings
+ * - Stand in 'dry-run' events for blocks and warnings in monitor-only mode
  */
 class QuotaEnforcer extends EventEmitter {
     /**
@@ -76,6 +88,11 @@ class QuotaEnforcer extends EventEmitter {
             return;
         }
 
+        // Monitoring paused by the parent - no blocks and no warnings
+        if (Pauses.getPause(this.state, agentId, childId)) {
+            return;
+        }
+
         // Get fresh allowance from Allow2 (never trust cached values for enforcement)
         const allowance = await this.fetchAllowance(childId, activityType);
 
@@ -84,10 +101,13 @@ class QuotaEnforcer extends EventEmitter {
             return;
         }
 
+        // Bonus time granted by the parent holds off every block below while it lasts
+        const extension = this.getTimeExtension(childId);
+
         // Handle immediate blocking conditions
-        if (allowance.is_banned || allowance.is_activity_blocked) {
+        if ((allowance.is_banned || allowance.is_activity_blocked) && !extension) {
             console.log(`[QuotaEnforcer] Child ${childId} is banned or activity blocked`);
-            this.emit('block-browsers', {
+            this.emitEnforcement('block-browsers', {
                 agentId,
                 childId,
                 reason: allowance.ban_reason || 'Activity is blocked'
@@ -96,9 +116,9 @@ class QuotaEnforcer extends EventEmitter {
         }
 
         // Check if not allowed
-        if (!allowance.allowed) {
+        if (!allowance.allowed && !extension) {
             console.log(`[QuotaEnforcer] Child ${childId} internet time not allowed`);
-            this.emit('block-browsers', {
+            this.emitEnforcement('block-browsers', {
                 agentId,
                 childId,
                 reason: 'Internet time not allowed'
@@ -106,23 +126,66 @@ class QuotaEnforcer extends EventEmitter {
             return;
         }
 
-        // Check remaining time
-        const remainingSeconds = allowance.remaining_seconds;
+        // Allowed-hours schedule kept in the plugin, checked next to the Allow2 allowance
+        const hours = this.getAllowedHours(childId);
+        if (!hours.allowed && !extension) {
+            console.log(`[QuotaEnforcer] Child ${childId} is outside allowed hours`);
+            this.emitEnforcement('block-browsers', {
+                agentId,
+                childId,
+                reason: 'Browsing is not allowed at this time'
+            });
+            return;
+        }
+
+        // Check remaining time. The allowed-hours window closing before the
+        // allowance runs out is warned about and enforced the same way.
+        const blocked = allowance.is_banned || allowance.is_activity_blocked || !allowance.allowed || !hours.allowed;
+        const quotaSeconds = blocked ? 0 : allowance.remaining_seconds;
+        const windowSeconds = hours.allowed && hours.changesAt
+            ? Math.max(0, Math.floor((hours.changesAt - Date.now()) / 1000))
+            : null;
+        const windowFirst = windowSeconds !== null && (quotaSeconds === -1 || windowSeconds < quotaSeconds);
+        let remainingSeconds = windowFirst ? windowSeconds : quotaSeconds;
+        let limit = windowFirst ? 'schedule' : 'quota';
+        let limitEndsAt = windowFirst ? hours.changesAt : null;
+
+        // Bonus time only counts for as long as it outlasts everything else
+        const extensionSeconds = extension ? Math.floor((extension.expiresAt - Date.now()) / 1000) : 0;
+        if (extension && remainingSeconds !== -1 && extensionSeconds > remainingSeconds) {
+            console.log(`[QuotaEnforcer] Child ${childId} has bonus time until ${new Date(extension.expiresAt).toISOString()}`);
+            remainingSeconds = extensionSeconds;
+            limit = 'extension';
+            limitEndsAt = extension.expiresAt;
+        }
 
-        // -1 means unlimited
+        // -1 means unlimited (and no allowed-hours window closing either)
         if (remainingSeconds === -1) {
+            this.emit('quota-available', { agentId, childId, remainingSeconds });
             return; // Unlimited - no action needed
         }
 
         const remainingMinutes = remainingSeconds / 60;
 
+        if (remainingSeconds > 0) {
+            this.emit('quota-available', { agentId, childId, remainingSeconds });
+            this.emit('allowance-updated', {
+                agentId,
+                childId,
+                remainingSeconds,
+                type: activityType,
+                limit,
+                reason: LIMIT_REASONS[limit]
+            });
+        }
+
         // Quota exhausted
         if (remainingSeconds <= 0) {
             console.log(`[QuotaEnforcer] Quota exhausted for child ${childId}`);
-            this.emit('block-browsers', {
+            this.emitEnforcement('block-browsers', {
                 agentId,
                 childId,
-                reason: 'Daily internet time exhausted'
+                reason: LIMIT_REASONS[limit]
             });
             return;
         }
@@ -132,7 +195,8 @@ class QuotaEnforcer extends EventEmitter {
         const warningState = this.getWarningState(childId);
 
         for (const threshold of warningMinutes.sort((a, b) => b - a)) {
-            const warningKey = `warned${threshold}`;
+            // Every window boundary and bonus grant gets its own round of warnings
+            const warningKey = limitEndsAt ? `${limit}${limitEndsAt}:${threshold}` : `warned${threshold}`;
 
             if (remainingMinutes <= threshold && !warningState[warningKey]) {
                 // Trigger warning
@@ -141,11 +205,12 @@ class QuotaEnforcer extends EventEmitter {
 
                 console.log(`[QuotaEnforcer] Warning ${childId}: ${remainingMinutes} minutes remaining`);
 
-                this.emit('show-warning', {
+                this.emitEnforcement('show-warning', {
                     agentId,
                     childId,
                     remaining: remainingMinutes,
                     type: activityType,
+                    limit,
                     urgency
                 });
 
@@ -191,6 +256,51 @@ class QuotaEnforcer extends EventEmitter {
         }
     }
 
+    /**
+     * Whether the child's allowed-hours schedule allows browsing now
+     * @returns {Object} { allowed, changesAt } (see AllowedHours.getStatus)
+     */
+    getAllowedHours(childId) {
+        const childData = this.state.children?.[childId] || {};
+        const timeZone = TimeZones.resolveTimeZone(childData.timezone, this.state.settings?.timezone);
+        return AllowedHours.getStatus(childData.allowedHours || null, Date.now(), timeZone);
+    }
+
+    /**
+     * Whether the child is in monitor-only mode: blocks and warnings are
+     * worked out as usual but only recorded. Set per child, otherwise it
+     * follows the killOnViolation setting.
+     */
+    isMonitorOnly(childId) {
+        const monitorOnly = this.state.children?.[childId]?.monitorOnly;
+        if (typeof monitorOnly === 'boolean') {
+            return monitorOnly;
+        }
+        return this.state.settings?.killOnViolation === false;
+    }
+
+    /**
+     * Emit block-browsers or show-warning, or for a monitor-only child a
+     * 'dry-run' event saying which one it would have been
+     */
+    emitEnforcement(event, data) {
+        if (this.isMonitorOnly(data.childId)) {
+            this.emit('dry-run', { event, ...data, timestamp: Date.now() });
+            return;
+        }
+
+        this.emit(event, data);
+    }
+
+    /**
+     * Bonus time the parent granted the child, while it lasts
+     * @returns {Object|null} { minutes, grantedAt, expiresAt, reason }
+     */
+    getTimeExtension(childId) {
+        const extension = this.state.children?.[childId]?.timeExtension;
+        return extension && extension.expiresAt > Date.now() ? extension : null;
+    }
+
     /**
      * Get warning state for a child
      */
@@ -227,18 +337,26 @@ class QuotaEnforcer extends EventEmitter {
     }
 
     /**
-     * Check quotas for all children with active browser sessions
+     * Check quotas for all children with active browser sessions.
+     * Agents blocked from relaunching browsers are checked too, so the block
+     * lifts once time is available again (e.g. an allowed-hours window opens).
      */
     async checkAllActiveChildren() {
+        this.expirePauses();
+
         const activeChildren = new Set();
+        const blockedChildren = new Set();
 
         // Collect all children with active sessions from state
         for (const [agentId, agentData] of Object.entries(this.state.agents || {})) {
-            if (agentData.childId && agentData.browsers?.length > 0) {
+            const childId = ChildLinks.getChildId(agentData);
+            if (childId && agentData.browsers?.length > 0) {
                 activeChildren.add({
                     agentId,
-                    childId: agentData.childId
+                    childId
                 });
+            } else if (childId && agentData.launchBlock) {
+                blockedChildren.add({ agentId, childId });
             }
         }
 
@@ -246,6 +364,55 @@ class QuotaEnforcer extends EventEmitter {
         for (const { agentId, childId } of activeChildren) {
             await this.checkQuota(agentId, childId, 'internet');
         }
+
+        for (const { agentId, childId } of blockedChildren) {
+            await this.checkBlockLift(agentId, childId);
+        }
+    }
+
+    /**
+     * Remove pauses that have reached their end time and say so, so
+     * monitoring resumes on schedule even across a restart of the parent
+     */
+    expirePauses() {
+        for (const { agentId, childId, pause } of Pauses.getExpired(this.state)) {
+            if (agentId) {
+                this.state.agents[agentId].pause = null;
+            } else {
+                this.state.children[childId].pause = null;
+            }
+
+            console.log(`[QuotaEnforcer] Pause on ${agentId ? `agent ${agentId}` : `child ${childId}`} ended`);
+            this.emit('pause-expired', { agentId: agentId || null, childId: childId || null, pause });
+        }
+    }
+
+    /**
+     * Re-check a blocked agent with no browsers running. Only lifts the
+     * block; with nothing running there is nothing to warn about or kill.
+     */
+    async checkBlockLift(agentId, childId) {
+        const extension = this.getTimeExtension(childId);
+        if (extension) {
+            this.emit('quota-available', {
+                agentId,
+                childId,
+                remainingSeconds: Math.floor((extension.expiresAt - Date.now()) / 1000)
+            });
+            return;
+        }
+
+        const allowance = await this.fetchAllowance(childId, 'internet');
+        if (!allowance || allowance.is_banned || allowance.is_activity_blocked || !allowance.allowed) {
+            return;
+        }
+        if (!this.getAllowedHours(childId).allowed) {
+            return;
+        }
+
+        if (allowance.remaining_seconds === -1 || allowance.remaining_seconds > 0) {
+            this.emit('quota-available', { agentId, childId, remainingSeconds: allowance.remaining_seconds });
+        }
     }
 
     /**
@@ -257,9 +424,9 @@ class QuotaEnforcer extends EventEmitter {
         const cacheKey = `${childId}:internet`;
         this.quotaCache.delete(cacheKey);
 
-        // Find all agents linked to this child
+        // Find all agents the child is using
         for (const [agentId, agentData] of Object.entries(this.state.agents || {})) {
-            if (agentData.childId === childId) {
+            if (ChildLinks.getChildId(agentData) === childId) {
                 // Re-check quota with fresh data
                 await this.checkQuota(agentId, childId, 'internet');
             }
@@ -271,7 +438,7 @@ class QuotaEnforcer extends EventEmitter {
      */
     async forceBlock(childId, reason) {
         for (const [agentId, agentData] of Object.entries(this.state.agents || {})) {
-            if (agentData.childId === childId) {
+            if (ChildLinks.getChildId(agentData) === childId) {
                 this.emit('block-browsers', {
                     agentId,
                     childId,
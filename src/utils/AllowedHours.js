@@ -0,0 +1,128 @@
+// Copyright [2025] [Allow2 Pty Ltd]
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict';
+
+import TimeZones from './TimeZones';
+
+/**
+ * Weekly allowed-hours schedules, evaluated in the child's time zone.
+ *
+ * A schedule is { windows: [{ day, start, end }] }: day 0 (Sunday) to 6,
+ * start and end "HH:MM", end may be "24:00". Browsing is allowed inside a
+ * window and not outside any. Windows that touch are joined, so bedtime
+ * at 21:00 and wake-up at 07:00 are Mon 07:00-21:00, Tue 07:00-21:00 ...,
+ * and an evening running past midnight is two windows (Fri 18:00-24:00,
+ * Sat 00:00-01:00). No schedule (null) allows any time.
+ */
+class AllowedHours {
+    /**
+     * Check a schedule as stored in state.children[childId].allowedHours.
+     * @param {Object|null} schedule Schedule or null
+     * @returns {string|null} Error message
+     */
+    static validate(schedule) {
+        if (schedule === null) {
+            return null;
+        }
+        if (!schedule || typeof schedule !== 'object' || !Array.isArray(schedule.windows)) {
+            return 'allowedHours must be null or { windows: [...] }';
+        }
+
+        for (const window of schedule.windows) {
+            const { day, start, end } = window || {};
+            if (!Number.isInteger(day) || day < 0 || day > 6) {
+                return 'window day must be 0 (Sunday) to 6';
+            }
+            if (!TimeZones.isValidTimeOfDay(start) || !(TimeZones.isValidTimeOfDay(end) || end === '24:00')) {
+                return `window times must be "HH:MM", got "${start}"-"${end}"`;
+            }
+            if (TimeZones.parseTimeOfDay(end) <= TimeZones.parseTimeOfDay(start)) {
+                return `window must end after it starts, got "${start}"-"${end}"`;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Allowed periods from the day before a timestamp to a week after it,
+     * with touching or overlapping windows joined.
+     * @param {Object} schedule Schedule with windows
+     * @param {number} timestamp Unix timestamp (ms)
+     * @param {string} timeZone IANA time zone name
+     * @returns {Array<Array<number>>} Sorted [start, end] timestamps (ms)
+     */
+    static getPeriods(schedule, timestamp, timeZone) {
+        const today = TimeZones.getWallClock(timestamp, timeZone);
+        const periods = [];
+
+        for (let offset = -1; offset <= 7; offset++) {
+            // Date.UTC rolls the day over into the next month or year
+            const date = new Date(Date.UTC(today.year, today.month - 1, today.day + offset));
+            const weekday = date.getUTCDay();
+
+            for (const window of schedule.windows) {
+                if (window.day !== weekday) {
+                    continue;
+                }
+                periods.push([
+                    TimeZones.fromWallClock(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate(),
+                        TimeZones.parseTimeOfDay(window.start), timeZone),
+                    TimeZones.fromWallClock(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate(),
+                        TimeZones.parseTimeOfDay(window.end), timeZone)
+                ]);
+            }
+        }
+
+        periods.sort((a, b) => a[0] - b[0]);
+
+        const joined = [];
+        for (const period of periods) {
+            const last = joined[joined.length - 1];
+            if (last && period[0] <= last[1]) {
+                last[1] = Math.max(last[1], period[1]);
+            } else {
+                joined.push(period);
+            }
+        }
+
+        return joined;
+    }
+
+    /**
+     * Whether browsing is allowed at a time, and when that changes.
+     * @param {Object|null} schedule Schedule, null for no restriction
+     * @param {number} timestamp Unix timestamp (ms)
+     * @param {string} timeZone IANA time zone name
+     * @returns {Object} { allowed, changesAt } - changesAt is the end of the
+     *          allowed period or the start of the next one, null if no window opens within a week
+     */
+    static getStatus(schedule, timestamp, timeZone) {
+        if (!schedule) {
+            return { allowed: true, changesAt: null };
+        }
+
+        const periods = this.getPeriods(schedule, timestamp, timeZone);
+        const current = periods.find(([start, end]) => start <= timestamp && timestamp < end);
+        if (current) {
+            return { allowed: true, changesAt: current[1] };
+        }
+
+        const next = periods.find(([start]) => start > timestamp);
+        return { allowed: false, changesAt: next ? next[0] : null };
+    }
+}
+
+export default AllowedHours;
@@ -17,6 +17,11 @@
 /**
  * Browser detection patterns for cross-platform browser identification.
  * Used by ProcessLevelDetector for basic mode browser detection.
+ *
+ * Process names are matched exactly (ignoring case, a '.exe' suffix and
+ * macOS ' Helper (...)' suffixes), never by substring: "chrome" must not
+ * match chrome_crashpad_handler or an Electron app's bundled helpers, and
+ * "opera" must not match "operator".
  */
 class BrowserPatterns {
     /**
@@ -87,6 +92,44 @@ class BrowserPatterns {
         };
     }
 
+    /**
+     * Processes that share a browser's name but are not a browser:
+     * crash reporters, sandboxes, automation drivers, and the Chromium
+     * helpers that Electron/CEF apps (Slack, Teams, ...) ship with.
+     * @returns {Array<string>} Process names never treated as browsers
+     */
+    static getExclusions() {
+        return [
+            'chrome_crashpad_handler',
+            'crashpad_handler',
+            'chrome-sandbox',
+            'chrome_sandbox',
+            'chromedriver',
+            'nacl_helper',
+            'chrome-remote-desktop-host',
+            'msedgewebview2',
+            'msedgedriver',
+            'msedge_proxy',
+            'operadriver',
+            'opera_crashreporter',
+            'opera_autoupdate',
+            'crashreporter',
+            'pingsender',
+            'brave_crashpad_handler'
+        ];
+    }
+
+    /**
+     * Normalize a process name or path for matching: file name only,
+     * lower case, without '.exe'.
+     * @param {string} processName Process name or executable path
+     * @returns {string} Normalized name
+     */
+    static normalizeName(processName) {
+        const fileName = processName.split(/[\\/]/).pop();
+        return fileName.toLowerCase().replace(/\.exe$/, '').trim();
+    }
+
     /**
      * Get flattened array of all browser detection patterns.
      * @returns {Array<string>} All detection patterns
@@ -116,21 +159,29 @@ class BrowserPatterns {
     }
 
     /**
-     * Identify browser from process name.
-     * @param {string} processName Name of the process
+     * Identify browser from process name or executable path.
+     * @param {string} processName Name of the process, or its executable path
+     * @param {Array<string>} exclusions Extra process names never treated as browsers
      * @returns {string|null} Browser identifier or null if not a browser
      */
-    static getBrowserName(processName) {
+    static getBrowserName(processName, exclusions = []) {
         if (!processName) return null;
 
-        const patterns = this.getPatterns();
-        const name = processName.toLowerCase();
+        const name = this.normalizeName(processName);
+        const excluded = this.getExclusions().concat(exclusions || []).map(e => this.normalizeName(e));
+        if (excluded.includes(name)) {
+            return null;
+        }
+
+        // macOS helpers, e.g. "Google Chrome Helper (Renderer)", belong to their app
+        const appName = name.replace(/ helper( \(.+\))?$/, '');
 
+        const patterns = this.getPatterns();
         for (const [browser, browserPatterns] of Object.entries(patterns)) {
-            const match = browserPatterns.some(p =>
-                name === p.toLowerCase() ||
-                name.includes(p.toLowerCase())
-            );
+            const match = browserPatterns.some(p => {
+                const pattern = this.normalizeName(p);
+                return name === pattern || appName === pattern;
+            });
 
             if (match) {
                 return browser;
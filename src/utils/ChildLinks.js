@@ -0,0 +1,86 @@
+// Copyright [2025] [Allow2 Pty Ltd]
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict';
+
+/**
+ * Resolves which child an agent's browsing belongs to.
+ *
+ * An agent can be linked to one child (agentData.childId) and, on a shared
+ * computer, have OS logins linked to children of their own
+ * (agentData.userLinks: username -> childId). A user link wins over the
+ * agent link; users without one fall back to the agent's child.
+ */
+class ChildLinks {
+    /**
+     * Usernames are compared without a Windows domain and case-insensitively.
+     * @param {string} username OS username (e.g., 'FAMILY-PC\\Sam')
+     * @returns {string|null} Normalized username
+     */
+    static normalizeUsername(username) {
+        if (!username || typeof username !== 'string') return null;
+        return username.split('\\').pop().trim().toLowerCase() || null;
+    }
+
+    /**
+     * Child linked to a user on an agent.
+     * @param {Object} agentData Agent state
+     * @param {string} username OS username, defaults to the agent's active user
+     * @returns {string|null} Child identifier
+     */
+    static getChildId(agentData, username = agentData?.activeUser) {
+        if (!agentData) return null;
+
+        const user = this.normalizeUsername(username);
+        if (user && agentData.userLinks?.[user]) {
+            return agentData.userLinks[user];
+        }
+
+        return agentData.childId || null;
+    }
+
+    /**
+     * Whether the agent's active user has a link of their own, so actions
+     * should only touch that user's processes.
+     * @param {Object} agentData Agent state
+     * @returns {string|null} Normalized username to target, or null for all users
+     */
+    static getTargetUser(agentData) {
+        const user = this.normalizeUsername(agentData?.activeUser);
+        return user && agentData.userLinks?.[user] ? user : null;
+    }
+
+    /**
+     * Whether any child is linked to the agent or one of its users.
+     * @param {Object} agentData Agent state
+     * @returns {boolean} True if linked
+     */
+    static isLinked(agentData) {
+        if (!agentData) return false;
+        return !!agentData.childId || Object.values(agentData.userLinks || {}).some(Boolean);
+    }
+
+    /**
+     * Whether an agent is linked to a child, by agent or by any user.
+     * @param {Object} agentData Agent state
+     * @param {string} childId Child identifier
+     * @returns {boolean} True if linked to the child
+     */
+    static isLinkedTo(agentData, childId) {
+        if (!agentData || !childId) return false;
+        return agentData.childId === childId || Object.values(agentData.userLinks || {}).includes(childId);
+    }
+}
+
+export default ChildLinks;
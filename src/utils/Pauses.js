@@ -0,0 +1,82 @@
+// Copyright [2025] [Allow2 Pty Ltd]
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict';
+
+/**
+ * Monitoring pauses set by the parent.
+ *
+ * A pause is { since, until, reason } on an agent (state.agents[agentId].pause)
+ * or on a child (state.children[childId].pause, every agent the child uses).
+ * While one is in force browsing is neither charged nor enforced; the
+ * monitor keeps reporting. until is null for a pause that lasts until the
+ * parent resumes; otherwise it ends by itself.
+ */
+class Pauses {
+    /**
+     * Whether a pause is still in force.
+     * @param {Object|null} pause { since, until, reason }
+     * @param {number} now Unix timestamp (ms)
+     * @returns {boolean} True while paused
+     */
+    static isActive(pause, now = Date.now()) {
+        return !!pause && (!pause.until || pause.until > now);
+    }
+
+    /**
+     * The pause in force for an agent and the child using it, agent first.
+     * @param {Object} state Plugin state
+     * @param {string} agentId Agent identifier
+     * @param {string|null} childId Child identifier
+     * @returns {Object|null} { since, until, reason, scope: 'agent'|'child' }
+     */
+    static getPause(state, agentId, childId = null) {
+        const agentPause = state.agents?.[agentId]?.pause;
+        if (this.isActive(agentPause)) {
+            return { ...agentPause, scope: 'agent' };
+        }
+
+        const childPause = childId ? state.children?.[childId]?.pause : null;
+        if (this.isActive(childPause)) {
+            return { ...childPause, scope: 'child' };
+        }
+
+        return null;
+    }
+
+    /**
+     * Pauses whose end time has passed but are still in state.
+     * @param {Object} state Plugin state
+     * @param {number} now Unix timestamp (ms)
+     * @returns {Array<Object>} { agentId } or { childId }, with the pause
+     */
+    static getExpired(state, now = Date.now()) {
+        const expired = [];
+
+        for (const [agentId, agentData] of Object.entries(state.agents || {})) {
+            if (agentData?.pause && !this.isActive(agentData.pause, now)) {
+                expired.push({ agentId, pause: agentData.pause });
+            }
+        }
+        for (const [childId, childData] of Object.entries(state.children || {})) {
+            if (childData?.pause && !this.isActive(childData.pause, now)) {
+                expired.push({ childId, pause: childData.pause });
+            }
+        }
+
+        return expired;
+    }
+}
+
+export default Pauses;
@@ -0,0 +1,38 @@
+// Copyright [2025] [Allow2 Pty Ltd]
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict';
+
+/**
+ * When an agent that stopped reporting counts as lost.
+ *
+ * The watchdog (agent-stale), the time tracker (closing a session) and the
+ * agent's own offline enforcement all use this threshold, so they agree on
+ * when monitoring was lost. It is staleAfterMissedChecks checkIntervals,
+ * but never under a minute so a short checkInterval doesn't turn a brief
+ * hiccup into a lost agent.
+ */
+class Staleness {
+    /**
+     * @param {Object} settings Plugin settings
+     * @returns {number} Milliseconds of silence before an agent is stale
+     */
+    static getThresholdMs(settings = {}) {
+        const checkInterval = settings?.checkInterval || 10000;
+        const missedChecks = settings?.staleAfterMissedChecks || 3;
+        return Math.max(60000, checkInterval * missedChecks);
+    }
+}
+
+export default Staleness;
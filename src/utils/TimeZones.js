@@ -0,0 +1,165 @@
+// Copyright [2025] [Allow2 Pty Ltd]
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict';
+
+/**
+ * Wall-clock helpers for IANA time zones.
+ * Used to evaluate per-child day boundaries in the child's household time zone
+ * rather than the parent machine's.
+ */
+class TimeZones {
+    /**
+     * Time zone of the machine running the parent.
+     * @returns {string} IANA time zone name
+     */
+    static getLocalTimeZone() {
+        return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+    }
+
+    /**
+     * Check if a string is a time zone Intl understands.
+     * @param {string} timeZone IANA time zone name (e.g., 'Australia/Sydney')
+     * @returns {boolean} True if valid
+     */
+    static isValidTimeZone(timeZone) {
+        if (!timeZone || typeof timeZone !== 'string') return false;
+
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * First valid time zone of a list of candidates, in order of preference
+     * (e.g. the child's own, then the settings default), or the local one.
+     * @param {...string} candidates IANA time zone names, possibly empty
+     * @returns {string} IANA time zone name
+     */
+    static resolveTimeZone(...candidates) {
+        return candidates.find(timeZone => this.isValidTimeZone(timeZone)) || this.getLocalTimeZone();
+    }
+
+    /**
+     * Check if a string is a 24h "HH:MM" time of day.
+     * @param {string} time Time of day
+     * @returns {boolean} True if valid
+     */
+    static isValidTimeOfDay(time) {
+        return typeof time === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(time);
+    }
+
+    /**
+     * Parse "HH:MM" into minutes after midnight.
+     * @param {string} time Time of day
+     * @returns {number} Minutes after midnight
+     */
+    static parseTimeOfDay(time) {
+        const [hours, minutes] = time.split(':').map(part => parseInt(part, 10));
+        return (hours * 60) + minutes;
+    }
+
+    /**
+     * Wall-clock date and time of a timestamp in a time zone.
+     * @param {number} timestamp Unix timestamp (ms)
+     * @param {string} timeZone IANA time zone name
+     * @returns {Object} { year, month (1-12), day, hour, minute, second, weekday (0 = Sunday) }
+     */
+    static getWallClock(timestamp, timeZone) {
+        const formatter = new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric',
+            weekday: 'short'
+        });
+
+        const parts = {};
+        for (const part of formatter.formatToParts(new Date(timestamp))) {
+            parts[part.type] = part.value;
+        }
+
+        const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+        return {
+            year: parseInt(parts.year, 10),
+            month: parseInt(parts.month, 10),
+            day: parseInt(parts.day, 10),
+            hour: parseInt(parts.hour, 10) % 24,
+            minute: parseInt(parts.minute, 10),
+            second: parseInt(parts.second, 10),
+            weekday: weekdays.indexOf(parts.weekday)
+        };
+    }
+
+    /**
+     * Convert a wall-clock time in a time zone to a timestamp.
+     * During a DST gap the result falls just after the gap.
+     * @param {number} year Year
+     * @param {number} month Month (1-12)
+     * @param {number} day Day of month
+     * @param {number} minuteOfDay Minutes after midnight
+     * @param {string} timeZone IANA time zone name
+     * @returns {number} Unix timestamp (ms)
+     */
+    static fromWallClock(year, month, day, minuteOfDay, timeZone) {
+        const target = Date.UTC(year, month - 1, day, 0, minuteOfDay);
+
+        // Correct for the zone offset; twice to settle across a DST change
+        let timestamp = target;
+        for (let i = 0; i < 2; i++) {
+            const wall = this.getWallClock(timestamp, timeZone);
+            const wallAsUtc = Date.UTC(wall.year, wall.month - 1, wall.day, wall.hour, wall.minute, wall.second);
+            timestamp += target - wallAsUtc;
+        }
+
+        return timestamp;
+    }
+
+    /**
+     * Most recent daily boundary at or before a timestamp.
+     * @param {number} timestamp Unix timestamp (ms)
+     * @param {string} timeZone IANA time zone name
+     * @param {string} resetTime Boundary time of day, "HH:MM"
+     * @returns {number} Unix timestamp (ms) of the last boundary
+     */
+    static getLastResetTime(timestamp, timeZone, resetTime = '00:00') {
+        const resetMinute = this.parseTimeOfDay(resetTime);
+        const wall = this.getWallClock(timestamp, timeZone);
+        const boundary = this.fromWallClock(wall.year, wall.month, wall.day, resetMinute, timeZone);
+
+        if (boundary <= timestamp) {
+            return boundary;
+        }
+
+        // Not reached today yet - use yesterday's boundary
+        const yesterday = new Date(Date.UTC(wall.year, wall.month - 1, wall.day - 1));
+        return this.fromWallClock(
+            yesterday.getUTCFullYear(),
+            yesterday.getUTCMonth() + 1,
+            yesterday.getUTCDate(),
+            resetMinute,
+            timeZone
+        );
+    }
+}
+
+export default TimeZones;
@@ -0,0 +1,185 @@
+// Copyright [2025] [Allow2 Pty Ltd]
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict';
+
+import BrowserPatterns from './BrowserPatterns';
+import CategoryPatterns from '../classifiers/CategoryPatterns';
+import TimeZones from './TimeZones';
+import ChildLinks from './ChildLinks';
+
+/**
+ * Argument validation for the plugin's host-callable actions
+ * (allow2automate.api.actions in package.json).
+ * Each validator returns an error message, or null when the arguments are valid.
+ */
+class Validators {
+    /**
+     * Setting name -> check returning true when the value is acceptable.
+     * @returns {Object} Map of setting name to predicate
+     */
+    static getSettingRules() {
+        const isNumberAtLeast = min => value => typeof value === 'number' && isFinite(value) && value >= min;
+        const isBoolean = value => typeof value === 'boolean';
+
+        return {
+            checkInterval: isNumberAtLeast(1000),
+            quotaCheckInterval: isNumberAtLeast(5000),
+            killOnViolation: isBoolean,
+            warningMinutes: value => Array.isArray(value) && value.every(isNumberAtLeast(0)),
+            gracePeriod: isNumberAtLeast(0),
+            closeTimeout: isNumberAtLeast(0),
+            launchBlockInterval: isNumberAtLeast(500),
+            notifyParent: isBoolean,
+            chargeMode: value => ['once', 'per-device'].includes(value),
+            chargeForegroundOnly: isBoolean,
+            idleThreshold: isNumberAtLeast(0),
+            resetTime: value => TimeZones.isValidTimeOfDay(value),
+            timezone: value => value === null || TimeZones.isValidTimeZone(value),
+            processExclusions: value => Array.isArray(value) &&
+                value.every(name => typeof name === 'string' && name.trim().length > 0),
+            webApps: value => ['ignore', 'count', 'block'].includes(value),
+            tamperDetection: isBoolean,
+            offlineEnforcement: isBoolean,
+            timeRequests: isBoolean,
+            browserHashes: value => !!value && typeof value === 'object' && !Array.isArray(value) &&
+                Object.entries(value).every(([hash, browser]) => /^[0-9a-f]{64}$/.test(hash) && typeof browser === 'string'),
+            staleAfterMissedChecks: value => Number.isInteger(value) && value >= 1
+        };
+    }
+
+    /**
+     * Validate arguments for the configure action.
+     * @param {Object} args { settings }
+     * @returns {string|null} Error message
+     */
+    static validateConfigure(args) {
+        const settings = args?.settings;
+        if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+            return 'settings must be an object';
+        }
+
+        const rules = this.getSettingRules();
+        for (const [key, value] of Object.entries(settings)) {
+            if (!rules[key]) {
+                return `Unknown setting "${key}"`;
+            }
+            if (!rules[key](value)) {
+                return `Invalid value for setting "${key}"`;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Validate the agent/child target shared by the block actions.
+     * @param {Object} args { agentId, childId }
+     * @param {Object} state Plugin state
+     * @returns {string|null} Error message
+     */
+    static validateTarget(args, state) {
+        const { agentId, childId } = args || {};
+
+        if (!agentId && !childId) {
+            return 'agentId or childId is required';
+        }
+        if (agentId && !state.agents[agentId]) {
+            return `Unknown agent "${agentId}"`;
+        }
+        if (childId && !Object.values(state.agents).some(a => ChildLinks.isLinkedTo(a, childId))) {
+            return `No agents linked to child "${childId}"`;
+        }
+
+        return null;
+    }
+
+    /**
+     * Validate arguments for pausing monitoring on an agent or for a child.
+     * @param {Object} args { agentId, childId, minutes, reason }
+     * @param {Object} state Plugin state
+     * @returns {string|null} Error message
+     */
+    static validatePause(args, state) {
+        const targetError = this.validateTarget(args, state);
+        if (targetError) {
+            return targetError;
+        }
+
+        const { agentId, childId, minutes, reason } = args;
+        if (agentId && childId) {
+            return 'Pause either an agent or a child, not both';
+        }
+        if (minutes != null && (!Number.isInteger(minutes) || minutes < 1 || minutes > 7 * 24 * 60)) {
+            return 'minutes must be a whole number from 1 to 10080, or null until resumed';
+        }
+        if (reason != null && typeof reason !== 'string') {
+            return 'reason must be a string';
+        }
+
+        return null;
+    }
+
+    /**
+     * Validate arguments for the blockBrowsers action.
+     * @param {Object} args { agentId, childId, browsers, reason }
+     * @param {Object} state Plugin state
+     * @returns {string|null} Error message
+     */
+    static validateBlockBrowsers(args, state) {
+        const targetError = this.validateTarget(args, state);
+        if (targetError) {
+            return targetError;
+        }
+
+        const { browsers, reason } = args;
+        if (browsers != null) {
+            const supported = BrowserPatterns.getSupportedBrowsers();
+            if (!Array.isArray(browsers) || browsers.some(b => !supported.includes(b))) {
+                return `browsers must be a list of: ${supported.join(', ')}`;
+            }
+        }
+        if (reason != null && typeof reason !== 'string') {
+            return 'reason must be a string';
+        }
+
+        return null;
+    }
+
+    /**
+     * Validate arguments for the blockCategory action.
+     * @param {Object} args { category, agentId, childId, reason }
+     * @param {Object} state Plugin state
+     * @returns {string|null} Error message
+     */
+    static validateBlockCategory(args, state) {
+        const targetError = this.validateTarget(args, state);
+        if (targetError) {
+            return targetError;
+        }
+
+        const { category, reason } = args;
+        const categories = CategoryPatterns.getCategories();
+        if (!categories.includes(category)) {
+            return `category must be one of: ${categories.join(', ')}`;
+        }
+        if (reason != null && typeof reason !== 'string') {
+            return 'reason must be a string';
+        }
+
+        return null;
+    }
+}
+
+export default Validators;
@@ -0,0 +1,88 @@
+// Copyright [2025] [Allow2 Pty Ltd]
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict';
+
+/**
+ * Unit tests for AllowedHours
+ */
+
+import AllowedHours from '../src/utils/AllowedHours';
+
+// Monday 2 June 2025
+const monday = (hours, minutes = 0) => Date.UTC(2025, 5, 2, hours, minutes);
+
+// 07:00 to 21:00 every day
+const bedtime = {
+    windows: [0, 1, 2, 3, 4, 5, 6].map(day => ({ day, start: '07:00', end: '21:00' }))
+};
+
+describe('AllowedHours', () => {
+    describe('validate', () => {
+        it('should accept null and well-formed schedules', () => {
+            expect(AllowedHours.validate(null)).toBeNull();
+            expect(AllowedHours.validate(bedtime)).toBeNull();
+            expect(AllowedHours.validate({ windows: [{ day: 5, start: '18:00', end: '24:00' }] })).toBeNull();
+        });
+
+        it('should reject bad days, times and empty windows', () => {
+            expect(AllowedHours.validate({})).toMatch(/windows/);
+            expect(AllowedHours.validate({ windows: [{ day: 7, start: '07:00', end: '21:00' }] })).toMatch(/day/);
+            expect(AllowedHours.validate({ windows: [{ day: 1, start: '7am', end: '21:00' }] })).toMatch(/HH:MM/);
+            expect(AllowedHours.validate({ windows: [{ day: 1, start: '21:00', end: '07:00' }] })).toMatch(/end after/);
+        });
+    });
+
+    describe('getStatus', () => {
+        it('should allow any time without a schedule', () => {
+            expect(AllowedHours.getStatus(null, monday(3), 'UTC')).toEqual({ allowed: true, changesAt: null });
+        });
+
+        it('should report when the current window ends', () => {
+            expect(AllowedHours.getStatus(bedtime, monday(20, 45), 'UTC')).toEqual({
+                allowed: true,
+                changesAt: monday(21)
+            });
+        });
+
+        it('should report when the next window opens', () => {
+            expect(AllowedHours.getStatus(bedtime, monday(22), 'UTC')).toEqual({
+                allowed: false,
+                changesAt: Date.UTC(2025, 5, 3, 7)
+            });
+        });
+
+        it('should join windows that run on past midnight', () => {
+            const lateMonday = {
+                windows: [
+                    { day: 1, start: '18:00', end: '24:00' },
+                    { day: 2, start: '00:00', end: '01:00' }
+                ]
+            };
+
+            expect(AllowedHours.getStatus(lateMonday, monday(23), 'UTC').changesAt).toBe(Date.UTC(2025, 5, 3, 1));
+        });
+
+        it('should evaluate windows in the child\'s time zone', () => {
+            // 20:30 UTC on Monday is 06:30 Tuesday in Sydney (AEST, UTC+10)
+            const status = AllowedHours.getStatus(bedtime, monday(20, 30), 'Australia/Sydney');
+
+            expect(status).toEqual({ allowed: false, changesAt: monday(21) });
+        });
+
+        it('should never allow an empty schedule', () => {
+            expect(AllowedHours.getStatus({ windows: [] }, monday(12), 'UTC')).toEqual({ allowed: false, changesAt: null });
+        });
+    });
+});
@@ -0,0 +1,72 @@
+// Copyright [2025] [Allow2 Pty Ltd]
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict';
+
+/**
+ * Unit tests for BrowserPatterns browser identification,
+ * covering processes that used to be mistaken for browsers
+ */
+
+const BrowserPatterns = require('../src/utils/BrowserPatterns').default;
+
+describe('BrowserPatterns', () => {
+    describe('getBrowserName', () => {
+        it('should identify browser executables and paths', () => {
+            expect(BrowserPatterns.getBrowserName('chrome.exe')).toBe('chrome');
+            expect(BrowserPatterns.getBrowserName('CHROME.EXE')).toBe('chrome');
+            expect(BrowserPatterns.getBrowserName('C:\\Program Files (x86)\\Microsoft\\Edge\\Application\\msedge.exe')).toBe('edge');
+            expect(BrowserPatterns.getBrowserName('/usr/bin/firefox')).toBe('firefox');
+            expect(BrowserPatterns.getBrowserName('Brave Browser')).toBe('brave');
+        });
+
+        it('should identify macOS helper processes as their browser', () => {
+            expect(BrowserPatterns.getBrowserName('Google Chrome Helper (Renderer)')).toBe('chrome');
+            expect(BrowserPatterns.getBrowserName('Google Chrome Helper (GPU)')).toBe('chrome');
+            expect(BrowserPatterns.getBrowserName('Microsoft Edge Helper')).toBe('edge');
+        });
+
+        it('should not match crash handlers, sandboxes or drivers', () => {
+            expect(BrowserPatterns.getBrowserName('chrome_crashpad_handler')).toBeNull();
+            expect(BrowserPatterns.getBrowserName('/usr/lib/slack/chrome-sandbox')).toBeNull();
+            expect(BrowserPatterns.getBrowserName('chromedriver.exe')).toBeNull();
+            expect(BrowserPatterns.getBrowserName('msedgewebview2.exe')).toBeNull();
+            expect(BrowserPatterns.getBrowserName('opera_autoupdate.exe')).toBeNull();
+        });
+
+        it('should not match Electron apps or their helpers', () => {
+            expect(BrowserPatterns.getBrowserName('slack')).toBeNull();
+            expect(BrowserPatterns.getBrowserName('Slack Helper (Renderer)')).toBeNull();
+            expect(BrowserPatterns.getBrowserName('Code Helper (GPU)')).toBeNull();
+        });
+
+        it('should not match names that merely contain a browser name', () => {
+            expect(BrowserPatterns.getBrowserName('operator')).toBeNull();
+            expect(BrowserPatterns.getBrowserName('cooperative')).toBeNull();
+            expect(BrowserPatterns.getBrowserName('chromebook-sync')).toBeNull();
+            expect(BrowserPatterns.getBrowserName('safari-bookmarks-export')).toBeNull();
+        });
+
+        it('should honour extra exclusions', () => {
+            expect(BrowserPatterns.getBrowserName('chromium', ['chromium'])).toBeNull();
+            expect(BrowserPatterns.getBrowserName('/usr/bin/chromium', ['Chromium'])).toBeNull();
+            expect(BrowserPatterns.getBrowserName('chrome', ['chromium'])).toBe('chrome');
+        });
+
+        it('should return null for empty input', () => {
+            expect(BrowserPatterns.getBrowserName(null)).toBeNull();
+            expect(BrowserPatterns.getBrowserName('')).toBeNull();
+        });
+    });
+});
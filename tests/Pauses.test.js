@@ -0,0 +1,60 @@
+// Copyright [2025] [Allow2 Pty Ltd]
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict';
+
+/**
+ * Unit tests for Pauses
+ */
+
+import Pauses from '../src/utils/Pauses';
+
+const now = Date.UTC(2025, 5, 2, 19);
+const hour = 60 * 60 * 1000;
+
+describe('Pauses', () => {
+    const state = {
+        agents: {
+            'agent-1': { childId: 'child-1', pause: { since: now - hour, until: now + hour, reason: 'movie night' } },
+            'agent-2': { childId: 'child-1', pause: { since: now - 2 * hour, until: now - hour, reason: null } },
+            'agent-3': { childId: 'child-2' }
+        },
+        children: {
+            'child-1': { pause: { since: now - hour, until: null, reason: 'homework' } },
+            'child-2': {}
+        }
+    };
+
+    it('should treat a pause without an end time as lasting until resumed', () => {
+        expect(Pauses.isActive({ since: now, until: null }, now + 1000 * hour)).toBe(true);
+        expect(Pauses.isActive({ since: now, until: now + hour }, now + hour)).toBe(false);
+        expect(Pauses.isActive(null, now)).toBe(false);
+    });
+
+    it('should prefer the agent pause over the child pause', () => {
+        jest.spyOn(Date, 'now').mockReturnValue(now);
+
+        expect(Pauses.getPause(state, 'agent-1', 'child-1')).toMatchObject({ scope: 'agent', reason: 'movie night' });
+        expect(Pauses.getPause(state, 'agent-2', 'child-1')).toMatchObject({ scope: 'child', reason: 'homework' });
+        expect(Pauses.getPause(state, 'agent-3', 'child-2')).toBeNull();
+
+        Date.now.mockRestore();
+    });
+
+    it('should list pauses that have run out', () => {
+        expect(Pauses.getExpired(state, now)).toEqual([
+            { agentId: 'agent-2', pause: state.agents['agent-2'].pause }
+        ]);
+    });
+});
@@ -270,6 +270,49 @@ describe('ProcessLevelDetector', () => {
         });
     });
 
+    describe('process tree', () => {
+        it('should track only the main process of a browser', async () => {
+            const startedHandler = jest.fn();
+            detector.on('browser-started', startedHandler);
+
+            mockProcessMonitor.getProcessList.mockResolvedValue([
+                { pid: 1234, ppid: 1, name: 'chrome', cmdline: ['/opt/google/chrome/chrome'] },
+                { pid: 1240, ppid: 1234, name: 'chrome', cmdline: ['/opt/google/chrome/chrome', '--type=renderer'] },
+                { pid: 1250, ppid: 1240, name: 'chrome', cmdline: '/opt/google/chrome/chrome --type=gpu-process' }
+            ]);
+            mockBrowserPatterns.getBrowserName.mockReturnValue('chrome');
+
+            await detector.scanBrowsers();
+
+            expect(startedHandler).toHaveBeenCalledTimes(1);
+            expect(startedHandler).toHaveBeenCalledWith(expect.objectContaining({ pid: 1234 }));
+        });
+
+        it('should ignore Chromium child processes without a browser parent', async () => {
+            const startedHandler = jest.fn();
+            detector.on('browser-started', startedHandler);
+
+            // An Electron app's renderer whose parent is not a browser
+            mockProcessMonitor.getProcessList.mockResolvedValue([
+                { pid: 2000, ppid: 1, name: 'slack' },
+                { pid: 2010, ppid: 2000, name: 'chrome', cmdline: ['chrome', '--type=renderer'] }
+            ]);
+            mockBrowserPatterns.getBrowserName.mockImplementation(name => (name === 'chrome' ? 'chrome' : null));
+
+            await detector.scanBrowsers();
+
+            expect(startedHandler).not.toHaveBeenCalled();
+        });
+
+        it('should pass configured exclusions to BrowserPatterns', () => {
+            detector = new ProcessLevelDetector(mockContext, { exclusions: ['chromium'] });
+
+            detector.identifyBrowser({ pid: 1234, name: 'chromium' });
+
+            expect(mockBrowserPatterns.getBrowserName).toHaveBeenCalledWith('chromium', ['chromium']);
+        });
+    });
+
     describe('isBrowserActive', () => {
         it('should return false when no browsers running', () => {
             expect(detector.isBrowserActive()).toBe(false);
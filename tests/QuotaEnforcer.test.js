@@ -0,0 +1,93 @@
+// Copyright [2025] [Allow2 Pty Ltd]
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict';
+
+/**
+ * Unit tests for QuotaEnforcer
+ */
+
+import QuotaEnforcer from '../src/parent/QuotaEnforcer';
+
+// Monday 2 June 2025, 12:00 UTC
+const now = Date.UTC(2025, 5, 2, 12);
+
+function createEnforcer(allowance, childData = {}) {
+    const state = {
+        settings: { timezone: 'UTC' },
+        agents: { 'agent-1': { childId: 'child-1', browsers: [{ browser: 'chrome' }] } },
+        children: { 'child-1': childData }
+    };
+    const enforcer = new QuotaEnforcer(state, { checkActivity: async () => allowance }, {});
+    const events = [];
+
+    for (const name of ['block-browsers', 'quota-available', 'allowance-updated', 'show-warning', 'dry-run']) {
+        enforcer.on(name, data => events.push([name, data]));
+    }
+
+    return { enforcer, events };
+}
+
+describe('QuotaEnforcer', () => {
+    let enforcer;
+
+    beforeEach(() => {
+        jest.spyOn(Date, 'now').mockReturnValue(now);
+    });
+
+    afterEach(() => {
+        enforcer.cleanup();
+        jest.restoreAllMocks();
+    });
+
+    describe('checkQuota', () => {
+        it('should never block a child with unlimited time', async () => {
+            let events;
+            ({ enforcer, events } = createEnforcer({ allowed: true, remaining_seconds: -1 }));
+
+            await enforcer.checkQuota('agent-1', 'child-1');
+
+            expect(events).toEqual([
+                ['quota-available', { agentId: 'agent-1', childId: 'child-1', remainingSeconds: -1 }]
+            ]);
+        });
+
+        it('should count down to the end of the allowed hours for a child with unlimited time', async () => {
+            let events;
+            ({ enforcer, events } = createEnforcer({ allowed: true, remaining_seconds: -1 }, {
+                allowedHours: { windows: [{ day: 1, start: '07:00', end: '12:10' }] }
+            }));
+
+            await enforcer.checkQuota('agent-1', 'child-1');
+
+            const names = events.map(([name]) => name);
+            expect(names).not.toContain('block-browsers');
+            expect(events.find(([name]) => name === 'allowance-updated')[1])
+                .toMatchObject({ remainingSeconds: 600, limit: 'schedule' });
+            expect(events.find(([name]) => name === 'show-warning')[1])
+                .toMatchObject({ remaining: 10, limit: 'schedule' });
+        });
+
+        it('should block when the allowance is used up', async () => {
+            let events;
+            ({ enforcer, events } = createEnforcer({ allowed: true, remaining_seconds: 0 }));
+
+            await enforcer.checkQuota('agent-1', 'child-1');
+
+            expect(events).toEqual([
+                ['block-browsers', { agentId: 'agent-1', childId: 'child-1', reason: 'Daily internet time exhausted' }]
+            ]);
+        });
+    });
+});
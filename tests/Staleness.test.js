@@ -0,0 +1,49 @@
+// Copyright [2025] [Allow2 Pty Ltd]
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+
+'use strict';
+
+/**
+ * Unit tests for Staleness
+ */
+
+import Staleness from '../src/utils/Staleness';
+import AgentWatchdog from '../src/parent/AgentWatchdog';
+import BrowserTimeTracker from '../src/parent/BrowserTimeTracker';
+
+describe('Staleness', () => {
+    it('should allow staleAfterMissedChecks checkIntervals of silence', () => {
+        expect(Staleness.getThresholdMs({ checkInterval: 30000, staleAfterMissedChecks: 4 })).toBe(120000);
+    });
+
+    it('should never call an agent stale within a minute', () => {
+        expect(Staleness.getThresholdMs({})).toBe(60000);
+        expect(Staleness.getThresholdMs({ checkInterval: 1000, staleAfterMissedChecks: 2 })).toBe(60000);
+    });
+
+    it('should be the threshold of both the watchdog and the time tracker', () => {
+        const state = { settings: { checkInterval: 5000, staleAfterMissedChecks: 3 }, agents: {}, children: {}, browserSessions: {} };
+        const watchdog = new AgentWatchdog(state);
+        const tracker = new BrowserTimeTracker(state, null);
+
+        try {
+            expect(watchdog.getStaleThresholdMs()).toBe(60000);
+            expect(tracker.getStaleThresholdMs()).toBe(60000);
+        } finally {
+            watchdog.cleanup();
+            tracker.cleanup();
+        }
+    });
+});
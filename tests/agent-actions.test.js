@@ -0,0 +1,420 @@
+// Copyright [2025] [Allow2 Pty Ltd]
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict';
+
+/**
+ * Agent actions must never hand parent-supplied text to a shell. Each action
+ * runs here on every platform against hostile reasons, with child_process
+ * stubbed so nothing is actually run.
+ */
+
+jest.mock('child_process', () => ({
+    exec: jest.fn(),
+    execSync: jest.fn(),
+    spawn: jest.fn(),
+    execFile: jest.fn(),
+    execFileSync: jest.fn()
+}));
+
+const childProcess = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const showWarning = require('../src/actions/show-warning').default;
+const killBrowsers = require('../src/actions/kill-browsers').default;
+const scheduleShutdown = require('../src/actions/schedule-shutdown').default;
+const updateShutdown = require('../src/actions/update-shutdown').default;
+const cancelShutdown = require('../src/actions/cancel-shutdown').default;
+const blockLaunch = require('../src/actions/block-launch').default;
+const allowLaunch = require('../src/actions/allow-launch').default;
+const syncAllowance = require('../src/actions/sync-allowance').default;
+const requestTime = require('../src/actions/request-time').default;
+
+const hostileReasons = [
+    'Time\'s up"; rm -rf ~; echo "',
+    '$(touch /tmp/allow2-pwned)',
+    '`id` and ${HOME}',
+    '\' & calc.exe & \'',
+    '" with title "x" & do shell script "id" & "',
+    '-u critical --help',
+    '</text><text>injected</text>',
+    'line one\nline two\r\n%PATH% ^& del *'
+];
+
+const platforms = ['win32', 'darwin', 'linux'];
+const originalPlatform = process.platform;
+
+function setPlatform(platform) {
+    Object.defineProperty(process, 'platform', { value: platform });
+}
+
+/**
+ * Process listing with one of the child's Chrome processes in it
+ */
+function listChrome(file) {
+    if (file === 'tasklist') {
+        return '"chrome.exe","4242","Console","1","1,000 K","Running","PC\\kid"\n';
+    }
+    return process.platform === 'darwin' ? '4242 kid Google Chrome\n' : '4242 kid chrome\n';
+}
+
+function decodePowerShell(fileArgs) {
+    const encoded = fileArgs[fileArgs.indexOf('-EncodedCommand') + 1];
+    return Buffer.from(encoded, 'base64').toString('utf16le');
+}
+
+/**
+ * Every notification goes through execFile, with the text as a whole
+ * argument or environment variable and never inside a script
+ */
+function expectPassedSafely(text) {
+    expect(childProcess.exec).not.toHaveBeenCalled();
+    expect(childProcess.execSync).not.toHaveBeenCalled();
+    expect(childProcess.spawn).not.toHaveBeenCalled();
+
+    const calls = childProcess.execFile.mock.calls;
+    const notifications = calls.filter(([file, fileArgs, options]) =>
+        fileArgs.includes(text) || options?.env?.ALLOW2_MESSAGE === text);
+    expect(notifications.length).toBeGreaterThan(0);
+
+    for (const [file, fileArgs] of calls) {
+        expect(file).toMatch(/^(powershell|osascript|notify-send|afplay|paplay|tasklist)$/);
+        if (file === 'powershell') {
+            expect(decodePowerShell(fileArgs)).not.toContain(text);
+        }
+        if (file === 'osascript') {
+            // Scripts are fixed; the text only appears as a run argument
+            const scripts = fileArgs.filter((arg, i) => fileArgs[i - 1] === '-e');
+            expect(scripts.join('\n')).not.toContain(text);
+        }
+        if (file === 'notify-send') {
+            expect(fileArgs.indexOf('--')).toBeLessThan(fileArgs.indexOf(text));
+        }
+    }
+}
+
+/**
+ * The next dialog closes with this output, or this error
+ */
+function answerDialog(stdout, error = null) {
+    childProcess.execFile.mockImplementationOnce((file, fileArgs, options, callback) => callback(error, stdout, ''));
+}
+
+// Stands in for the agent's home, where it keeps its private state directory
+const agentHome = fs.mkdtempSync(path.join(os.tmpdir(), 'allow2-agent-home-'));
+const stateFile = name => path.join(agentHome, '.allow2-web-browsers', name);
+
+beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(os, 'homedir').mockReturnValue(agentHome);
+    // Tickers log each deadline they enforce
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    // Tickers throttle their notifications across runs
+    delete global.__allow2WebBrowsersLaunchBlock;
+    delete global.__allow2WebBrowsersAllowance;
+    childProcess.execFileSync.mockImplementation(() => '');
+    childProcess.execFile.mockImplementation(() => {});
+});
+
+afterEach(() => {
+    setPlatform(originalPlatform);
+    jest.useRealTimers();
+    console.log.mockRestore();
+});
+
+afterAll(() => fs.rmSync(agentHome, { recursive: true, force: true }));
+
+describe.each(platforms)('agent actions on %s', (platform) => {
+    beforeEach(() => setPlatform(platform));
+
+    it.each(hostileReasons)('show-warning passes %j as data', (reason) => {
+        const result = showWarning.script({ message: reason, remaining: 1, type: 'internet', urgency: 'high' });
+
+        expect(result.success).toBe(true);
+        expectPassedSafely(result.message);
+    });
+
+    it.each(hostileReasons)('kill-browsers passes %j as data', (reason) => {
+        // Everything reports as running, so close and kill commands are all issued
+        childProcess.execFileSync.mockImplementation((file, fileArgs) =>
+            (file === 'tasklist' ? fileArgs[1].replace('IMAGENAME eq ', '') : ''));
+
+        const result = killBrowsers.script({ browsers: ['chrome'], reason, closeTimeout: 0, username: 'kid' });
+
+        expect(result.success).toBe(true);
+        expectPassedSafely(reason);
+
+        for (const [file, fileArgs] of childProcess.execFileSync.mock.calls) {
+            expect(file).toMatch(/^(tasklist|taskkill|pgrep|pkill|killall|osascript)$/);
+            expect(fileArgs.join(' ')).not.toContain(reason);
+        }
+    });
+
+    it('kill-browsers force kills after closeTimeout without blocking', async () => {
+        jest.useFakeTimers();
+        childProcess.execFileSync.mockImplementation(listChrome);
+
+        const pending = killBrowsers.script({ browsers: ['chrome'], closeTimeout: 5 });
+        const forced = () => childProcess.execFileSync.mock.calls
+            .filter(([file, fileArgs]) => fileArgs.includes('-9') || fileArgs.includes('/F'));
+
+        expect(pending).toBeInstanceOf(Promise);
+        expect(forced()).toHaveLength(0);
+
+        jest.advanceTimersByTime(5000);
+        const result = await pending;
+
+        expect(forced().length).toBeGreaterThan(0);
+        expect(result.killed[0].browser).toBe('chrome');
+        expect(result.killed[0].forceKilled.length).toBeGreaterThan(0);
+    });
+
+    it.each(hostileReasons)('schedule-shutdown passes %j as data', (reason) => {
+        jest.useFakeTimers();
+
+        const result = scheduleShutdown.script({ shutdownTime: Date.now() - 1000, reason, username: 'kid' });
+        jest.advanceTimersByTime(10000);
+
+        expect(result.success).toBe(true);
+        expectPassedSafely(reason);
+        expect(childProcess.execFileSync).toHaveBeenCalled();
+    });
+
+    it.each(hostileReasons)('block-launch passes %j as data', (reason) => {
+        jest.useFakeTimers();
+        const kill = jest.spyOn(process, 'kill').mockImplementation(() => true);
+        childProcess.execFileSync.mockImplementation(listChrome);
+        // Windows lists owners in the background
+        childProcess.execFile.mockImplementation((file, fileArgs, options, callback) => {
+            if (file === 'tasklist') {
+                callback(null, listChrome(file), '');
+            }
+        });
+
+        try {
+            const result = blockLaunch.script({ browsers: ['chrome'], reason, username: 'kid' });
+
+            expect(result.success).toBe(true);
+            expectPassedSafely(reason);
+            expect(childProcess.execFileSync).not.toHaveBeenCalledWith('tasklist', expect.arrayContaining(['/V']), expect.anything());
+        } finally {
+            allowLaunch.script({ username: 'kid' });
+            kill.mockRestore();
+            fs.rmSync(stateFile('launch-attempts@kid.json'), { force: true });
+        }
+    });
+
+    it.each(hostileReasons)('sync-allowance passes %j as data', (reason) => {
+        jest.useFakeTimers();
+        const kill = jest.spyOn(process, 'kill').mockImplementation(() => true);
+        childProcess.execFileSync.mockImplementation(listChrome);
+
+        try {
+            syncAllowance.script({ childId: 'child-1', remainingSeconds: 0, reason, offlineAfter: 0 });
+            jest.advanceTimersByTime(5000);
+
+            expectPassedSafely(reason);
+        } finally {
+            syncAllowance.script({ clear: true });
+            kill.mockRestore();
+            fs.rmSync(stateFile('launch-attempts.json'), { force: true });
+        }
+    });
+
+    it.each(hostileReasons)('request-time passes %j as data', async (reason) => {
+        answerDialog('0\n');
+        const result = await requestTime.script({ childId: 'child-1', message: reason });
+
+        expect(result.success).toBe(true);
+        expect(childProcess.exec).not.toHaveBeenCalled();
+        expect(childProcess.execSync).not.toHaveBeenCalled();
+        expect(childProcess.execFileSync).not.toHaveBeenCalled();
+
+        const [[file, fileArgs, options]] = childProcess.execFile.mock.calls;
+        expect(file).toMatch(/^(powershell|osascript|zenity)$/);
+        if (file === 'powershell') {
+            expect(decodePowerShell(fileArgs)).not.toContain(reason);
+            expect(options.env.ALLOW2_MESSAGE).toBe(reason);
+        }
+        if (file === 'osascript') {
+            const scripts = fileArgs.filter((arg, i) => fileArgs[i - 1] === '-e');
+            expect(scripts.join('\n')).not.toContain(reason);
+        }
+        if (file === 'zenity') {
+            // Pango markup
+            const text = fileArgs.find(arg => arg.startsWith('--text=')).slice('--text='.length);
+            expect(text).not.toMatch(/[<>]|&(?!amp;|lt;|gt;)/);
+            expect(text.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&')).toBe(reason);
+        }
+    });
+});
+
+describe('request-time answers', () => {
+    it('should read the minutes and reason the child chose', async () => {
+        setPlatform('darwin');
+        answerDialog('Ask for 30 minutes\nfinishing my homework\n');
+
+        const result = await requestTime.script({ childId: 'child-1', message: '5 minutes left' });
+
+        expect(result).toMatchObject({ success: true, childId: 'child-1', requested: true, minutes: 30, reason: 'finishing my homework' });
+    });
+
+    it('should not count a dismissed or timed out dialog as a request', async () => {
+        setPlatform('linux');
+        answerDialog('', Object.assign(new Error('exit 5'), { code: 5 }));
+
+        expect(await requestTime.script({ message: '5 minutes left' })).toMatchObject({ requested: false, timedOut: true });
+
+        setPlatform('win32');
+        answerDialog('0\r\n\r\n');
+
+        expect(await requestTime.script({ message: '5 minutes left' })).toMatchObject({ requested: false, timedOut: false });
+    });
+
+    it('should fail when there is no dialog program', async () => {
+        setPlatform('linux');
+        answerDialog('', Object.assign(new Error('spawn zenity ENOENT'), { code: 'ENOENT' }));
+
+        expect(await requestTime.script({ message: '5 minutes left' }))
+            .toMatchObject({ success: false, error: 'Unable to show the request dialog: zenity is not available' });
+    });
+});
+
+describe('agent actions for two users on one agent', () => {
+    beforeEach(() => setPlatform('linux'));
+
+    afterEach(() => {
+        for (const username of ['amy', 'ben']) {
+            cancelShutdown.script({ username });
+            allowLaunch.script({ username });
+        }
+    });
+
+    it('should keep a shutdown deadline per user', () => {
+        jest.useFakeTimers();
+        const now = Date.now();
+
+        scheduleShutdown.script({ shutdownTime: now + 60000, reason: 'Amy is out of time', username: 'amy' });
+        scheduleShutdown.script({ shutdownTime: now + 120000, reason: 'Ben is out of time', username: 'Ben' });
+
+        expect(fs.existsSync(stateFile('shutdown@amy.json'))).toBe(true);
+        expect(fs.existsSync(stateFile('shutdown@ben.json'))).toBe(true);
+
+        // Moving Ben's deadline and cancelling Amy's leave the other one alone
+        expect(updateShutdown.script({ shutdownTime: now + 30000, username: 'ben' }))
+            .toMatchObject({ success: true, previousShutdownTime: now + 120000, enforcedLocally: true });
+        expect(cancelShutdown.script({ username: 'amy' })).toMatchObject({ cancelled: true });
+        expect(fs.existsSync(stateFile('shutdown@ben.json'))).toBe(true);
+
+        jest.advanceTimersByTime(40000);
+
+        const stopped = childProcess.execFileSync.mock.calls.filter(([file]) => file === 'pkill');
+        expect(stopped.length).toBeGreaterThan(0);
+        for (const [, fileArgs] of stopped) {
+            expect(fileArgs.slice(1, 3)).toEqual(['-u', 'Ben']);
+        }
+        expect(fs.existsSync(stateFile('shutdown@ben.json'))).toBe(false);
+    });
+
+    it('should keep a launch block per user', () => {
+        jest.useFakeTimers();
+
+        blockLaunch.script({ reason: 'Amy is blocked', username: 'amy' });
+        blockLaunch.script({ reason: 'Ben is blocked', username: 'ben' });
+
+        expect(allowLaunch.script({ username: 'amy' })).toMatchObject({ lifted: true });
+        expect(fs.existsSync(stateFile('launch-block@amy.json'))).toBe(false);
+        expect(fs.existsSync(stateFile('launch-block@ben.json'))).toBe(true);
+        expect(global.__allow2WebBrowsersLaunchBlock['@ben'].timer).toBeTruthy();
+    });
+
+    it('should keep blocking when the block file is deleted', () => {
+        jest.useFakeTimers();
+        const kill = jest.spyOn(process, 'kill').mockImplementation(() => true);
+        childProcess.execFileSync.mockImplementation(listChrome);
+
+        try {
+            blockLaunch.script({ reason: 'Blocked', username: 'kid' });
+            fs.rmSync(stateFile('launch-block@kid.json'));
+            kill.mockClear();
+
+            jest.advanceTimersByTime(2000);
+            expect(kill).toHaveBeenCalledWith(4242, 'SIGKILL');
+
+            expect(allowLaunch.script({ username: 'kid' })).toMatchObject({ lifted: true });
+            kill.mockClear();
+            jest.advanceTimersByTime(2000);
+            expect(kill).not.toHaveBeenCalled();
+        } finally {
+            allowLaunch.script({ username: 'kid' });
+            kill.mockRestore();
+            fs.rmSync(stateFile('launch-attempts@kid.json'), { force: true });
+        }
+    });
+});
+
+describe('agent action arguments', () => {
+    it('should refuse usernames that are not plain account names', () => {
+        for (const username of ['kid"; id; "', '$(id)', 'kid & calc']) {
+            expect(killBrowsers.script({ username }).success).toBe(false);
+            expect(scheduleShutdown.script({ shutdownTime: Date.now() + 60000, username }).success).toBe(false);
+        }
+        expect(childProcess.execFileSync).not.toHaveBeenCalled();
+    });
+
+    it('should block Linux browsers whose process name the kernel truncated', () => {
+        setPlatform('linux');
+        jest.useFakeTimers();
+        const kill = jest.spyOn(process, 'kill').mockImplementation(() => true);
+        const readlink = jest.spyOn(fs, 'readlinkSync').mockReturnValue('/usr/lib/chromium-browser/chromium-browser');
+        childProcess.execFileSync.mockImplementation(() => '4343 kid chromium-browse\n');
+
+        try {
+            blockLaunch.script({ browsers: ['chrome'], reason: 'Blocked', username: 'kid' });
+
+            expect(readlink).toHaveBeenCalledWith('/proc/4343/exe');
+            expect(kill).toHaveBeenCalledWith(4343, 'SIGKILL');
+        } finally {
+            allowLaunch.script({ username: 'kid' });
+            kill.mockRestore();
+            readlink.mockRestore();
+            fs.rmSync(stateFile('launch-attempts@kid.json'), { force: true });
+        }
+    });
+
+    it('should skip app names that could be read as options', () => {
+        setPlatform('linux');
+
+        killBrowsers.script({ browsers: [], apps: ['--signal=9', '-x', 'slack'], closeTimeout: 0 });
+
+        const names = childProcess.execFileSync.mock.calls.map(([, fileArgs]) => fileArgs[fileArgs.length - 1]);
+        expect(names).toContain('slack');
+        expect(names).not.toContain('--signal=9');
+        expect(names).not.toContain('-x');
+    });
+
+    it('should match app names literally when killing by pattern', () => {
+        setPlatform('linux');
+
+        killBrowsers.script({ browsers: [], apps: ['Teams (work).bin'], closeTimeout: 0 });
+
+        const patterns = childProcess.execFileSync.mock.calls
+            .filter(([file]) => file === 'pgrep' || file === 'pkill')
+            .map(([, fileArgs]) => fileArgs[fileArgs.length - 1]);
+        expect(patterns.length).toBeGreaterThan(0);
+        expect(new Set(patterns)).toEqual(new Set(['Teams \\(work\\)\\.bin']));
+    });
+});
@@ -0,0 +1,269 @@
+// Copyright [2025] [Allow2 Pty Ltd]
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict';
+
+/**
+ * Unit tests for the browser-detector monitor's Linux /proc scan,
+ * run against the fixture tree in tests/fixtures/proc
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// No helper tools on the test machine: ps, loginctl, xprop etc. all fail
+jest.mock('child_process', () => {
+    const notFound = () => {
+        const error = new Error('spawn ENOENT');
+        error.code = 'ENOENT';
+        throw error;
+    };
+    return {
+        execSync: jest.fn(notFound),
+        execFileSync: jest.fn(notFound),
+        execFile: jest.fn(),
+        exec: jest.fn()
+    };
+});
+
+const browserDetector = require('../src/monitors/browser-detector').default;
+
+const procRoot = path.join(__dirname, 'fixtures', 'proc');
+
+// btime 1700000000 plus start ticks at 100 per second
+const bootTime = 1700000000 * 1000;
+
+const describeLinux = process.platform === 'linux' ? describe : describe.skip;
+
+// Stands in for the agent's home, where it keeps its private state directory
+const agentHome = fs.mkdtempSync(path.join(os.tmpdir(), 'allow2-agent-home-'));
+
+describeLinux('browser-detector /proc scan', () => {
+    let result;
+
+    beforeEach(() => {
+        jest.spyOn(os, 'homedir').mockReturnValue(agentHome);
+        result = browserDetector.script({ procRoot });
+    });
+
+    afterAll(() => fs.rmSync(agentHome, { recursive: true, force: true }));
+
+    const findBrowser = browser => result.browsers.find(b => b.browser === browser);
+
+    it('should detect browsers without running ps', () => {
+        const childProcess = require('child_process');
+
+        expect(result.browserCount).toBe(3);
+        expect(result.detectedBrowserNames.sort()).toEqual(['chrome', 'firefox', 'opera']);
+        expect(childProcess.execSync).not.toHaveBeenCalled();
+    });
+
+    it('should report full path, parent pid and start time', () => {
+        const chrome = findBrowser('chrome');
+
+        expect(chrome.pid).toBe(2000);
+        expect(chrome.ppid).toBe(1800);
+        expect(chrome.path).toBe('/opt/google/chrome/google-chrome-stable');
+        expect(chrome.processName).toBe('google-chrome-s');
+        expect(chrome.startTime).toBe(bootTime + 123450);
+    });
+
+    it('should identify a browser by executable when comm is renamed', () => {
+        const firefox = findBrowser('firefox');
+
+        expect(firefox.pid).toBe(2100);
+        expect(firefox.processName).toBe('GeckoMain');
+        expect(firefox.path).toBe('/usr/lib/firefox/firefox');
+    });
+
+    it('should report the owning user', () => {
+        expect(findBrowser('firefox').username).toBe('root');
+        expect(findBrowser('chrome').username).toBe('424242');
+    });
+
+    it('should parse stat fields after a comm containing parentheses', () => {
+        const opera = findBrowser('opera');
+
+        expect(opera.ppid).toBe(1800);
+        expect(opera.startTime).toBe(bootTime + 345670);
+    });
+
+    it('should not match kernel threads or shells', () => {
+        const pids = result.browsers.map(b => b.pid);
+
+        expect(pids).not.toContain(1);
+        expect(pids).not.toContain(15);
+        expect(pids).not.toContain(1800);
+    });
+
+    it('should fold renderer and helper processes into the main browser process', () => {
+        const chrome = findBrowser('chrome');
+        const pids = result.browsers.map(b => b.pid);
+
+        expect(chrome.pid).toBe(2000);
+        expect(chrome.processCount).toBe(2);
+        expect(pids).not.toContain(2010);
+        expect(pids).not.toContain(2020);
+    });
+
+    it('should not match Electron apps or names containing a browser name', () => {
+        const pids = result.browsers.map(b => b.pid);
+
+        // slack, its chrome_crashpad_handler and chrome-sandbox, and "operator"
+        for (const pid of [3000, 3010, 3020, 3030, 3100]) {
+            expect(pids).not.toContain(pid);
+        }
+    });
+
+    it('should honour configured exclusions', () => {
+        const excluded = browserDetector.script({ procRoot, exclusions: ['opera'] });
+
+        expect(excluded.detectedBrowserNames.sort()).toEqual(['chrome', 'firefox']);
+    });
+
+    it('should report Electron apps separately when asked to', () => {
+        expect(result.webAppCount).toBe(0);
+
+        const withApps = browserDetector.script({ procRoot, detectWebApps: true });
+        const slack = withApps.browsers.find(b => b.browser === 'slack');
+
+        expect(withApps.browserCount).toBe(3);
+        expect(withApps.webAppCount).toBe(1);
+        expect(slack).toEqual(expect.objectContaining({
+            category: 'web-app',
+            runtime: 'electron',
+            pid: 3000,
+            path: '/usr/lib/slack/slack'
+        }));
+        expect(findBrowser('chrome').category).toBe('browser');
+    });
+
+    it('should not report excluded web-capable apps', () => {
+        const withApps = browserDetector.script({ procRoot, detectWebApps: true, exclusions: ['slack'] });
+
+        expect(withApps.webAppCount).toBe(0);
+    });
+
+    it('should flag a renamed Chromium binary from its layout and ELF strings', () => {
+        const renamed = result.tamperSuspected.find(t => t.pid === 4000);
+
+        expect(renamed).toEqual(expect.objectContaining({
+            browser: 'chrome',
+            processName: 'homework',
+            path: '/home/kid/Downloads/chrome-linux/homework',
+            evidence: ['layout', 'elf-strings', 'portable-path']
+        }));
+        expect(result.tamperSuspected.map(t => t.pid)).not.toContain(4010);
+    });
+
+    it('should flag a renamed portable Firefox from its application.ini', () => {
+        const portable = result.tamperSuspected.find(t => t.pid === 4100);
+
+        expect(portable.browser).toBe('firefox');
+        expect(portable.evidence).toEqual(['layout', 'application-ini', 'portable-path']);
+    });
+
+    it('should only flag an unbranded build when its hash is listed', () => {
+        expect(result.tamperSuspected.map(t => t.pid)).not.toContain(4200);
+
+        const hashed = browserDetector.script({
+            procRoot,
+            knownHashes: { '89df4feca2d901e4ba3e1171703f54759696737be438aa100fbaebe579afc788': 'chrome' }
+        });
+        const unbranded = hashed.tamperSuspected.find(t => t.pid === 4200);
+
+        expect(unbranded.browser).toBe('chrome');
+        expect(unbranded.evidence).toEqual(['layout', 'hash']);
+    });
+
+    it('should not flag browsers, helpers or web-capable apps as tampering', () => {
+        const pids = result.tamperSuspected.map(t => t.pid);
+
+        expect(pids.sort()).toEqual([4000, 4100]);
+        expect(browserDetector.script({ procRoot, detectTamper: false }).tamperSuspected).toEqual([]);
+    });
+
+    it('should charge browsing to the offline ledger while an allowance is cached', () => {
+        const allowanceFile = path.join(agentHome, '.allow2-web-browsers', 'allowance.json');
+        const ledgerFile = path.join(agentHome, '.allow2-web-browsers', 'allowance-ledger.json');
+
+        expect(result.offlineUsage).toBeNull();
+
+        try {
+            fs.writeFileSync(allowanceFile, JSON.stringify({ childId: 'child-1', ackedThrough: 1000, checkInterval: 10000 }));
+            fs.writeFileSync(ledgerFile, JSON.stringify({
+                lastRunAt: Date.now() - 60000,
+                entries: [{ at: 500, seconds: 10 }, { at: 1500, seconds: 10 }]
+            }));
+
+            const charged = browserDetector.script({ procRoot });
+
+            // Acknowledged entries dropped, and no more than two intervals charged per run
+            expect(charged.offlineUsage.childId).toBe('child-1');
+            expect(charged.offlineUsage.ledger.map(entry => entry.seconds)).toEqual([10, 20]);
+        } finally {
+            fs.rmSync(allowanceFile, { force: true });
+            fs.rmSync(ledgerFile, { force: true });
+        }
+    });
+
+    it('should enforce a shutdown deadline left behind by an agent restart', () => {
+        const scheduleFile = path.join(agentHome, '.allow2-web-browsers', 'shutdown@424242.json');
+        const kill = jest.spyOn(process, 'kill').mockImplementation(() => true);
+        const now = Date.now();
+
+        try {
+            // Written by schedule-shutdown before the restart; its ticker is gone
+            delete global.__allow2WebBrowsersShutdown;
+            fs.writeFileSync(scheduleFile, JSON.stringify({
+                shutdownTime: now - 1000,
+                reason: 'Time is up',
+                warningIntervals: [5, 1],
+                username: '424242',
+                warned: [5, 1]
+            }));
+
+            // Asked to close first: only that user's browsers (chrome and opera, not root's firefox)
+            expect(browserDetector.script({ procRoot }).shutdownsResumed)
+                .toEqual([{ username: '424242', shutdownTime: now - 1000, closed: 3, forced: false }]);
+            expect(kill.mock.calls.map(([pid, signal]) => [pid, signal]).sort())
+                .toEqual([[2000, 'SIGTERM'], [2010, 'SIGTERM'], [2200, 'SIGTERM']]);
+            expect(fs.existsSync(scheduleFile)).toBe(true);
+
+            // Killed once the close timeout has passed, and the deadline is done
+            kill.mockClear();
+            jest.spyOn(Date, 'now').mockReturnValue(now + 10000);
+            expect(browserDetector.script({ procRoot }).shutdownsResumed[0].forced).toBe(true);
+            expect(kill.mock.calls.every(([, signal]) => signal === 'SIGKILL')).toBe(true);
+            expect(fs.existsSync(scheduleFile)).toBe(false);
+        } finally {
+            jest.restoreAllMocks();
+            fs.rmSync(scheduleFile, { force: true });
+        }
+    });
+
+    it('should fall back to ps when the proc root is unreadable', () => {
+        const childProcess = require('child_process');
+        childProcess.execSync.mockClear();
+
+        const missing = browserDetector.script({ procRoot: path.join(procRoot, 'missing') });
+
+        expect(missing.browserCount).toBe(0);
+        expect(childProcess.execSync).toHaveBeenCalledWith(
+            expect.stringContaining('ps -eo'),
+            expect.any(Object)
+        );
+    });
+});
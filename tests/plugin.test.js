@@ -0,0 +1,139 @@
+// Copyright [2025] [Allow2 Pty Ltd]
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict';
+
+/**
+ * End-to-end tests for the plugin, from agent reports to agent actions
+ */
+
+import { EventEmitter } from 'events';
+
+jest.mock('../src/components/TabContent', () => () => null);
+
+const { plugin } = require('../src/index');
+
+// Monday 2 June 2025, 12:00 UTC
+const start = Date.UTC(2025, 5, 2, 12);
+
+function createPlugin(allowance) {
+    const agentService = new EventEmitter();
+    agentService.listAgents = async () => [];
+    agentService.triggerAction = jest.fn(async () => ({}));
+
+    const context = {
+        ipcMain: { handle: () => {} },
+        configurationUpdate: () => {},
+        statusUpdate: () => {},
+        services: {
+            agent: agentService,
+            allow2Client: { checkActivity: async () => allowance.current }
+        }
+    };
+
+    return { webBrowsers: plugin(context), agentService };
+}
+
+function loadState() {
+    return {
+        agents: { 'agent-1': { childId: 'child-1', hostname: 'kids-pc', enabled: true } },
+        children: { 'child-1': {} },
+        violations: [],
+        timeRequests: [],
+        dryRun: [],
+        blockedCategories: {},
+        browserSessions: {},
+        settings: {
+            checkInterval: 10000,
+            quotaCheckInterval: 30000,
+            warningMinutes: [15, 5, 1],
+            timezone: 'UTC',
+            offlineEnforcement: false,
+            timeRequests: true
+        },
+        lastSync: null
+    };
+}
+
+// Lets the async event handlers run to completion
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+describe('plugin', () => {
+    let now;
+    let webBrowsers;
+    let agentService;
+
+    beforeEach(() => {
+        now = start;
+        jest.spyOn(Date, 'now').mockImplementation(() => now);
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        webBrowsers.onUnload(() => {});
+        jest.restoreAllMocks();
+    });
+
+    async function report(browsers = [{ browser: 'chrome', processName: 'chrome' }]) {
+        agentService.emit('pluginData', {
+            pluginId: 'allow2automate-web-browsers',
+            agentId: 'agent-1',
+            data: { timestamp: now, hostname: 'kids-pc', browsers }
+        });
+        await settle();
+    }
+
+    it('should offer more time after the shutdown deadline reached the agent', async () => {
+        const allowance = { current: { allowed: true, remaining_seconds: 3600 } };
+        ({ webBrowsers, agentService } = createPlugin(allowance));
+        await webBrowsers.onLoad(loadState());
+
+        // An hour left: the agent gets its deadline, and no warning yet
+        await report();
+        const actions = () => agentService.triggerAction.mock.calls.map(([, action]) => action.actionId);
+        expect(actions()).toContain('schedule-shutdown');
+        expect(actions()).not.toContain('request-time');
+
+        // Ten minutes left, past the 15 minute warning
+        now += 50 * 60 * 1000;
+        allowance.current = { allowed: true, remaining_seconds: 600 };
+        await report();
+
+        const prompt = agentService.triggerAction.mock.calls.find(([, action]) => action.actionId === 'request-time');
+        expect(prompt).toBeDefined();
+        expect(prompt[0]).toBe('agent-1');
+        expect(prompt[1].arguments).toMatchObject({ childId: 'child-1', options: [15, 30] });
+        expect(actions()).not.toContain('show-warning');
+    });
+
+    it('should show the plain warning when the agent cannot ask', async () => {
+        const allowance = { current: { allowed: true, remaining_seconds: 600 } };
+        ({ webBrowsers, agentService } = createPlugin(allowance));
+        await webBrowsers.onLoad(loadState());
+
+        await report();
+        agentService.emit('actionResponse', {
+            pluginId: 'allow2automate-web-browsers',
+            agentId: 'agent-1',
+            actionId: 'request-time',
+            status: 'success',
+            output: { success: false, error: 'Unable to show the request dialog: zenity is not available' }
+        });
+        await settle();
+
+        const warning = agentService.triggerAction.mock.calls.find(([, action]) => action.actionId === 'show-warning');
+        expect(warning).toBeDefined();
+        expect(warning[1].arguments).toMatchObject({ remaining: 10, type: 'internet' });
+    });
+});